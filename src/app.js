@@ -9,7 +9,7 @@ const CONFIG_PATH = '../inputs/config.json';
 let config = null;
 let currentBlockHash = null;
 let currentAccents = null;
-let autoRefreshInterval = null;
+let blockSubscription = null;
 
 /**
  * Copy text to clipboard with fallback
@@ -74,47 +74,31 @@ async function loadConfig() {
 }
 
 /**
- * Fetch current blockchain ledger hash with full block data
+ * Fetch the latest block and parse it exactly like the pipeline does
+ * (same blockchain config, seed blocks and hash normalization)
+ * @returns {Promise<object|null>} Output from parseLedger, or null on failure
  */
-async function fetchBlockchainHash() {
-  const blockchainConfig = config.blockchain;
-  
+async function fetchLedgerData() {
   try {
     showStatus('Fetching blockchain data...', 'loading');
     
-    // Fetch block data from API
-    const response = await fetch(blockchainConfig.api_url);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const { fetchBlock, fetchSeedBlocks } = await import('./fetchBlockchain.js');
+    const { parseLedger } = await import('./parseLedger.js');
     
-    // Get the hash - handle different API response formats
-    let hash = blockchainConfig.hash_path 
-      ? data[blockchainConfig.hash_path.replace('.', '')] 
-      : data.block?.hash || data.hash || data;
+    const block = await fetchBlock();
+    const parsedData = await parseLedger(await fetchSeedBlocks(block));
     
-    // If API returns array of blocks, get the first one
-    if (Array.isArray(hash)) {
-      hash = hash[0]?.hash || hash[0];
-    }
-    
-    currentBlockHash = hash;
-    document.getElementById('block-hash').textContent = hash;
+    currentBlockHash = parsedData.hash;
+    document.getElementById('block-hash').textContent = block.hash;
     
-    // Update metadata if available
-    if (data[0]) {
-      const block = data[0];
-      const heightEl = document.getElementById('block-height');
-      const txEl = document.getElementById('tx-count');
-      if (heightEl) heightEl.textContent = block.height?.toLocaleString() || '-';
-      if (txEl) txEl.textContent = block.tx_count?.toLocaleString() || '-';
-    }
+    // Update metadata
+    const heightEl = document.getElementById('block-height');
+    const txEl = document.getElementById('tx-count');
+    if (heightEl) heightEl.textContent = block.height?.toLocaleString() ?? '-';
+    if (txEl) txEl.textContent = block.txCount?.toLocaleString() || '-';
     
     showStatus('Blockchain data fetched', 'success');
-    return hash;
+    return parsedData;
   } catch (error) {
     console.error('Failed to fetch blockchain:', error);
     showStatus(`Error: ${error.message}`, 'error');
@@ -123,89 +107,23 @@ async function fetchBlockchainHash() {
 }
 
 /**
- * Derive accent colors from hash using config parameters
- */
-function deriveAccentsFromHash(hash) {
-  const derivation = config.color_derivation;
-  
-  // Convert hash to numeric seeds
-  const hashBytes = hashToBytes(hash);
-  
-  // Generate colors based on method
-  const colors = [];
-  const numColors = derivation.num_colors || 3;
-  
-  for (let i = 0; i < numColors; i++) {
-    const seed = hashBytes[i % hashBytes.length] * 256 + hashBytes[(i + 1) % hashBytes.length];
-    const color = generateColor(seed, derivation);
-    colors.push(color);
-  }
-  
-  currentAccents = colors;
-  return colors;
-}
-
-/**
- * Convert hash string to byte array
- */
-function hashToBytes(hash) {
-  const bytes = [];
-  for (let i = 0; i < hash.length; i += 2) {
-    bytes.push(parseInt(hash.substr(i, 2), 16));
-  }
-  return bytes;
-}
-
-/**
- * Generate a color from a numeric seed
- */
-function generateColor(seed, derivation) {
-  const method = derivation.method || 'hsl';
-  
-  if (method === 'hsl') {
-    const hue = (seed % 360);
-    const saturation = derivation.saturation_range?.[0] + 
-      (seed % (derivation.saturation_range?.[1] - derivation.saturation_range?.[0] || 50));
-    const lightness = derivation.lightness_range?.[0] + 
-      (seed % (derivation.lightness_range?.[1] - derivation.lightness_range?.[0] || 20));
-    
-    return {
-      hsl: { h: hue, s: saturation, l: lightness },
-      hex: hslToHex(hue, saturation, lightness)
-    };
-  }
-  
-  // Default to hex generation
-  const r = (seed >> 8) % 256;
-  const g = (seed >> 4) % 256;
-  const b = seed % 256;
-  
-  return {
-    hex: `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`
-  };
-}
-
-/**
- * Convert HSL to HEX
+ * Derive accent colors with the shared color core, so the page shows the
+ * same palette as the published colors.css for the same block and config
+ * @param {object} parsedData - Output from parseLedger
+ * @returns {Promise<object>} Derived colors (palette, primaryColor, accentColor, ...)
  */
-function hslToHex(h, s, l) {
-  s /= 100;
-  l /= 100;
-  
-  const a = s * Math.min(l, 1 - l);
-  const f = n => {
-    const k = (n + h / 30) % 12;
-    const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
-    return Math.round(255 * color).toString(16).padStart(2, '0');
-  };
-  
-  return `#${f(0)}${f(8)}${f(4)}`;
+async function deriveAccents(parsedData) {
+  const { deriveColorData } = await import('./colorCore.js');
+  currentAccents = await deriveColorData(parsedData, config);
+  return currentAccents;
 }
 
 /**
  * Update the UI with accent colors - Enhanced live display
  */
-function updateColorDisplay(colors) {
+function updateColorDisplay(colorData) {
+  const colors = colorData.palette;
+  const accent = colorData.accentColor;
   const colorIds = ['primary', 'secondary', 'tertiary'];
   
   // Get all swatches and add updating class
@@ -251,22 +169,22 @@ function updateColorDisplay(colors) {
     }
   });
   
-  // Update accent color (index 0 is primary, we use a derived accent)
+  // Update accent color (derived from the primary by the harmony scheme)
   const accentColorBox = document.getElementById('accent-color');
   const accentHex = document.getElementById('accent-hex');
-  if (accentColorBox && colors[1]) {
+  if (accentColorBox && accent) {
     setTimeout(() => {
-      accentColorBox.style.backgroundColor = colors[1].hex;
-      accentColorBox.setAttribute('aria-label', `Accent color: ${colors[1].hex.toUpperCase()}`);
-      if (accentHex) accentHex.textContent = colors[1].hex.toUpperCase();
+      accentColorBox.style.backgroundColor = accent.hex;
+      accentColorBox.setAttribute('aria-label', `Accent color: ${accent.hex.toUpperCase()}`);
+      if (accentHex) accentHex.textContent = accent.hex.toUpperCase();
       
       // Add click-to-copy for accent
       accentColorBox.onclick = async () => {
-        const copied = await copyToClipboard(colors[1].hex.toUpperCase());
+        const copied = await copyToClipboard(accent.hex.toUpperCase());
         if (copied) showCopyFeedback(accentColorBox);
       };
       accentHex.onclick = async () => {
-        const copied = await copyToClipboard(colors[1].hex.toUpperCase());
+        const copied = await copyToClipboard(accent.hex.toUpperCase());
         if (copied) showCopyFeedback(accentHex);
       };
     }, 200);
@@ -333,15 +251,16 @@ function showStatus(message, type = 'info') {
 }
 
 /**
- * Toggle auto-refresh
+ * Toggle auto-refresh - re-derives as soon as a new block lands
+ * (WebSocket feed, falling back to polling every intervalMinutes)
  */
-function toggleAutoRefresh(intervalMinutes = 5) {
+async function toggleAutoRefresh(intervalMinutes = 5) {
   const btn = document.getElementById('auto-refresh-btn');
   
-  if (autoRefreshInterval) {
+  if (blockSubscription) {
     // Stop auto-refresh
-    clearInterval(autoRefreshInterval);
-    autoRefreshInterval = null;
+    blockSubscription();
+    blockSubscription = null;
     if (btn) {
       btn.textContent = 'Auto Refresh: Off';
       btn.classList.remove('active');
@@ -350,18 +269,18 @@ function toggleAutoRefresh(intervalMinutes = 5) {
     showStatus('Auto-refresh disabled', 'info');
   } else {
     // Start auto-refresh
-    const intervalMs = intervalMinutes * 60 * 1000;
-    autoRefreshInterval = setInterval(() => {
-      console.log('[Auto-refresh] Refreshing colors...');
+    const { subscribeToBlocks } = await import('./fetchBlockchain.js');
+    blockSubscription = subscribeToBlocks(() => {
+      console.log('[Auto-refresh] New block, refreshing colors...');
       refreshColors();
-    }, intervalMs);
+    }, { pollIntervalMs: intervalMinutes * 60 * 1000 });
     
     if (btn) {
-      btn.textContent = `Auto Refresh: On (${intervalMinutes}m)`;
+      btn.textContent = 'Auto Refresh: On (every block)';
       btn.classList.add('active');
       btn.setAttribute('aria-pressed', 'true');
     }
-    showStatus(`Auto-refresh enabled (every ${intervalMinutes} min)`, 'success');
+    showStatus('Auto-refresh enabled (on every new block)', 'success');
   }
 }
 
@@ -375,11 +294,11 @@ async function refreshColors() {
   
   if (!config) return;
   
-  const hash = await fetchBlockchainHash();
+  const parsedData = await fetchLedgerData();
   
-  if (hash) {
-    const colors = deriveAccentsFromHash(hash);
-    updateColorDisplay(colors);
+  if (parsedData) {
+    const colorData = await deriveAccents(parsedData);
+    updateColorDisplay(colorData);
     showStatus(`Updated at ${new Date().toLocaleTimeString()}`, 'success');
   }
 }
@@ -0,0 +1,166 @@
+/**
+ * blockHeader.js - Bitcoin Block Header Decoding and Proof-of-Work Checks
+ * Decodes the raw 80-byte header and verifies that its double-SHA256 matches
+ * the claimed block hash and meets the target encoded in `bits`
+ */
+
+const HEADER_LENGTH = 80;
+
+/**
+ * Raised when a header does not match its hash or fails the PoW target
+ */
+class HeaderVerificationError extends Error {
+  constructor(message, hash = null) {
+    super(message);
+    this.name = 'HeaderVerificationError';
+    this.hash = hash;
+  }
+}
+
+/**
+ * Convert a hex string to bytes
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} Bytes
+ */
+function hexToBytes(hex) {
+  const clean = hex.trim();
+  if (clean.length % 2 !== 0 || !/^[a-fA-F0-9]*$/.test(clean)) {
+    throw new Error('Invalid hex string');
+  }
+  
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Convert bytes to a hex string
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Lowercase hex
+ */
+function bytesToHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hex of bytes in reverse order (Bitcoin displays hashes little-endian)
+ */
+function reversedHex(bytes) {
+  return bytesToHex(Uint8Array.from(bytes).reverse());
+}
+
+/**
+ * Double SHA-256, as used for block and transaction hashes
+ * @param {Uint8Array} bytes - Input
+ * @returns {Promise<Uint8Array>} 32-byte digest
+ */
+async function doubleSha256(bytes) {
+  const first = await crypto.subtle.digest('SHA-256', bytes);
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', first));
+}
+
+/**
+ * Expand compact `bits` into the full 256-bit target
+ * @param {number} bits - Compact target
+ * @returns {bigint} Target
+ */
+function bitsToTarget(bits) {
+  const exponent = bits >>> 24;
+  const mantissa = BigInt(bits & 0x007fffff);
+  
+  if (bits & 0x00800000) {
+    // Sign bit set: negative targets are invalid
+    return 0n;
+  }
+  
+  return exponent <= 3
+    ? mantissa >> BigInt(8 * (3 - exponent))
+    : mantissa << BigInt(8 * (exponent - 3));
+}
+
+/**
+ * Decode the fields of a serialized 80-byte block header
+ * @param {string|Uint8Array} header - Raw header as hex or bytes
+ * @returns {object} { version, prevHash, merkleRoot, timestamp, bits, nonce }
+ */
+function decodeBlockHeader(header) {
+  const bytes = typeof header === 'string' ? hexToBytes(header) : header;
+  
+  if (bytes.length < HEADER_LENGTH) {
+    throw new Error(`Block header must be ${HEADER_LENGTH} bytes, got ${bytes.length}`);
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, HEADER_LENGTH);
+  
+  return {
+    version: view.getInt32(0, true),
+    prevHash: reversedHex(bytes.subarray(4, 36)),
+    merkleRoot: reversedHex(bytes.subarray(36, 68)),
+    timestamp: view.getUint32(68, true),
+    bits: view.getUint32(72, true),
+    nonce: view.getUint32(76, true)
+  };
+}
+
+/**
+ * Compute the block hash of a serialized header
+ * @param {string|Uint8Array} header - Raw header as hex or bytes
+ * @returns {Promise<string>} Block hash (display byte order)
+ */
+async function hashBlockHeader(header) {
+  const bytes = typeof header === 'string' ? hexToBytes(header) : header;
+  return reversedHex(await doubleSha256(bytes.subarray(0, HEADER_LENGTH)));
+}
+
+/**
+ * Verify a raw header against the claimed block hash and its own PoW target
+ * @param {string|Uint8Array} header - Raw header as hex or bytes
+ * @param {string} claimedHash - Hash reported by the provider
+ * @returns {Promise<object>} Decoded header fields
+ * @throws {HeaderVerificationError} If the hash or target check fails
+ */
+async function verifyBlockHeader(header, claimedHash) {
+  const fields = decodeBlockHeader(header);
+  const hash = await hashBlockHeader(header);
+  
+  if (hash !== claimedHash.toLowerCase()) {
+    throw new HeaderVerificationError(`Header hashes to ${hash}, not the claimed ${claimedHash}`, claimedHash);
+  }
+  
+  const target = bitsToTarget(fields.bits);
+  if (target === 0n || BigInt(`0x${hash}`) > target) {
+    throw new HeaderVerificationError(`Block ${hash} does not meet its target (bits 0x${fields.bits.toString(16)})`, claimedHash);
+  }
+  
+  return fields;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HEADER_LENGTH,
+    HeaderVerificationError,
+    hexToBytes,
+    bytesToHex,
+    doubleSha256,
+    bitsToTarget,
+    decodeBlockHeader,
+    hashBlockHeader,
+    verifyBlockHeader
+  };
+}
+
+// ES Module export
+export {
+  HEADER_LENGTH,
+  HeaderVerificationError,
+  hexToBytes,
+  bytesToHex,
+  doubleSha256,
+  bitsToTarget,
+  decodeBlockHeader,
+  hashBlockHeader,
+  verifyBlockHeader
+};
@@ -0,0 +1,843 @@
+/**
+ * colorCore.js - Shared Color Derivation Core
+ * Turns a block hash (or seed) and the colorDerivation config into the
+ * palette, accent, on-colors, tonal scales and themes. Pure and isomorphic:
+ * deriveColors.js (Node.js pipeline) and app.js (browser) both call it
+ */
+
+import { hexToOklch, oklchToHex, roundOklch, formatOklch } from './colorSpace.js';
+import { findOnColor } from './contrast.js';
+import { DEFAULT_MIN_DELTA_E, scorePalette, makeDistinguishable } from './cvd.js';
+import { digest, digestBytes, createByteStream, HKDF_MAX_LENGTH } from './digests.js';
+
+const COLOR_MODES = ['hsl', 'oklch'];
+const BYTE_SOURCES = ['hkdf', 'segments'];
+
+// Derivation spec versions (see SPEC.md). A published palette stays
+// reproducible only while the math behind its version is unchanged, so any
+// change to sampling, ranges or rounding gets a new version and the old
+// entries stay here. Only the byte source differs between versions: scheme
+// hues, OKLCH gamut mapping, contrast nudges, CVD adjustment, tonal scales
+// and themes are shared and frozen, and the golden vectors pin every setting
+// of them. Changing one means adding a field here and branching on it
+const SPECS = {
+  'bhac-v1': { byteSource: 'segments' },
+  'bhac-v2': { byteSource: 'hkdf' }
+};
+const CURRENT_SPEC = 'bhac-v2';
+// Configs without a specVersion predate it and keep the palettes they published
+const DEFAULT_SPEC = 'bhac-v1';
+
+// HKDF info string for palette bytes, and the most hue draws per slot
+const PALETTE_STREAM_INFO = 'blockhash-accent-colors palette';
+const MAX_HUE_DRAWS = 16;
+
+// Largest palette one HKDF stream always covers: a slot reads 4 bytes plus
+// 2 per hue redraw, and HKDF-SHA256 expands to at most 255 * 32 bytes
+const MAX_PALETTE_SIZE = Math.floor(HKDF_MAX_LENGTH / (4 + 2 * (MAX_HUE_DRAWS - 1)));
+
+// Tonal scale steps (Tailwind-style) and the OKLCH lightness of step 0/1000
+const TONAL_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+const TONAL_LIGHTNESS = [0.99, 0.23];
+
+// Per theme: OKLCH lightness range the palette is rebalanced into, and the
+// lightness of the neutral (primary-tinted) background, surface and text
+const THEMES = {
+  light: { range: [0.45, 0.62], background: 0.985, surface: 0.955, text: 0.23, textMuted: 0.45 },
+  dark: { range: [0.68, 0.85], background: 0.17, surface: 0.23, text: 0.95, textMuted: 0.75 }
+};
+
+// Hue offsets from the base hue per harmony scheme (cycled across the
+// palette) and the offset of the accent color. Monochromatic accents keep
+// the hue and mirror lightness instead.
+const SCHEMES = {
+  random: null,
+  analogous: { offsets: [0, 30, -30, 60, -60], accent: 180 },
+  triadic: { offsets: [0, 120, 240], accent: 120 },
+  tetradic: { offsets: [0, 90, 180, 270], accent: 180 },
+  'split-complementary': { offsets: [0, 150, 210], accent: 150 },
+  monochromatic: { offsets: [0], accent: 0 }
+};
+
+/**
+ * Convert hex string to HSL color
+ * @param {string} hex - Hex color string (e.g., "ff5500")
+ * @returns {object} HSL color object {h, s, l}
+ */
+function hexToHsl(hex) {
+  // Parse hex to RGB
+  const r = parseInt(hex.substring(0, 2), 16) / 255;
+  const g = parseInt(hex.substring(2, 4), 16) / 255;
+  const b = parseInt(hex.substring(4, 6), 16) / 255;
+  
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  let h, s, l = (max + min) / 2;
+  
+  if (max === min) {
+    h = s = 0;
+  } else {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    
+    switch (max) {
+      case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
+      case g: h = ((b - r) / d + 2) / 6; break;
+      case b: h = ((r - g) / d + 4) / 6; break;
+    }
+  }
+  
+  return {
+    h: Math.round(h * 360),
+    s: Math.round(s * 100),
+    l: Math.round(l * 100)
+  };
+}
+
+/**
+ * Convert HSL to CSS string
+ * @param {object} hsl - HSL color object {h, s, l}
+ * @returns {string} CSS hsl string
+ */
+function hslToCss(hsl) {
+  return `hsl(${hsl.h}, ${hsl.s}%, ${hsl.l}%)`;
+}
+
+/**
+ * Parse the hue of a hash segment from its first 3 chars (0-4095 -> 0-360)
+ * @param {string} hashSegment - 6-character hex segment
+ * @returns {number} Hue in degrees
+ */
+function segmentHue(hashSegment) {
+  return (parseInt(hashSegment.substring(0, 3), 16) / 4095) * 360;
+}
+
+/**
+ * Parse a hash segment into a color sample: 3 chars hue, 2 chars
+ * saturation/chroma, 1 char lightness
+ * @param {string} hashSegment - 6-character hex segment
+ * @returns {object} { hue (degrees), sat (0-1), light (0-1) }
+ */
+function segmentSample(hashSegment) {
+  return {
+    hue: segmentHue(hashSegment),
+    sat: parseInt(hashSegment.substring(3, 5), 16) / 255,
+    light: parseInt(hashSegment.substring(5, 6), 16) / 15
+  };
+}
+
+/**
+ * Build an HSL color from a sample, scaled into the configured ranges
+ * @param {object} sample - { hue, sat, light }
+ * @param {object} cfg - Color configuration
+ * @returns {object} Color object with hsl and hex
+ */
+function hslColorFromSample(sample, cfg) {
+  // Get saturation and lightness from config ranges
+  const satRange = cfg.colorDerivation?.saturationRange || [0.6, 0.9];
+  const lightRange = cfg.colorDerivation?.lightnessRange || [0.4, 0.7];
+  
+  const saturation = satRange[0] + sample.sat * (satRange[1] - satRange[0]);
+  const lightness = lightRange[0] + sample.light * (lightRange[1] - lightRange[0]);
+  
+  const hsl = {
+    h: Math.round(sample.hue),
+    s: Math.round(saturation * 100),
+    l: Math.round(lightness * 100)
+  };
+  
+  return colorFromHsl(hsl);
+}
+
+/**
+ * Build an OKLCH color from a sample, so equal lightness values look
+ * equally bright across hues
+ * @param {object} sample - { hue, sat (used as chroma), light }
+ * @param {object} cfg - Color configuration
+ * @returns {object} Color object with hsl, hex and oklch
+ */
+function oklchColorFromSample(sample, cfg) {
+  const chromaRange = cfg.colorDerivation?.chromaRange || [0.08, 0.2];
+  const lightRange = cfg.colorDerivation?.oklchLightnessRange || [0.55, 0.8];
+  
+  return colorFromOklch({
+    l: lightRange[0] + sample.light * (lightRange[1] - lightRange[0]),
+    c: chromaRange[0] + sample.sat * (chromaRange[1] - chromaRange[0]),
+    h: sample.hue
+  });
+}
+
+/**
+ * Derive a single color from a hash segment
+ * @param {string} hashSegment - 6-character hex segment
+ * @param {object} cfg - Color configuration
+ * @param {number} [hue] - Hue in degrees (default: taken from the segment)
+ * @returns {object} Color object with hsl and hex
+ */
+function deriveSingleColor(hashSegment, cfg, hue = segmentHue(hashSegment)) {
+  return hslColorFromSample({ ...segmentSample(hashSegment), hue }, cfg);
+}
+
+/**
+ * Derive a single color from a hash segment in OKLCH
+ * @param {string} hashSegment - 6-character hex segment
+ * @param {object} cfg - Color configuration
+ * @param {number} [hue] - Hue in degrees (default: taken from the segment)
+ * @returns {object} Color object with hsl, hex and oklch
+ */
+function deriveOklchColor(hashSegment, cfg, hue = segmentHue(hashSegment)) {
+  return oklchColorFromSample({ ...segmentSample(hashSegment), hue }, cfg);
+}
+
+/**
+ * Add OKLCH coordinates and an oklch() CSS value to an sRGB color. They are
+ * measured from the hex value, so they describe the color actually shown
+ * @param {object} color - Color object with hex
+ * @returns {object} Color object with oklch and oklchCss
+ */
+function withOklch(color) {
+  const oklch = roundOklch(hexToOklch(color.hex));
+  return { ...color, oklch, oklchCss: formatOklch(oklch) };
+}
+
+/**
+ * Build a color object from HSL
+ * @param {object} hsl - HSL color object {h, s, l}
+ * @returns {object} Color object with hsl, css, hex and oklch
+ */
+function colorFromHsl(hsl) {
+  return withOklch({ hsl, css: hslToCss(hsl), hex: hslToHex(hsl) });
+}
+
+/**
+ * Build a color object from a hex value
+ * @param {string} hex - "#rrggbb"
+ * @returns {object} Color object with hsl, css, hex and oklch
+ */
+function colorFromHex(hex) {
+  const hsl = hexToHsl(hex.substring(1));
+  return withOklch({ hsl, css: hslToCss(hsl), hex });
+}
+
+/**
+ * Build a color object from OKLCH, gamut-mapping it into sRGB
+ * @param {object} lch - OKLCH color {l, c, h}
+ * @returns {object} Color object with hsl, css, hex and oklch
+ */
+function colorFromOklch(lch) {
+  return colorFromHex(oklchToHex(lch));
+}
+
+/**
+ * Derive a tonal scale (50-950) for a color. Lightness falls evenly in
+ * OKLCH from step to step; hue is kept and chroma tapers towards both ends
+ * so the lightest and darkest tones stay in gamut without going grey
+ * @param {object} color - Color object with oklch
+ * @returns {object} { 50: { hex, oklchCss }, ..., 950: {...} }
+ */
+function deriveTonalScale(color) {
+  const { c, h } = color.oklch;
+  const scale = {};
+  
+  for (const step of TONAL_STEPS) {
+    const l = TONAL_LIGHTNESS[0] + (step / 1000) * (TONAL_LIGHTNESS[1] - TONAL_LIGHTNESS[0]);
+    const taper = Math.max(0.2, 1 - Math.pow((l - 0.6) / 0.45, 2));
+    const tone = colorFromOklch({ l, c: c * taper, h });
+    scale[step] = { hex: tone.hex, oklchCss: tone.oklchCss };
+  }
+  
+  return scale;
+}
+
+/**
+ * Pair a color with a readable foreground meeting colorDerivation.contrast.
+ * If no foreground can reach the target, the color's own lightness is
+ * nudged and the color is replaced
+ * @param {object} color - Color object with hex
+ * @param {object} contrast - { level, minRatio, apca, apcaMinimum }
+ * @returns {object} Color object with `on`
+ */
+function withOnColor(color, contrast) {
+  const on = findOnColor(color.hex, contrast);
+  const base = on.backgroundAdjusted ? { ...color, ...colorFromHex(on.background) } : color;
+  
+  return {
+    ...base,
+    on: {
+      hex: on.hex,
+      ratio: on.ratio,
+      level: on.level,
+      minRatio: on.minRatio,
+      ...(contrast.apca ? { apca: on.apca } : {}),
+      backgroundAdjusted: on.backgroundAdjusted
+    }
+  };
+}
+
+/**
+ * Read and validate colorDerivation.mode
+ * @param {object} cfg - Color configuration
+ * @returns {string} 'hsl' or 'oklch'
+ */
+function getColorMode(cfg) {
+  const mode = cfg.colorDerivation?.mode || 'hsl';
+  if (!COLOR_MODES.includes(mode)) {
+    throw new Error(`Unknown colorDerivation.mode "${mode}" (expected ${COLOR_MODES.join(' or ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Convert HSL to hex
+ * @param {object} hsl - HSL color object
+ * @returns {string} Hex color string
+ */
+function hslToHex(hsl) {
+  const s = hsl.s / 100;
+  const l = hsl.l / 100;
+  
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs(((hsl.h / 60) % 2) - 1));
+  const m = l - c / 2;
+  
+  let r = 0, g = 0, b = 0;
+  
+  if (hsl.h >= 0 && hsl.h < 60) { r = c; g = x; b = 0; }
+  else if (hsl.h >= 60 && hsl.h < 120) { r = x; g = c; b = 0; }
+  else if (hsl.h >= 120 && hsl.h < 180) { r = 0; g = c; b = x; }
+  else if (hsl.h >= 180 && hsl.h < 240) { r = 0; g = x; b = c; }
+  else if (hsl.h >= 240 && hsl.h < 300) { r = x; g = 0; b = c; }
+  else { r = c; g = 0; b = x; }
+  
+  const toHex = n => Math.round((n + m) * 255).toString(16).padStart(2, '0');
+  
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+}
+
+/**
+ * Read and validate colorDerivation.scheme
+ * @param {object} cfg - Color configuration
+ * @returns {string} Scheme name
+ */
+function getScheme(cfg) {
+  const scheme = cfg.colorDerivation?.scheme || 'random';
+  if (!(scheme in SCHEMES)) {
+    throw new Error(`Unknown colorDerivation.scheme "${scheme}" (expected ${Object.keys(SCHEMES).join(', ')})`);
+  }
+  return scheme;
+}
+
+/**
+ * Hue of a palette slot under a harmony scheme: the base hue plus the
+ * slot's scheme offset, nudged by up to +/-jitter degrees by the slot's own
+ * sampled hue so repeated offsets stay distinguishable
+ * @param {number} baseHue - Hue of the first slot
+ * @param {string} scheme - Scheme name (not 'random')
+ * @param {number} index - Palette slot
+ * @param {number} slotHue - The slot's own sampled hue in degrees
+ * @param {number} jitter - Maximum variation in degrees
+ * @returns {number} Hue in degrees (0-360)
+ */
+function getSchemeHue(baseHue, scheme, index, slotHue, jitter) {
+  const { offsets } = SCHEMES[scheme];
+  const variation = index === 0 ? 0 : (slotHue / 180 - 1) * jitter;
+  return (baseHue + offsets[index % offsets.length] + variation + 360) % 360;
+}
+
+/**
+ * Secret for keyed digests (hmac-sha256): colorDerivation.secret, or the
+ * BLOCKHASH_SECRET environment variable in Node.js so it can stay out of
+ * the config file
+ * @param {object} cfg - Color configuration
+ * @returns {string|undefined} Secret
+ */
+function getDigestSecret(cfg) {
+  if (cfg.colorDerivation?.secret) return cfg.colorDerivation.secret;
+  return typeof process === 'object' ? process.env?.BLOCKHASH_SECRET : undefined;
+}
+
+/**
+ * Read and validate colorDerivation.specVersion. Without one, a byteSource
+ * selects the version using it, and a config with neither gets bhac-v1
+ * @param {object} cfg - Color configuration
+ * @returns {string} Spec version, e.g. 'bhac-v2'
+ */
+function getSpecVersion(cfg) {
+  const byteSource = cfg.colorDerivation?.byteSource;
+  if (byteSource !== undefined && !BYTE_SOURCES.includes(byteSource)) {
+    throw new Error(`Unknown colorDerivation.byteSource "${byteSource}" (expected ${BYTE_SOURCES.join(' or ')})`);
+  }
+  
+  const version = cfg.colorDerivation?.specVersion
+    || Object.keys(SPECS).find(v => byteSource !== undefined && SPECS[v].byteSource === byteSource)
+    || DEFAULT_SPEC;
+  if (!(version in SPECS)) {
+    throw new Error(`Unknown colorDerivation.specVersion "${version}" (expected ${Object.keys(SPECS).join(', ')})`);
+  }
+  if (byteSource !== undefined && byteSource !== SPECS[version].byteSource) {
+    throw new Error(`colorDerivation.byteSource "${byteSource}" conflicts with specVersion "${version}" (which uses ${SPECS[version].byteSource})`);
+  }
+  return version;
+}
+
+/**
+ * Byte source of the configured spec version
+ * @param {object} cfg - Color configuration
+ * @returns {string} 'hkdf' or 'segments'
+ */
+function getByteSource(cfg) {
+  return SPECS[getSpecVersion(cfg)].byteSource;
+}
+
+/**
+ * Circular distance between two hues
+ * @param {number} a - Hue in degrees
+ * @param {number} b - Hue in degrees
+ * @returns {number} Distance in degrees (0-180)
+ */
+function hueDistance(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+/**
+ * Legacy samples: one 6-hex-digit segment of the digest per color. The
+ * digest wraps around after 10 segments and a trailing partial segment is
+ * skipped, so large palettes repeat colors and may come up short
+ * @param {string} fullHash - Hex digest of the block hash
+ * @param {number} paletteSize - Number of colors
+ * @returns {object[]} Samples { index, hue, sat, light }
+ */
+function segmentSamples(fullHash, paletteSize) {
+  const samples = [];
+  const segmentLength = 6;
+  
+  for (let i = 0; i < paletteSize; i++) {
+    const startIdx = i * segmentLength;
+    // Cycle through the hash if we need more colors than hash length allows
+    const segment = fullHash.substring(startIdx % fullHash.length, (startIdx % fullHash.length) + segmentLength);
+    
+    if (segment.length === segmentLength) {
+      samples.push({ index: i, ...segmentSample(segment) });
+    }
+  }
+  
+  return samples;
+}
+
+/**
+ * Stream samples: 4 bytes per color (16-bit hue, saturation, lightness)
+ * read from an HKDF stream keyed by the digest, so every slot gets fresh
+ * bytes however large the palette. With the random scheme, a hue within
+ * minHueSeparation degrees of an earlier slot is redrawn (2 more bytes),
+ * keeping the farthest candidate if none clears it
+ * @param {Uint8Array} ikm - Digest of the block hash
+ * @param {number} paletteSize - Number of colors
+ * @param {number} minSeparation - Minimum hue distance in degrees (0 disables)
+ * @returns {Promise<object[]>} Samples { index, hue, sat, light }
+ */
+async function streamSamples(ikm, paletteSize, minSeparation) {
+  const stream = await createByteStream(ikm, { info: PALETTE_STREAM_INFO });
+  const samples = [];
+  const clearance = hue => Math.min(Infinity, ...samples.map(sample => hueDistance(hue, sample.hue)));
+  const readHue = async () => {
+    const [high, low] = await stream.read(2);
+    return ((high << 8) | low) / 65536 * 360;
+  };
+  
+  for (let i = 0; i < paletteSize; i++) {
+    let hue = await readHue();
+    const [sat, light] = await stream.read(2);
+    
+    for (let draw = 1; draw < MAX_HUE_DRAWS && clearance(hue) < minSeparation; draw++) {
+      const candidate = await readHue();
+      if (clearance(candidate) > clearance(hue)) hue = candidate;
+    }
+    
+    samples.push({ index: i, hue, sat: sat / 255, light: light / 255 });
+  }
+  
+  return samples;
+}
+
+/**
+ * Derive a palette from a single hash: digest(hash) with
+ * colorDerivation.algorithm, read as an HKDF stream (bhac-v2) or as
+ * 6-hex-digit segments (bhac-v1)
+ * @param {string} hash - Normalized block hash
+ * @param {number} paletteSize - Number of colors
+ * @param {object} cfg - Color configuration
+ * @returns {Promise<Array>} Palette entries
+ * @throws {Error} If paletteSize exceeds MAX_PALETTE_SIZE on the HKDF stream
+ */
+async function derivePalette(hash, paletteSize, cfg) {
+  // Generate deterministic bytes for the color palette with the configured digest
+  const algorithm = cfg.colorDerivation?.algorithm || 'sha256';
+  const digestOptions = { secret: getDigestSecret(cfg) };
+  const scheme = getScheme(cfg);
+  
+  let samples;
+  if (getByteSource(cfg) === 'segments') {
+    samples = segmentSamples(await digest(algorithm, hash, digestOptions), paletteSize);
+  } else {
+    if (paletteSize > MAX_PALETTE_SIZE) {
+      throw new Error(`colorDerivation.paletteSize ${paletteSize} is too large (at most ${MAX_PALETTE_SIZE} colors with byteSource "hkdf")`);
+    }
+    // Harmony schemes place hues themselves, so separation only applies to random palettes
+    const minSeparation = scheme === 'random'
+      ? (cfg.colorDerivation?.minHueSeparation ?? Math.min(15, 90 / paletteSize))
+      : 0;
+    samples = await streamSamples(await digestBytes(algorithm, hash, digestOptions), paletteSize, minSeparation);
+  }
+  
+  const fromSample = getColorMode(cfg) === 'oklch' ? oklchColorFromSample : hslColorFromSample;
+  const jitter = cfg.colorDerivation?.schemeJitter ?? 10;
+  const baseHue = samples[0]?.hue;
+  
+  return samples.map(sample => ({
+    index: sample.index,
+    ...fromSample(scheme === 'random'
+      ? sample
+      : { ...sample, hue: getSchemeHue(baseHue, scheme, sample.index, sample.hue, jitter) }, cfg),
+    fromHash: hash.substring(0, 8) + '...'
+  }));
+}
+
+/**
+ * Per-block weights for the rolling seed, newest block first
+ * @param {number} count - Number of blocks
+ * @param {string|number[]} weighting - 'linear' (default), 'exponential', 'equal' or explicit weights
+ * @param {number} decay - Ratio between consecutive weights for 'exponential'
+ * @returns {number[]} Weights summing to 1
+ */
+function getRollingWeights(count, weighting = 'linear', decay = 0.5) {
+  let weights;
+  if (Array.isArray(weighting)) {
+    weights = Array.from({ length: count }, (_, i) => weighting[i] ?? 0);
+  } else if (weighting === 'exponential') {
+    weights = Array.from({ length: count }, (_, i) => Math.pow(decay, i));
+  } else if (weighting === 'equal') {
+    weights = Array(count).fill(1);
+  } else if (weighting === 'linear') {
+    weights = Array.from({ length: count }, (_, i) => count - i);
+  } else {
+    throw new Error(`Unknown colorDerivation.rollingWeights "${weighting}"`);
+  }
+  
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (!(total > 0)) {
+    throw new Error('colorDerivation.rollingWeights must include a positive weight');
+  }
+  return weights.map(w => w / total);
+}
+
+/**
+ * Weighted blend of HSL colors (hue averaged on the color wheel)
+ * @param {object[]} colors - HSL colors
+ * @param {number[]} weights - Matching weights summing to 1
+ * @returns {object} Blended HSL color
+ */
+function blendHsl(colors, weights) {
+  let x = 0, y = 0, s = 0, l = 0;
+  
+  colors.forEach((hsl, i) => {
+    const angle = hsl.h * Math.PI / 180;
+    x += Math.cos(angle) * weights[i];
+    y += Math.sin(angle) * weights[i];
+    s += hsl.s * weights[i];
+    l += hsl.l * weights[i];
+  });
+  
+  const h = (Math.round(Math.atan2(y, x) * 180 / Math.PI) + 360) % 360;
+  return { h, s: Math.round(s), l: Math.round(l) };
+}
+
+/**
+ * Weighted blend of OKLCH colors (hue averaged on the color wheel)
+ * @param {object[]} colors - OKLCH colors
+ * @param {number[]} weights - Matching weights summing to 1
+ * @returns {object} Blended OKLCH color
+ */
+function blendOklch(colors, weights) {
+  let x = 0, y = 0, c = 0, l = 0;
+  
+  colors.forEach((lch, i) => {
+    const angle = lch.h * Math.PI / 180;
+    x += Math.cos(angle) * weights[i];
+    y += Math.sin(angle) * weights[i];
+    c += lch.c * weights[i];
+    l += lch.l * weights[i];
+  });
+  
+  const h = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  return { l, c, h };
+}
+
+/**
+ * Rolling seed: blend the palettes of the last N blocks, weighted towards
+ * the newest, so each new block only nudges the colors
+ * @param {object} parsedData - Output from parseLedger (hashes newest first)
+ * @param {number} paletteSize - Number of colors
+ * @param {object} cfg - Color configuration
+ * @returns {Promise<object>} { palette, seed }
+ */
+async function deriveRollingPalette(parsedData, paletteSize, cfg) {
+  const windowSize = cfg.colorDerivation?.rollingWindow || 6;
+  const blocks = (parsedData.blocks?.length ? parsedData.blocks : [{ hash: parsedData.hash, height: null }])
+    .slice(0, windowSize);
+  const weights = getRollingWeights(blocks.length, cfg.colorDerivation?.rollingWeights, cfg.colorDerivation?.rollingDecay);
+  const palettes = await Promise.all(blocks.map(block => derivePalette(block.hash, paletteSize, cfg)));
+  
+  const oklch = getColorMode(cfg) === 'oklch';
+  
+  const palette = palettes[0].map((_, i) => {
+    const color = oklch
+      ? colorFromOklch(blendOklch(palettes.map(p => p[i].oklch), weights))
+      : colorFromHsl(blendHsl(palettes.map(p => p[i].hsl), weights));
+    return {
+      index: i,
+      ...color,
+      fromHash: `${blocks.length} blocks`
+    };
+  });
+  
+  return {
+    palette,
+    seed: {
+      mode: 'rolling',
+      blocks: blocks.map((block, i) => ({ hash: block.hash, height: block.height, weight: Number(weights[i].toFixed(6)) }))
+    }
+  };
+}
+
+/**
+ * Per-slot seed: slot i takes its color from the most recent block whose
+ * height is i modulo the palette size, so each new block replaces one slot
+ * @param {object} parsedData - Output from parseLedger (blocks newest first)
+ * @param {number} paletteSize - Number of colors
+ * @param {object} cfg - Color configuration
+ * @returns {Promise<object>} { palette, seed }
+ */
+async function derivePerSlotPalette(parsedData, paletteSize, cfg) {
+  const blocks = parsedData.blocks?.length ? parsedData.blocks : [{ hash: parsedData.hash, height: null }];
+  const palette = [];
+  const slots = [];
+  
+  for (let i = 0; i < paletteSize; i++) {
+    // Without heights, fall back to the i-th most recent block
+    const block = blocks.find(b => b.height !== null && b.height % paletteSize === i) || blocks[i] || blocks[0];
+    const color = (await derivePalette(block.hash, paletteSize, cfg))[i];
+    palette.push({ ...color, fromHash: block.hash.substring(0, 8) + '...', fromHeight: block.height });
+    slots.push({ slot: i, hash: block.hash, height: block.height });
+  }
+  
+  return { palette, seed: { mode: 'per-slot', blocks: slots } };
+}
+
+/**
+ * Derive one theme variant: neutrals tinted with the primary hue, and the
+ * palette moved into the theme's lightness range so it reads on that surface
+ * @param {string} name - 'light' or 'dark'
+ * @param {object[]} palette - Final palette
+ * @param {object} accentColor - Final accent
+ * @param {object|false} contrast - colorDerivation.contrast
+ * @returns {object} { background, surface, text, textMuted, primary, accent, palette }
+ */
+function deriveTheme(name, palette, accentColor, contrast) {
+  const theme = THEMES[name];
+  const hue = palette[0].oklch.h;
+  const neutral = (l, c) => oklchToHex({ l, c, h: hue });
+  
+  const rebalance = color => {
+    const l = Math.min(theme.range[1], Math.max(theme.range[0], color.oklch.l));
+    let shifted = colorFromOklch({ ...color.oklch, l });
+    const on = contrast === false ? null : findOnColor(shifted.hex, contrast);
+    if (on?.backgroundAdjusted) shifted = colorFromHex(on.background);
+    return { hex: shifted.hex, oklchCss: shifted.oklchCss, on: on?.hex || null };
+  };
+  
+  return {
+    background: neutral(theme.background, 0.005),
+    surface: neutral(theme.surface, 0.01),
+    text: neutral(theme.text, 0.02),
+    textMuted: neutral(theme.textMuted, 0.02),
+    primary: rebalance(palette[0]),
+    accent: rebalance(accentColor),
+    palette: palette.map((color, i) => ({ index: color.index ?? i, ...rebalance(color) }))
+  };
+}
+
+/**
+ * Derive the accent from the primary color: the complement for the random
+ * scheme, the scheme's accent offset otherwise, or the primary with mirrored
+ * lightness for monochromatic palettes
+ * @param {object} primaryColor - First palette entry
+ * @param {string} scheme - Scheme name
+ * @param {string} colorMode - 'hsl' or 'oklch'
+ * @returns {object} Accent color object
+ */
+function deriveAccentColor(primaryColor, scheme, colorMode) {
+  const offset = SCHEMES[scheme]?.accent ?? 180;
+  
+  if (colorMode === 'oklch') {
+    const { l, c, h } = primaryColor.oklch;
+    return scheme === 'monochromatic'
+      ? colorFromOklch({ l: Math.min(0.95, Math.max(0.15, 1 - l)), c, h })
+      : colorFromOklch({ l, c, h: (h + offset) % 360 });
+  }
+  
+  const { h, s, l } = primaryColor.hsl;
+  return scheme === 'monochromatic'
+    ? colorFromHsl({ h, s, l: Math.min(90, Math.max(10, 100 - l)) })
+    : colorFromHsl({ h: (h + offset) % 360, s, l });
+}
+
+/**
+ * Derive colors from parsed ledger data with a given configuration. This is
+ * the whole derivation, with no I/O, so the browser app and the Node.js
+ * pipeline produce identical palettes for the same block and config
+ * @param {object} parsedData - Output from parseLedger (must have a hash)
+ * @param {object} cfg - Configuration (reads colorDerivation and site.theme)
+ * @param {object} options - { derivedAt } to pin the timestamp (fixture replays)
+ * @returns {Promise<object>} Derived colors and metadata
+ */
+async function deriveColorData(parsedData, cfg, options = {}) {
+  const paletteSize = cfg.colorDerivation?.paletteSize || 6;
+  const hash = parsedData.hash;
+  const algorithm = parsedData.algorithm || cfg.colorDerivation?.algorithm || 'sha256';
+  
+  const colorMode = getColorMode(cfg);
+  const scheme = getScheme(cfg);
+  const seedMode = cfg.colorDerivation?.seedMode || 'single';
+  let palette;
+  let seed = null;
+  
+  if (seedMode === 'rolling') {
+    ({ palette, seed } = await deriveRollingPalette(parsedData, paletteSize, cfg));
+  } else if (seedMode === 'per-slot') {
+    ({ palette, seed } = await derivePerSlotPalette(parsedData, paletteSize, cfg));
+  } else if (seedMode === 'single') {
+    palette = await derivePalette(hash, paletteSize, cfg);
+  } else {
+    throw new Error(`Unknown colorDerivation.seedMode "${seedMode}" (expected single, rolling or per-slot)`);
+  }
+  
+  // Optionally move colors apart until distinguishable under every CVD simulation
+  const cvdCfg = cfg.colorDerivation?.cvd || {};
+  let cvdAdjusted = [];
+  if (cvdCfg.enforce) {
+    const { hexes, adjusted } = makeDistinguishable(palette.map(c => c.hex), cvdCfg);
+    palette = palette.map((color, i) => adjusted.includes(i) ? { ...color, ...colorFromHex(hexes[i]) } : color);
+    cvdAdjusted = adjusted.sort((a, b) => a - b);
+  }
+  
+  // Readable foreground for every color, unless disabled with contrast: false
+  const contrast = cfg.colorDerivation?.contrast ?? {};
+  const pair = color => contrast === false ? color : withOnColor(color, contrast);
+  palette = palette.map(pair);
+  
+  // Tonal scales for every color, unless disabled with tonalScale: false
+  const withScale = color => cfg.colorDerivation?.tonalScale === false ? color : { ...color, scale: deriveTonalScale(color) };
+  palette = palette.map(withScale);
+  
+  // Primary color is the first in the palette
+  const primaryColor = palette[0] || null;
+  
+  // Accent follows the harmony scheme (complementary for random palettes)
+  const accentColor = primaryColor ? withScale(pair(deriveAccentColor(primaryColor, scheme, colorMode))) : null;
+  
+  // Light and dark variants; site.theme picks the one used without a preference
+  const themes = primaryColor && cfg.colorDerivation?.themes !== false ? {
+    default: cfg.site?.theme === 'dark' ? 'dark' : 'light',
+    light: deriveTheme('light', palette, accentColor, contrast),
+    dark: deriveTheme('dark', palette, accentColor, contrast)
+  } : null;
+  
+  // Scored after contrast nudges, which can pull adjusted colors back together,
+  // so `distinguishable` is false whenever enforcement did not hold
+  const scores = scorePalette(palette.map(c => c.hex), cvdCfg);
+  const cvd = {
+    minDeltaE: cvdCfg.minDeltaE ?? DEFAULT_MIN_DELTA_E,
+    enforced: Boolean(cvdCfg.enforce),
+    distinguishable: Object.values(scores).every(score => score.distinguishable),
+    adjusted: cvdAdjusted,
+    scores
+  };
+  
+  return {
+    palette,
+    primaryColor,
+    accentColor,
+    hash,
+    algorithm,
+    colorMode,
+    scheme,
+    specVersion: getSpecVersion(cfg),
+    byteSource: getByteSource(cfg),
+    themes,
+    cvd,
+    metadata: parsedData.metadata || {},
+    network: parsedData.network || null,
+    seedType: parsedData.seedType || 'block',
+    seed,
+    derivedAt: options.derivedAt || new Date().toISOString()
+  };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    hexToHsl,
+    hslToCss,
+    hslToHex,
+    deriveOklchColor,
+    colorFromHsl,
+    colorFromHex,
+    colorFromOklch,
+    deriveTonalScale,
+    withOnColor,
+    getSchemeHue,
+    derivePalette,
+    getRollingWeights,
+    blendHsl,
+    blendOklch,
+    deriveTheme,
+    deriveAccentColor,
+    COLOR_MODES,
+    SCHEMES,
+    SPECS,
+    CURRENT_SPEC,
+    DEFAULT_SPEC,
+    MAX_PALETTE_SIZE,
+    getSpecVersion,
+    deriveColorData
+  };
+}
+
+// ES Module export
+export {
+  hexToHsl,
+  hslToCss,
+  hslToHex,
+  deriveOklchColor,
+  colorFromHsl,
+  colorFromHex,
+  colorFromOklch,
+  deriveTonalScale,
+  withOnColor,
+  getSchemeHue,
+  derivePalette,
+  getRollingWeights,
+  blendHsl,
+  blendOklch,
+  deriveTheme,
+  deriveAccentColor,
+  COLOR_MODES,
+  SCHEMES,
+  SPECS,
+  CURRENT_SPEC,
+  DEFAULT_SPEC,
+  MAX_PALETTE_SIZE,
+  getSpecVersion,
+  deriveColorData
+};
@@ -0,0 +1,220 @@
+/**
+ * colorSpace.js - OKLab / OKLCH Color Space Conversions
+ * Converts between sRGB hex, OKLab and OKLCH (Björn Ottosson's perceptual
+ * color space) and maps out-of-gamut OKLCH colors back into sRGB by
+ * reducing chroma, keeping lightness and hue.
+ */
+
+// Chroma difference below which binary search for the gamut boundary stops
+const GAMUT_EPSILON = 0.0001;
+
+/**
+ * sRGB transfer function: encoded channel (0-1) to linear light
+ */
+function srgbToLinear(value) {
+  return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Inverse sRGB transfer function: linear light to encoded channel (0-1)
+ */
+function linearToSrgb(value) {
+  return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+}
+
+/**
+ * Parse a hex color to sRGB channels
+ * @param {string} hex - "#rrggbb" or "rrggbb"
+ * @returns {object} { r, g, b } in 0-1
+ */
+function hexToRgb(hex) {
+  const clean = hex.replace(/^#/, '');
+  return {
+    r: parseInt(clean.substring(0, 2), 16) / 255,
+    g: parseInt(clean.substring(2, 4), 16) / 255,
+    b: parseInt(clean.substring(4, 6), 16) / 255
+  };
+}
+
+/**
+ * Format sRGB channels as hex, clamping to the displayable range
+ * @param {object} rgb - { r, g, b } in 0-1
+ * @returns {string} "#rrggbb"
+ */
+function rgbToHex(rgb) {
+  const toHex = n => Math.round(Math.min(1, Math.max(0, n)) * 255).toString(16).padStart(2, '0');
+  return `#${toHex(rgb.r)}${toHex(rgb.g)}${toHex(rgb.b)}`;
+}
+
+/**
+ * sRGB to OKLab
+ * @param {object} rgb - { r, g, b } in 0-1 (gamma encoded)
+ * @returns {object} { L, a, b }
+ */
+function rgbToOklab(rgb) {
+  const r = srgbToLinear(rgb.r);
+  const g = srgbToLinear(rgb.g);
+  const b = srgbToLinear(rgb.b);
+  
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+/**
+ * OKLab to sRGB (unclamped: channels outside 0-1 are out of gamut)
+ * @param {object} lab - { L, a, b }
+ * @returns {object} { r, g, b } gamma encoded
+ */
+function oklabToRgb(lab) {
+  const l = Math.pow(lab.L + 0.3963377774 * lab.a + 0.2158037573 * lab.b, 3);
+  const m = Math.pow(lab.L - 0.1055613458 * lab.a - 0.0638541728 * lab.b, 3);
+  const s = Math.pow(lab.L - 0.0894841775 * lab.a - 1.2914855480 * lab.b, 3);
+  
+  const encode = value => Math.sign(value) * linearToSrgb(Math.abs(value));
+  
+  return {
+    r: encode(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    g: encode(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    b: encode(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+  };
+}
+
+/**
+ * OKLab to OKLCH
+ * @param {object} lab - { L, a, b }
+ * @returns {object} { l, c, h } with h in degrees
+ */
+function oklabToOklch(lab) {
+  const c = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+  const h = (Math.atan2(lab.b, lab.a) * 180 / Math.PI + 360) % 360;
+  return { l: lab.L, c, h };
+}
+
+/**
+ * OKLCH to OKLab
+ * @param {object} lch - { l, c, h }
+ * @returns {object} { L, a, b }
+ */
+function oklchToOklab(lch) {
+  const angle = lch.h * Math.PI / 180;
+  return { L: lch.l, a: lch.c * Math.cos(angle), b: lch.c * Math.sin(angle) };
+}
+
+/**
+ * Check whether sRGB channels are displayable
+ */
+function isInGamut(rgb, tolerance = 1e-6) {
+  return [rgb.r, rgb.g, rgb.b].every(v => v >= -tolerance && v <= 1 + tolerance);
+}
+
+/**
+ * Map an OKLCH color into sRGB by lowering chroma until it fits
+ * @param {object} lch - { l, c, h }
+ * @returns {object} The in-gamut OKLCH color (same l and h, chroma <= input)
+ */
+function gamutMapOklch(lch) {
+  const l = Math.min(1, Math.max(0, lch.l));
+  if (isInGamut(oklabToRgb(oklchToOklab({ ...lch, l })))) {
+    return { ...lch, l };
+  }
+  
+  let low = 0;
+  let high = lch.c;
+  while (high - low > GAMUT_EPSILON) {
+    const mid = (low + high) / 2;
+    if (isInGamut(oklabToRgb(oklchToOklab({ l, c: mid, h: lch.h })))) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  
+  return { l, c: low, h: lch.h };
+}
+
+/**
+ * Hex color to OKLCH
+ * @param {string} hex - "#rrggbb"
+ * @returns {object} { l, c, h }
+ */
+function hexToOklch(hex) {
+  return oklabToOklch(rgbToOklab(hexToRgb(hex)));
+}
+
+/**
+ * OKLCH to hex, gamut-mapping first
+ * @param {object} lch - { l, c, h }
+ * @returns {string} "#rrggbb"
+ */
+function oklchToHex(lch) {
+  return rgbToHex(oklabToRgb(oklchToOklab(gamutMapOklch(lch))));
+}
+
+/**
+ * Round OKLCH components for output (hue is meaningless without chroma)
+ * @param {object} lch - { l, c, h }
+ * @returns {object} { l, c, h } rounded
+ */
+function roundOklch(lch) {
+  const c = Math.round(lch.c * 10000) / 10000;
+  return {
+    l: Math.round(lch.l * 10000) / 10000,
+    c,
+    h: c === 0 ? 0 : Math.round(lch.h * 100) / 100
+  };
+}
+
+/**
+ * Format OKLCH as a CSS Color 4 value
+ * @param {object} lch - { l, c, h }
+ * @returns {string} e.g. "oklch(62.51% 0.1543 231.42)"
+ */
+function formatOklch(lch) {
+  const { l, c, h } = roundOklch(lch);
+  return `oklch(${Math.round(l * 10000) / 100}% ${c} ${h})`;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    srgbToLinear,
+    linearToSrgb,
+    hexToRgb,
+    rgbToHex,
+    rgbToOklab,
+    oklabToRgb,
+    oklabToOklch,
+    oklchToOklab,
+    isInGamut,
+    gamutMapOklch,
+    hexToOklch,
+    oklchToHex,
+    roundOklch,
+    formatOklch
+  };
+}
+
+// ES Module export
+export {
+  srgbToLinear,
+  linearToSrgb,
+  hexToRgb,
+  rgbToHex,
+  rgbToOklab,
+  oklabToRgb,
+  oklabToOklch,
+  oklchToOklab,
+  isInGamut,
+  gamutMapOklch,
+  hexToOklch,
+  oklchToHex,
+  roundOklch,
+  formatOklch
+};
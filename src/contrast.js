@@ -0,0 +1,161 @@
+/**
+ * contrast.js - Contrast Ratios and Readable Foreground Colors
+ * Computes WCAG 2.x contrast ratios and APCA lightness contrast, and finds a
+ * foreground ("on-color") for a background that meets a target, nudging
+ * lightness in fixed OKLCH steps so the result is deterministic
+ */
+
+import { srgbToLinear, hexToRgb, hexToOklch, oklchToHex } from './colorSpace.js';
+
+// Minimum WCAG 2.x contrast ratio per conformance level
+const WCAG_LEVELS = {
+  AA: 4.5,
+  AAA: 7,
+  'AA-large': 3,
+  'AAA-large': 4.5
+};
+
+// OKLCH lightness change per nudge, and the chroma kept in tinted on-colors
+const LIGHTNESS_STEP = 0.01;
+const ON_COLOR_CHROMA = 0.03;
+
+/**
+ * WCAG 2.x relative luminance
+ * @param {string} hex - "#rrggbb"
+ * @returns {number} Luminance (0-1)
+ */
+function relativeLuminance(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  return 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio between two colors (order does not matter)
+ * @param {string} hexA - "#rrggbb"
+ * @param {string} hexB - "#rrggbb"
+ * @returns {number} Ratio from 1 to 21
+ */
+function contrastRatio(hexA, hexB) {
+  const a = relativeLuminance(hexA);
+  const b = relativeLuminance(hexB);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * APCA (0.0.98G-4g) lightness contrast of text on a background
+ * @param {string} textHex - Foreground "#rrggbb"
+ * @param {string} bgHex - Background "#rrggbb"
+ * @returns {number} Lc, positive for dark text on light backgrounds
+ */
+function apcaContrast(textHex, bgHex) {
+  const screenLuminance = hex => {
+    const { r, g, b } = hexToRgb(hex);
+    const y = 0.2126729 * Math.pow(r, 2.4) + 0.7151522 * Math.pow(g, 2.4) + 0.0721750 * Math.pow(b, 2.4);
+    // Soft clamp near black
+    return y < 0.022 ? y + Math.pow(0.022 - y, 1.414) : y;
+  };
+  
+  const text = screenLuminance(textHex);
+  const bg = screenLuminance(bgHex);
+  if (Math.abs(bg - text) < 0.0005) return 0;
+  
+  if (bg > text) {
+    const sapc = (Math.pow(bg, 0.56) - Math.pow(text, 0.57)) * 1.14;
+    return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+  }
+  const sapc = (Math.pow(bg, 0.65) - Math.pow(text, 0.62)) * 1.14;
+  return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}
+
+/**
+ * Resolve contrast options into concrete targets
+ * @param {object} options - { level, minRatio, apca, apcaMinimum }
+ * @returns {object} { level, minRatio, apcaMinimum } (apcaMinimum null when APCA is off)
+ */
+function getContrastTargets(options = {}) {
+  const level = options.level || 'AA';
+  if (!(level in WCAG_LEVELS)) {
+    throw new Error(`Unknown contrast level "${level}" (expected ${Object.keys(WCAG_LEVELS).join(', ')})`);
+  }
+  
+  return {
+    level,
+    minRatio: options.minRatio ?? WCAG_LEVELS[level],
+    apcaMinimum: options.apca ? (options.apcaMinimum ?? 60) : null
+  };
+}
+
+/**
+ * Check a foreground/background pair against the targets
+ */
+function meetsTargets(fgHex, bgHex, targets) {
+  if (contrastRatio(fgHex, bgHex) < targets.minRatio) return false;
+  return targets.apcaMinimum === null || Math.abs(apcaContrast(fgHex, bgHex)) >= targets.apcaMinimum;
+}
+
+/**
+ * Find a readable foreground for a background color. The on-color is a
+ * low-chroma tint of the background's hue on the light or dark side
+ * (whichever contrasts more), moved towards white or black until the
+ * targets are met. If even white or black fails, the background itself is
+ * moved away from the foreground in the same steps.
+ * @param {string} bgHex - Background "#rrggbb"
+ * @param {object} options - { level, minRatio, apca, apcaMinimum }
+ * @returns {object} { hex, background, ratio, apca, level, minRatio, backgroundAdjusted }
+ */
+function findOnColor(bgHex, options = {}) {
+  const targets = getContrastTargets(options);
+  const bg = hexToOklch(bgHex);
+  const light = contrastRatio('#ffffff', bgHex) >= contrastRatio('#000000', bgHex);
+  const direction = light ? 1 : -1;
+  
+  const tint = { l: light ? 0.97 : 0.2, c: Math.min(bg.c, ON_COLOR_CHROMA), h: bg.h };
+  let fgHex = oklchToHex(tint);
+  
+  // Walk the tint towards white/black, ending on pure white/black
+  while (!meetsTargets(fgHex, bgHex, targets) && fgHex !== (light ? '#ffffff' : '#000000')) {
+    tint.l = Math.min(1, Math.max(0, tint.l + direction * LIGHTNESS_STEP));
+    tint.c = Math.max(0, tint.c - ON_COLOR_CHROMA * LIGHTNESS_STEP * 10);
+    fgHex = (tint.l === 1 || tint.l === 0) ? (light ? '#ffffff' : '#000000') : oklchToHex(tint);
+  }
+  
+  // Still short: darken (light text) or lighten (dark text) the background
+  let background = bgHex;
+  const shifted = { ...bg };
+  while (!meetsTargets(fgHex, background, targets) && shifted.l > 0 && shifted.l < 1) {
+    shifted.l = Math.min(1, Math.max(0, shifted.l - direction * LIGHTNESS_STEP));
+    background = oklchToHex(shifted);
+  }
+  
+  return {
+    hex: fgHex,
+    background,
+    ratio: Math.round(contrastRatio(fgHex, background) * 100) / 100,
+    apca: Math.round(apcaContrast(fgHex, background) * 10) / 10,
+    level: targets.level,
+    minRatio: targets.minRatio,
+    backgroundAdjusted: background !== bgHex
+  };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WCAG_LEVELS,
+    relativeLuminance,
+    contrastRatio,
+    apcaContrast,
+    getContrastTargets,
+    findOnColor
+  };
+}
+
+// ES Module export
+export {
+  WCAG_LEVELS,
+  relativeLuminance,
+  contrastRatio,
+  apcaContrast,
+  getContrastTargets,
+  findOnColor
+};
@@ -10,18 +10,26 @@
  * 
  * Usage:
  *   node src/cron_runner.js
+ *   node src/cron_runner.js --height 840000   # re-derive a historical block
+ *   node src/cron_runner.js --hash <blockhash>
+ *   node src/cron_runner.js --raw blk00000.dat  # derive from a raw block/hex dump, no API
+ *   node src/cron_runner.js --seed txid:<txid>  # also address:<addr>, commit[:<repo>], text:<text>
+ *   node src/cron_runner.js --offline         # derive from cached responses only
+ *   node src/cron_runner.js --watch           # stay running, re-derive on every new block
  * 
  * Cron example (every hour):
  *   0 * * * * cd /path/to/blockhash && node src/cron_runner.js >> logs/cron.log 2>&1
  * 
  * Environment variables:
  *   BLOCKHASH_OUTPUT_DIR - Override output directory (default: public)
+ *   BLOCKHASH_CONFIG     - Config file to use instead of inputs/config.json
  *   BLOCKHASH_LOG_FILE   - Log file path (default: logs/cron.log)
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseSeedArg } from './seeds.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,6 +39,42 @@ const OUTPUT_DIR = process.env.BLOCKHASH_OUTPUT_DIR || 'public';
 const LOG_DIR = process.env.BLOCKHASH_LOG_DIR || 'logs';
 const LOG_FILE = process.env.BLOCKHASH_LOG_FILE || path.join(LOG_DIR, 'cron.log');
 
+/**
+ * Parse --height / --hash / --raw / --seed / --offline / --watch from the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} Pipeline target ({} for the chain tip)
+ */
+function parseTarget(argv) {
+  const target = {};
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--offline') {
+      target.offline = true;
+    } else if (argv[i] === '--watch') {
+      target.watch = true;
+    } else if (argv[i] === '--height') {
+      target.height = parseInt(argv[++i], 10);
+      if (!Number.isInteger(target.height) || target.height < 0) {
+        throw new Error(`Invalid --height: ${argv[i]}`);
+      }
+    } else if (argv[i] === '--hash') {
+      target.hash = argv[++i];
+      if (!/^[a-fA-F0-9]{64}$/.test(target.hash || '')) {
+        throw new Error(`Invalid --hash: ${argv[i]}`);
+      }
+    } else if (argv[i] === '--seed') {
+      target.seed = parseSeedArg(argv[++i] || '');
+    } else if (argv[i] === '--raw') {
+      target.raw = argv[++i];
+      if (!target.raw) {
+        throw new Error('--raw requires a file path');
+      }
+    }
+  }
+  
+  return target;
+}
+
 // Ensure log directory exists
 function ensureLogDir() {
   try {
@@ -58,32 +102,86 @@ function log(message, level = 'INFO') {
   }
 }
 
-// Run the pipeline
-async function runPipeline() {
+// Decode the latest block in a raw dump: hex text or binary (blk*.dat)
+async function readRawBlock(file, parseLedgerModule) {
+  const content = fs.readFileSync(path.resolve(process.cwd(), file));
+  const text = content.toString('utf-8');
+  const raw = parseLedgerModule.isRawBlockData(text) ? text : new Uint8Array(content);
+  const cfg = await parseLedgerModule.loadConfig();
+  const blocks = await parseLedgerModule.parseRawBlocks(raw, { verifyPow: cfg.blockchain?.verifyPow });
+  
+  if (blocks.length > 1) {
+    log(`  Dump holds ${blocks.length} blocks, using the last one`);
+  }
+  return blocks[blocks.length - 1];
+}
+
+// Run the pipeline for the chain tip, or for the block named in target
+async function runPipeline(target = {}) {
   const startTime = Date.now();
   log('Starting BlockHash color derivation pipeline');
   
   try {
-    // Step 1: Fetch latest block hash
-    log('Step 1: Fetching latest block hash...');
+    // Step 1: Fetch the target block (or decode it from a raw dump)
     const fetchBlockchain = await import('./fetchBlockchain.js');
-    const rawHash = await fetchBlockchain.fetchLatestBlockHash();
+    const parseLedgerModule = await import('./parseLedger.js');
+    let block = null;
+    if (target.seed) {
+      // Typed seeds (txid, address, commit, text) need no block at all
+      log(`Step 1: Using ${target.seed.seedType} seed...`);
+    } else if (target.raw) {
+      log(`Step 1: Reading raw block from ${target.raw}...`);
+      block = await readRawBlock(target.raw, parseLedgerModule);
+    } else {
+      log(target.hash || target.height !== undefined
+        ? `Step 1: Fetching block ${target.hash || `at height ${target.height}`}...`
+        : 'Step 1: Fetching latest block...');
+      block = await fetchBlockchain.fetchBlock(
+        { height: target.height, hash: target.hash },
+        { offline: target.offline }
+      );
+    }
     
-    if (!rawHash) {
+    if (!target.seed && (!block || !block.hash)) {
       throw new Error('Could not fetch block hash');
     }
     
-    log(`  Got hash: ${rawHash}`);
+    if (block) {
+      log(`  Got hash: ${block.hash} (height ${block.height ?? 'unknown'})`);
+      if (block.stale) {
+        log(`  Block data is stale (cached ${block.cachedAt || 'earlier'})`, 'WARN');
+      }
+      (block.warnings || []).forEach(warning => {
+        log(`  ${warning.type}: ${JSON.stringify(warning)}`, 'WARN');
+      });
+    }
+    
+    // Tip runs check whether earlier published tips were orphaned
+    const isTipRun = target.tip || (!target.hash && !target.raw && !target.seed && target.height === undefined);
+    let reorgStep = null;
+    let reorg = null;
+    if (isTipRun) {
+      const reorgModule = await import('./reorg.js');
+      reorgStep = await reorgModule.runReorgStep(block, { offline: target.offline });
+      reorg = reorgStep.reorg;
+      if (reorg) {
+        log(`  Reorg detected at height ${reorg.forkHeight}, superseded: ${reorg.superseded.map(s => s.hash).join(', ')}`, 'WARN');
+      }
+    }
     
-    // Step 2: Parse the hash
+    // Step 2: Parse the block
     log('Step 2: Parsing ledger data...');
-    const parseLedgerModule = await import('./parseLedger.js');
-    const parsedData = await parseLedgerModule.parseLedger({ hash: rawHash });
+    let seedInput = target.seed || block;
+    if (!target.seed && !target.raw) {
+      seedInput = await fetchBlockchain.fetchSeedBlocks(block, { offline: target.offline });
+    }
+    const parsedData = await parseLedgerModule.parseLedger(seedInput);
     
     if (!parsedData || !parsedData.hash) {
       throw new Error('Could not parse block hash');
     }
     
+    const rawHash = block?.hash || parsedData.hash;
     log(`  Parsed hash length: ${parsedData.hash.length}`);
     
     // Step 3: Derive colors
@@ -95,6 +193,10 @@ async function runPipeline() {
       throw new Error('Could not derive colors');
     }
     
+    if (reorg) {
+      colorData.reorg = reorg;
+    }
+    
     log(`  Derived ${colorData.palette.length} colors`);
     log(`  Primary: ${colorData.primaryColor?.hex}`);
     log(`  Accent: ${colorData.accentColor?.hex}`);
@@ -113,12 +215,16 @@ async function runPipeline() {
       log(`    - ${out.type}: ${out.path}`);
     });
     
+    if (reorgStep) {
+      await reorgStep.recordTip();
+    }
+    
     // Success!
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     log(`Pipeline completed successfully in ${duration}s`);
     log(`Primary color: ${colorData.primaryColor?.hex}`);
     log(`Accent color: ${colorData.accentColor?.hex}`);
-    log(`Block hash: ${rawHash}`);
+    log(`${target.seed ? 'Seed' : 'Block'} hash: ${rawHash}`);
     
     return {
       success: true,
@@ -126,10 +232,14 @@ async function runPipeline() {
       primaryColor: colorData.primaryColor?.hex,
       accentColor: colorData.accentColor?.hex,
       palette: colorData.palette.map(c => c.hex),
+      seedType: parsedData.seedType,
+      warnings: block?.warnings || [],
+      reorg,
+      stale: Boolean(block?.stale),
       duration: parseFloat(duration),
       outputs: publishResult.outputs
     };
-    
+  
   } catch (err) {
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     log(`Pipeline failed after ${duration}s: ${err.message}`, 'ERROR');
@@ -143,6 +253,26 @@ async function runPipeline() {
   }
 }
 
+// Watch mode: run the pipeline once now, then once per new block
+async function watch() {
+  const fetchBlockchain = await import('./fetchBlockchain.js');
+  let queue = runPipeline();
+  
+  const unsubscribe = fetchBlockchain.subscribeToBlocks(block => {
+    log(`New block ${block.hash} at height ${block.height ?? 'unknown'}`);
+    // Serialize runs so a burst of blocks never publishes out of order
+    queue = queue.then(() => runPipeline({ hash: block.hash, tip: true }));
+  });
+  
+  const stop = () => {
+    log('Stopping block watcher');
+    unsubscribe();
+    queue.finally(() => process.exit(0));
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
 // Main execution
 async function main() {
   ensureLogDir();
@@ -151,7 +281,12 @@ async function main() {
   log('BlockHash Cron Runner v1.0.0');
   log('========================================');
   
-  const result = await runPipeline();
+  const target = parseTarget(process.argv.slice(2));
+  if (target.watch) {
+    return watch();
+  }
+  
+  const result = await runPipeline(target);
   
   log('========================================');
   
@@ -163,8 +298,24 @@ async function main() {
   }
 }
 
-// Run if executed directly
-main().catch(err => {
-  log(`Fatal error: ${err.message}`, 'ERROR');
-  process.exit(1);
-});
+// Run if executed directly (tests import parseTarget and runPipeline)
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().catch(err => {
+    log(`Fatal error: ${err.message}`, 'ERROR');
+    process.exit(1);
+  });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseTarget,
+    runPipeline
+  };
+}
+
+// ES Module export
+export {
+  parseTarget,
+  runPipeline
+};
@@ -0,0 +1,182 @@
+/**
+ * cvd.js - Color Vision Deficiency Simulation and Distinguishability
+ * Simulates protanopia, deuteranopia and tritanopia (Machado, Oliveira &
+ * Fernandes 2009, full severity) and measures how far apart palette colors
+ * stay under each simulation, as ΔE in OKLab scaled by 100
+ */
+
+import { srgbToLinear, linearToSrgb, hexToRgb, rgbToHex, rgbToOklab, hexToOklch, oklchToHex } from './colorSpace.js';
+
+// Linear-RGB simulation matrices, severity 1.0
+const CVD_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ]
+};
+
+const CVD_TYPES = Object.keys(CVD_MATRICES);
+const DEFAULT_MIN_DELTA_E = 10;
+
+// OKLCH lightness change per adjustment when enforcing, and the iteration cap
+const ADJUST_STEP = 0.02;
+const MAX_ADJUSTMENTS = 200;
+
+/**
+ * Simulate how a color appears with a color vision deficiency
+ * @param {string} hex - "#rrggbb"
+ * @param {string} type - 'protanopia' | 'deuteranopia' | 'tritanopia'
+ * @returns {string} Simulated "#rrggbb"
+ */
+function simulateCvd(hex, type) {
+  const matrix = CVD_MATRICES[type];
+  if (!matrix) {
+    throw new Error(`Unknown color vision deficiency "${type}" (expected ${CVD_TYPES.join(', ')})`);
+  }
+  
+  const { r, g, b } = hexToRgb(hex);
+  const linear = [srgbToLinear(r), srgbToLinear(g), srgbToLinear(b)];
+  const [sr, sg, sb] = matrix.map(row => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2])
+    .map(v => linearToSrgb(Math.min(1, Math.max(0, v))));
+  
+  return rgbToHex({ r: sr, g: sg, b: sb });
+}
+
+/**
+ * Perceptual distance between two colors (OKLab Euclidean distance x 100)
+ * @param {string} hexA - "#rrggbb"
+ * @param {string} hexB - "#rrggbb"
+ * @returns {number} ΔE
+ */
+function deltaE(hexA, hexB) {
+  const a = rgbToOklab(hexToRgb(hexA));
+  const b = rgbToOklab(hexToRgb(hexB));
+  return Math.hypot(a.L - b.L, a.a - b.a, a.b - b.b) * 100;
+}
+
+/**
+ * Find the closest pair of colors
+ * @param {string[]} hexes - Palette colors
+ * @returns {object} { minDeltaE, closestPair: [i, j] } (minDeltaE null for fewer than 2 colors)
+ */
+function closestPair(hexes) {
+  let result = { minDeltaE: null, closestPair: null };
+  
+  for (let i = 0; i < hexes.length; i++) {
+    for (let j = i + 1; j < hexes.length; j++) {
+      const distance = deltaE(hexes[i], hexes[j]);
+      if (result.minDeltaE === null || distance < result.minDeltaE) {
+        result = { minDeltaE: distance, closestPair: [i, j] };
+      }
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Score a palette for normal vision and every simulated deficiency
+ * @param {string[]} hexes - Palette colors
+ * @param {object} options - { minDeltaE }
+ * @returns {object} { normal, protanopia, deuteranopia, tritanopia } each
+ *   { minDeltaE, closestPair, distinguishable }
+ */
+function scorePalette(hexes, options = {}) {
+  const threshold = options.minDeltaE ?? DEFAULT_MIN_DELTA_E;
+  const scores = {};
+  
+  for (const type of ['normal', ...CVD_TYPES]) {
+    const simulated = type === 'normal' ? hexes : hexes.map(hex => simulateCvd(hex, type));
+    const { minDeltaE, closestPair: pair } = closestPair(simulated);
+    scores[type] = {
+      minDeltaE: minDeltaE === null ? null : Math.round(minDeltaE * 100) / 100,
+      closestPair: pair,
+      distinguishable: minDeltaE === null || minDeltaE >= threshold
+    };
+  }
+  
+  return scores;
+}
+
+/**
+ * Adjust a palette until every pair of colors is at least minDeltaE apart
+ * under normal vision and every simulation. Lightness survives all three
+ * deficiencies, so the later color of the worst pair is moved away from the
+ * earlier one in fixed OKLCH lightness steps (turning back at black/white).
+ * @param {string[]} hexes - Palette colors
+ * @param {object} options - { minDeltaE }
+ * @returns {object} { hexes, adjusted: indices changed, distinguishable }
+ */
+function makeDistinguishable(hexes, options = {}) {
+  const threshold = options.minDeltaE ?? DEFAULT_MIN_DELTA_E;
+  const result = [...hexes];
+  const adjusted = new Set();
+  const directions = {};
+  // Unmapped OKLCH of each moved color, so chroma lost to gamut mapping near
+  // black/white comes back if the color turns around
+  const targets = {};
+  
+  for (let attempt = 0; attempt < MAX_ADJUSTMENTS; attempt++) {
+    // Worst pair across normal vision and all simulations
+    let worst = null;
+    for (const type of ['normal', ...CVD_TYPES]) {
+      const simulated = type === 'normal' ? result : result.map(hex => simulateCvd(hex, type));
+      const pair = closestPair(simulated);
+      if (pair.minDeltaE !== null && pair.minDeltaE < threshold && (!worst || pair.minDeltaE < worst.minDeltaE)) {
+        worst = pair;
+      }
+    }
+    if (!worst) {
+      return { hexes: result, adjusted: [...adjusted], distinguishable: true };
+    }
+    
+    const [i, j] = worst.closestPair;
+    const fixed = hexToOklch(result[i]);
+    const moving = targets[j] = targets[j] || hexToOklch(result[j]);
+    directions[j] = directions[j] ?? (moving.l >= fixed.l ? 1 : -1);
+    
+    const next = moving.l + directions[j] * ADJUST_STEP;
+    if (next > 0.98 || next < 0.05) {
+      directions[j] = -directions[j];
+    }
+    moving.l += directions[j] * ADJUST_STEP;
+    
+    result[j] = oklchToHex(moving);
+    adjusted.add(j);
+  }
+  
+  return { hexes: result, adjusted: [...adjusted], distinguishable: false };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CVD_TYPES,
+    DEFAULT_MIN_DELTA_E,
+    simulateCvd,
+    deltaE,
+    scorePalette,
+    makeDistinguishable
+  };
+}
+
+// ES Module export
+export {
+  CVD_TYPES,
+  DEFAULT_MIN_DELTA_E,
+  simulateCvd,
+  deltaE,
+  scorePalette,
+  makeDistinguishable
+};
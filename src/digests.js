@@ -0,0 +1,462 @@
+/**
+ * digests.js - Digest Registry for Color Derivation
+ * Maps colorDerivation.algorithm names to digest functions. SHA-256,
+ * SHA-512 and HMAC-SHA256 use Web Crypto; SHA3-256, BLAKE2b and BLAKE3 are
+ * pure JavaScript, so every algorithm gives the same result in Node.js and
+ * the browser. Also provides the HKDF byte stream palettes are read from
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Convert bytes to a hex string
+ */
+function toHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// SHA3-256 (FIPS 202, Keccak-f[1600] on 64-bit BigInt lanes)
+
+const MASK_64 = (1n << 64n) - 1n;
+
+const KECCAK_ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offset of lane x + 5y
+const KECCAK_ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+];
+
+function rotl64(value, bits) {
+  if (bits === 0) return value;
+  const n = BigInt(bits);
+  return ((value << n) | (value >> (64n - n))) & MASK_64;
+}
+
+function keccakF(lanes) {
+  for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+    // Theta
+    const columns = [0, 1, 2, 3, 4].map(x => lanes[x] ^ lanes[x + 5] ^ lanes[x + 10] ^ lanes[x + 15] ^ lanes[x + 20]);
+    for (let x = 0; x < 5; x++) {
+      const d = columns[(x + 4) % 5] ^ rotl64(columns[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) lanes[x + y] ^= d;
+    }
+    
+    // Rho and pi
+    const moved = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(lanes[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+      }
+    }
+    
+    // Chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        lanes[x + y] = moved[x + y] ^ (~moved[(x + 1) % 5 + y] & MASK_64 & moved[(x + 2) % 5 + y]);
+      }
+    }
+    
+    // Iota
+    lanes[0] ^= roundConstant;
+  }
+}
+
+/**
+ * SHA3-256
+ * @param {Uint8Array} bytes - Input
+ * @returns {Uint8Array} 32-byte digest
+ */
+function sha3_256(bytes) {
+  const rate = 136;
+  const padded = new Uint8Array(Math.floor(bytes.length / rate) * rate + rate);
+  padded.set(bytes);
+  padded[bytes.length] ^= 0x06;
+  padded[padded.length - 1] ^= 0x80;
+  
+  const lanes = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += rate) {
+    for (let i = 0; i < rate / 8; i++) {
+      let lane = 0n;
+      for (let b = 7; b >= 0; b--) lane = (lane << 8n) | BigInt(padded[offset + i * 8 + b]);
+      lanes[i] ^= lane;
+    }
+    keccakF(lanes);
+  }
+  
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) {
+    out[i] = Number((lanes[i >> 3] >> BigInt((i & 7) * 8)) & 0xffn);
+  }
+  return out;
+}
+
+// BLAKE2b-512 (RFC 7693, unkeyed)
+
+const BLAKE2B_IV = [
+  0x6a09e667f3bcc908n, 0xbb67ae8584caa73bn, 0x3c6ef372fe94f82bn, 0xa54ff53a5f1d36f1n,
+  0x510e527fade682d1n, 0x9b05688c2b3e6c1fn, 0x1f83d9abfb41bd6bn, 0x5be0cd19137e2179n
+];
+
+const BLAKE2B_SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+];
+
+function rotr64(value, bits) {
+  const n = BigInt(bits);
+  return ((value >> n) | (value << (64n - n))) & MASK_64;
+}
+
+function blake2bCompress(h, block, counter, last) {
+  const m = [];
+  for (let i = 0; i < 16; i++) {
+    let word = 0n;
+    for (let b = 7; b >= 0; b--) word = (word << 8n) | BigInt(block[i * 8 + b]);
+    m.push(word);
+  }
+  
+  const v = [...h, ...BLAKE2B_IV];
+  v[12] ^= BigInt(counter) & MASK_64;
+  if (last) v[14] ^= MASK_64;
+  
+  const g = (a, b, c, d, x, y) => {
+    v[a] = (v[a] + v[b] + x) & MASK_64;
+    v[d] = rotr64(v[d] ^ v[a], 32);
+    v[c] = (v[c] + v[d]) & MASK_64;
+    v[b] = rotr64(v[b] ^ v[c], 24);
+    v[a] = (v[a] + v[b] + y) & MASK_64;
+    v[d] = rotr64(v[d] ^ v[a], 16);
+    v[c] = (v[c] + v[d]) & MASK_64;
+    v[b] = rotr64(v[b] ^ v[c], 63);
+  };
+  
+  for (let round = 0; round < 12; round++) {
+    const s = BLAKE2B_SIGMA[round % 10];
+    g(0, 4, 8, 12, m[s[0]], m[s[1]]);
+    g(1, 5, 9, 13, m[s[2]], m[s[3]]);
+    g(2, 6, 10, 14, m[s[4]], m[s[5]]);
+    g(3, 7, 11, 15, m[s[6]], m[s[7]]);
+    g(0, 5, 10, 15, m[s[8]], m[s[9]]);
+    g(1, 6, 11, 12, m[s[10]], m[s[11]]);
+    g(2, 7, 8, 13, m[s[12]], m[s[13]]);
+    g(3, 4, 9, 14, m[s[14]], m[s[15]]);
+  }
+  
+  for (let i = 0; i < 8; i++) h[i] ^= v[i] ^ v[i + 8];
+}
+
+/**
+ * BLAKE2b with a 64-byte digest
+ * @param {Uint8Array} bytes - Input
+ * @returns {Uint8Array} 64-byte digest
+ */
+function blake2b(bytes) {
+  const outLength = 64;
+  const h = [...BLAKE2B_IV];
+  h[0] ^= 0x01010000n ^ BigInt(outLength);
+  
+  const blocks = Math.max(1, Math.ceil(bytes.length / 128));
+  for (let i = 0; i < blocks; i++) {
+    const block = new Uint8Array(128);
+    block.set(bytes.subarray(i * 128, (i + 1) * 128));
+    const last = i === blocks - 1;
+    blake2bCompress(h, block, last ? bytes.length : (i + 1) * 128, last);
+  }
+  
+  const out = new Uint8Array(outLength);
+  for (let i = 0; i < outLength; i++) {
+    out[i] = Number((h[i >> 3] >> BigInt((i & 7) * 8)) & 0xffn);
+  }
+  return out;
+}
+
+// BLAKE3 (256-bit output, unkeyed hash mode)
+
+const BLAKE3_IV = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+  0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+const BLAKE3_PERMUTATION = [2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8];
+const BLAKE3_CHUNK_LENGTH = 1024;
+const BLAKE3_BLOCK_LENGTH = 64;
+const CHUNK_START = 1;
+const CHUNK_END = 2;
+const PARENT = 4;
+const ROOT = 8;
+
+function rotr32(value, bits) {
+  return ((value >>> bits) | (value << (32 - bits))) >>> 0;
+}
+
+/**
+ * BLAKE3 compression function
+ * @returns {number[]} 16-word output state
+ */
+function blake3Compress(cv, words, counter, blockLength, flags) {
+  const v = [
+    ...cv,
+    BLAKE3_IV[0], BLAKE3_IV[1], BLAKE3_IV[2], BLAKE3_IV[3],
+    counter >>> 0, Math.floor(counter / 0x100000000) >>> 0, blockLength, flags
+  ];
+  let m = [...words];
+  
+  const g = (a, b, c, d, x, y) => {
+    v[a] = (v[a] + v[b] + x) >>> 0;
+    v[d] = rotr32(v[d] ^ v[a], 16);
+    v[c] = (v[c] + v[d]) >>> 0;
+    v[b] = rotr32(v[b] ^ v[c], 12);
+    v[a] = (v[a] + v[b] + y) >>> 0;
+    v[d] = rotr32(v[d] ^ v[a], 8);
+    v[c] = (v[c] + v[d]) >>> 0;
+    v[b] = rotr32(v[b] ^ v[c], 7);
+  };
+  
+  for (let round = 0; round < 7; round++) {
+    g(0, 4, 8, 12, m[0], m[1]);
+    g(1, 5, 9, 13, m[2], m[3]);
+    g(2, 6, 10, 14, m[4], m[5]);
+    g(3, 7, 11, 15, m[6], m[7]);
+    g(0, 5, 10, 15, m[8], m[9]);
+    g(1, 6, 11, 12, m[10], m[11]);
+    g(2, 7, 8, 13, m[12], m[13]);
+    g(3, 4, 9, 14, m[14], m[15]);
+    m = BLAKE3_PERMUTATION.map(i => m[i]);
+  }
+  
+  for (let i = 0; i < 8; i++) {
+    v[i] = (v[i] ^ v[i + 8]) >>> 0;
+    v[i + 8] = (v[i + 8] ^ cv[i]) >>> 0;
+  }
+  return v;
+}
+
+function blake3Words(block) {
+  const padded = new Uint8Array(BLAKE3_BLOCK_LENGTH);
+  padded.set(block);
+  const view = new DataView(padded.buffer);
+  return Array.from({ length: 16 }, (_, i) => view.getUint32(i * 4, true));
+}
+
+/**
+ * Compress a chunk up to (not including) its final block
+ * @returns {object} Output node { cv, words, counter, blockLength, flags }
+ */
+function blake3ChunkOutput(chunk, counter) {
+  const blocks = Math.max(1, Math.ceil(chunk.length / BLAKE3_BLOCK_LENGTH));
+  let cv = [...BLAKE3_IV];
+  
+  for (let i = 0; i < blocks - 1; i++) {
+    const words = blake3Words(chunk.subarray(i * BLAKE3_BLOCK_LENGTH, (i + 1) * BLAKE3_BLOCK_LENGTH));
+    cv = blake3Compress(cv, words, counter, BLAKE3_BLOCK_LENGTH, i === 0 ? CHUNK_START : 0).slice(0, 8);
+  }
+  
+  const lastBlock = chunk.subarray((blocks - 1) * BLAKE3_BLOCK_LENGTH);
+  return {
+    cv,
+    words: blake3Words(lastBlock),
+    counter,
+    blockLength: lastBlock.length,
+    flags: (blocks === 1 ? CHUNK_START : 0) | CHUNK_END
+  };
+}
+
+function blake3ParentOutput(leftCv, rightCv) {
+  return { cv: [...BLAKE3_IV], words: [...leftCv, ...rightCv], counter: 0, blockLength: BLAKE3_BLOCK_LENGTH, flags: PARENT };
+}
+
+function blake3ChainingValue(output) {
+  return blake3Compress(output.cv, output.words, output.counter, output.blockLength, output.flags).slice(0, 8);
+}
+
+/**
+ * BLAKE3
+ * @param {Uint8Array} bytes - Input
+ * @returns {Uint8Array} 32-byte digest
+ */
+function blake3(bytes) {
+  const chunks = Math.max(1, Math.ceil(bytes.length / BLAKE3_CHUNK_LENGTH));
+  const stack = [];
+  
+  // Every chunk but the last is merged into the tree as soon as it completes
+  for (let i = 0; i < chunks - 1; i++) {
+    let cv = blake3ChainingValue(blake3ChunkOutput(bytes.subarray(i * BLAKE3_CHUNK_LENGTH, (i + 1) * BLAKE3_CHUNK_LENGTH), i));
+    for (let total = i + 1; (total & 1) === 0; total >>= 1) {
+      cv = blake3ChainingValue(blake3ParentOutput(stack.pop(), cv));
+    }
+    stack.push(cv);
+  }
+  
+  let output = blake3ChunkOutput(bytes.subarray((chunks - 1) * BLAKE3_CHUNK_LENGTH), chunks - 1);
+  while (stack.length > 0) {
+    output = blake3ParentOutput(stack.pop(), blake3ChainingValue(output));
+  }
+  
+  const root = blake3Compress(output.cv, output.words, 0, output.blockLength, output.flags | ROOT);
+  const out = new Uint8Array(32);
+  const view = new DataView(out.buffer);
+  for (let i = 0; i < 8; i++) view.setUint32(i * 4, root[i], true);
+  return out;
+}
+
+// Registry
+
+const registry = new Map();
+
+/**
+ * Register a digest function
+ * @param {string} name - Algorithm name as used in colorDerivation.algorithm
+ * @param {function(Uint8Array, object): (Uint8Array|Promise<Uint8Array>)} fn - Digest of the input bytes; receives { secret }
+ */
+function registerDigest(name, fn) {
+  registry.set(name.toLowerCase(), fn);
+}
+
+registerDigest('sha256', async bytes => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+registerDigest('sha512', async bytes => new Uint8Array(await crypto.subtle.digest('SHA-512', bytes)));
+registerDigest('sha3-256', sha3_256);
+registerDigest('blake2b', blake2b);
+registerDigest('blake3', blake3);
+registerDigest('hmac-sha256', async (bytes, options = {}) => {
+  if (!options.secret) {
+    throw new Error('Algorithm "hmac-sha256" needs a secret (colorDerivation.secret or BLOCKHASH_SECRET)');
+  }
+  const key = await crypto.subtle.importKey('raw', encoder.encode(options.secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, bytes));
+});
+
+/**
+ * Names of all registered digests
+ * @returns {string[]} Algorithm names
+ */
+function listDigests() {
+  return [...registry.keys()];
+}
+
+/**
+ * Hash an input with a registered digest
+ * @param {string} name - Algorithm name (case-insensitive)
+ * @param {string|Uint8Array} input - Input (strings are UTF-8 encoded)
+ * @param {object} options - { secret } for keyed algorithms
+ * @returns {Promise<Uint8Array>} Digest
+ * @throws {Error} If the algorithm is not registered
+ */
+async function digestBytes(name, input, options = {}) {
+  const fn = registry.get(String(name).toLowerCase());
+  if (!fn) {
+    throw new Error(`Unknown colorDerivation.algorithm "${name}" (expected ${listDigests().join(', ')})`);
+  }
+  
+  const bytes = typeof input === 'string' ? encoder.encode(input) : input;
+  return fn(bytes, options);
+}
+
+/**
+ * Hash an input with a registered digest
+ * @param {string} name - Algorithm name (case-insensitive)
+ * @param {string|Uint8Array} input - Input (strings are UTF-8 encoded)
+ * @param {object} options - { secret } for keyed algorithms
+ * @returns {Promise<string>} Hex-encoded digest
+ * @throws {Error} If the algorithm is not registered
+ */
+async function digest(name, input, options = {}) {
+  return toHex(await digestBytes(name, input, options));
+}
+
+// HKDF-SHA256 can expand to at most 255 HMAC blocks
+const HKDF_MAX_LENGTH = 255 * 32;
+
+/**
+ * Expandable byte stream over HKDF-SHA256 (RFC 5869): the input keying
+ * material is extracted once, and each read continues the HKDF-Expand
+ * output, so the bytes read in order equal HKDF(ikm, salt, info, n)
+ * @param {Uint8Array} ikm - Input keying material (e.g. a block hash digest)
+ * @param {object} options - { salt, info } as strings (salt defaults to none)
+ * @returns {Promise<object>} { read(length): Promise<Uint8Array>, position }
+ */
+async function createByteStream(ikm, options = {}) {
+  const hmacKey = keyBytes => crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  
+  // No salt means HashLen zero bytes (Web Crypto rejects empty HMAC keys)
+  const salt = options.salt ? encoder.encode(options.salt) : new Uint8Array(32);
+  const prk = await hmacKey(new Uint8Array(await crypto.subtle.sign('HMAC', await hmacKey(salt), ikm)));
+  const info = encoder.encode(options.info || '');
+  
+  let previous = new Uint8Array(0);
+  let counter = 0;
+  let buffer = new Uint8Array(0);
+  
+  return {
+    position: 0,
+    async read(length) {
+      if (this.position + length > HKDF_MAX_LENGTH) {
+        throw new Error(`HKDF stream exhausted: cannot read past ${HKDF_MAX_LENGTH} bytes`);
+      }
+      
+      while (buffer.length < length) {
+        // T(i) = HMAC(PRK, T(i-1) | info | i)
+        const input = new Uint8Array(previous.length + info.length + 1);
+        input.set(previous);
+        input.set(info, previous.length);
+        input[input.length - 1] = ++counter;
+        previous = new Uint8Array(await crypto.subtle.sign('HMAC', prk, input));
+        
+        const grown = new Uint8Array(buffer.length + previous.length);
+        grown.set(buffer);
+        grown.set(previous, buffer.length);
+        buffer = grown;
+      }
+      
+      const out = buffer.slice(0, length);
+      buffer = buffer.slice(length);
+      this.position += length;
+      return out;
+    }
+  };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    sha3_256,
+    blake2b,
+    blake3,
+    registerDigest,
+    listDigests,
+    digestBytes,
+    digest,
+    HKDF_MAX_LENGTH,
+    createByteStream
+  };
+}
+
+// ES Module export
+export {
+  sha3_256,
+  blake2b,
+  blake3,
+  registerDigest,
+  listDigests,
+  digestBytes,
+  digest,
+  HKDF_MAX_LENGTH,
+  createByteStream
+};
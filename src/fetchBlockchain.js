@@ -4,18 +4,49 @@
  * Includes error handling and retry logic
  */
 
+import * as httpCache from './httpCache.js';
+import * as fixtures from './fixtures.js';
+import { verifyBlockHeader, HeaderVerificationError } from './blockHeader.js';
+
 const CONFIG_PATH = '../inputs/config.json';
 
-// Retry configuration
+// Retry configuration - the single retry policy for every network request.
+// Callers above fetchWithRetry (block fetchers, pipelines) do not retry again.
+// Overridable per site via `retry` in inputs/config.json.
 const RETRY_CONFIG = {
   maxRetries: 3,
   initialDelayMs: 1000,
   maxDelayMs: 10000,
-  backoffMultiplier: 2
+  backoffMultiplier: 2,
+  jitter: 'full',               // 'full' (random 0..backoff) or 'none'
+  respectRetryAfter: true,      // honor Retry-After on 429/503
+  maxRetryAfterMs: 60000,       // never sleep longer than this for Retry-After
+  circuitBreaker: {
+    failureThreshold: 5,        // consecutive failures before opening
+    resetTimeoutMs: 60000       // how long to fail fast before a trial request
+  }
 };
 
 let config = null;
 
+// Cache timestamps of responses served stale during the current fetchBlock()
+let staleResponses = [];
+
+// Circuit breaker state per endpoint origin
+const circuitBreakers = new Map();
+
+/**
+ * Raised without touching the network while an endpoint's circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(endpoint, retryAt) {
+    super(`Circuit open for ${endpoint}, failing fast until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.endpoint = endpoint;
+    this.retryAt = retryAt;
+  }
+}
+
 /**
  * Sleep utility for delays
  */
@@ -24,47 +55,248 @@ function sleep(ms) {
 }
 
 /**
- * Exponential backoff delay calculation
+ * Exponential backoff delay calculation with full jitter
  */
 function getBackoffDelay(attempt) {
   const delay = RETRY_CONFIG.initialDelayMs * Math.pow(RETRY_CONFIG.backoffMultiplier, attempt);
-  return Math.min(delay, RETRY_CONFIG.maxDelayMs);
+  const capped = Math.min(delay, RETRY_CONFIG.maxDelayMs);
+  return RETRY_CONFIG.jitter === 'full' ? Math.floor(Math.random() * capped) : capped;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date)
+ * @param {Response} response - Response carrying the header
+ * @returns {number|null} Delay in ms, capped at maxRetryAfterMs, or null
+ */
+function getRetryAfterDelay(response) {
+  const header = response.headers.get('retry-after');
+  if (!RETRY_CONFIG.respectRetryAfter || !header) return null;
+  
+  const seconds = Number(header);
+  const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+  if (!Number.isFinite(delay)) return null;
+  
+  return Math.min(Math.max(delay, 0), RETRY_CONFIG.maxRetryAfterMs);
+}
+
+/**
+ * Circuit breaker key for a URL
+ */
+function getEndpoint(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Get (or create) the breaker for an endpoint
+ */
+function getBreaker(endpoint) {
+  if (!circuitBreakers.has(endpoint)) {
+    circuitBreakers.set(endpoint, { state: 'closed', failures: 0, openedAt: null, lastError: null, trialInFlight: false });
+  }
+  return circuitBreakers.get(endpoint);
+}
+
+/**
+ * Throw if the endpoint's circuit is open; move to half-open once the reset timeout passes
+ * @returns {boolean} True when this request is the half-open trial
+ */
+function checkCircuit(endpoint) {
+  const breaker = getBreaker(endpoint);
+  if (breaker.state === 'closed') return false;
+  
+  // Half-open lets a single trial request through; other callers fail fast until it resolves
+  const retryAt = breaker.openedAt + RETRY_CONFIG.circuitBreaker.resetTimeoutMs;
+  if (breaker.state === 'half-open' || Date.now() < retryAt) {
+    throw new CircuitOpenError(endpoint, retryAt);
+  }
+  
+  breaker.state = 'half-open';
+  breaker.trialInFlight = true;
+  return true;
+}
+
+/**
+ * Record the outcome of one request attempt
+ * @param {string} endpoint - Breaker key from getEndpoint
+ * @param {Error|null} error - Failure, or null on success
+ * @param {boolean} trial - Whether this was the half-open trial request
+ */
+function recordOutcome(endpoint, error = null, trial = false) {
+  const breaker = getBreaker(endpoint);
+  
+  // While half-open only the trial decides; requests started before the
+  // circuit opened may still be finishing
+  if (breaker.state === 'half-open' && !trial) return;
+  breaker.trialInFlight = false;
+  
+  if (!error) {
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    return;
+  }
+  
+  breaker.failures++;
+  breaker.lastError = error.message || String(error);
+  
+  if (breaker.state === 'half-open' || breaker.failures >= RETRY_CONFIG.circuitBreaker.failureThreshold) {
+    if (breaker.state !== 'open') {
+      console.warn(`[fetchWithRetry] Opening circuit for ${endpoint} after ${breaker.failures} failures`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Circuit breaker state of every endpoint contacted so far
+ * @returns {object} { [endpoint]: { state, failures, openedAt, lastError } }
+ */
+function getCircuitBreakerStatus() {
+  const status = {};
+  for (const [endpoint, breaker] of circuitBreakers) {
+    status[endpoint] = {
+      ...breaker,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null
+    };
+  }
+  return status;
 }
 
 /**
- * Fetch with retry logic
+ * Fetch from the network with retry logic
+ * Retries network errors, 5xx and 429 with full-jitter exponential backoff,
+ * honoring Retry-After when the server sends one.
  * @param {string} url - URL to fetch
  * @param {object} options - Fetch options
  * @param {number} attempt - Current attempt number (internal)
  * @returns {Promise<Response>} Fetch response
  */
-async function fetchWithRetry(url, options = {}, attempt = 0) {
+async function fetchFromNetwork(url, options = {}, attempt = 0) {
+  const endpoint = getEndpoint(url);
+  const trial = checkCircuit(endpoint);
+  
+  let response;
   try {
-    const response = await fetch(url, {
+    response = await fetch(url, {
       ...options,
       signal: options.signal || (typeof AbortSignal !== 'undefined' ? AbortSignal.timeout(30000) : undefined)
     });
-    
-    // Retry on server errors (5xx)
-    if (response.status >= 500 && attempt < RETRY_CONFIG.maxRetries) {
-      const delay = getBackoffDelay(attempt);
-      console.warn(`[fetchWithRetry] Server error ${response.status}, retrying in ${delay}ms (attempt ${attempt + 1}/${RETRY_CONFIG.maxRetries})`);
-      await sleep(delay);
-      return fetchWithRetry(url, options, attempt + 1);
-    }
-    
-    return response;
-    
   } catch (error) {
+    recordOutcome(endpoint, error, trial);
+    
     // Retry on network errors
     if (attempt < RETRY_CONFIG.maxRetries) {
       const delay = getBackoffDelay(attempt);
       console.warn(`[fetchWithRetry] Network error: ${error.message}, retrying in ${delay}ms (attempt ${attempt + 1}/${RETRY_CONFIG.maxRetries})`);
       await sleep(delay);
-      return fetchWithRetry(url, options, attempt + 1);
+      return fetchFromNetwork(url, options, attempt + 1);
     }
     throw error;
   }
+  
+  const retryable = response.status >= 500 || response.status === 429;
+  recordOutcome(endpoint, retryable ? new Error(`HTTP ${response.status}`) : null, trial);
+  
+  // Retry on server errors (5xx) and rate limiting (429)
+  if (retryable && attempt < RETRY_CONFIG.maxRetries) {
+    const delay = getRetryAfterDelay(response) ?? getBackoffDelay(attempt);
+    console.warn(`[fetchWithRetry] Server error ${response.status}, retrying in ${delay}ms (attempt ${attempt + 1}/${RETRY_CONFIG.maxRetries})`);
+    await sleep(delay);
+    return fetchFromNetwork(url, options, attempt + 1);
+  }
+  
+  return response;
+}
+
+/**
+ * Fetch with retry logic, backed by the persistent response cache
+ * (GET requests, and POSTs with cache.cachePost).
+ * Cached responses are revalidated with ETag/Last-Modified; when the network
+ * is down (or offline mode is on) the last known response is served instead,
+ * marked stale via the x-blockhash-cache header.
+ * In fixture replay mode responses come from the fixture directory instead;
+ * in record mode live responses are saved there (bypassing the cache).
+ * @param {string} url - URL to fetch
+ * @param {object} options - Fetch options
+ * @returns {Promise<Response>} Fetch response
+ */
+async function fetchWithRetry(url, options = {}) {
+  const mode = fixtures.getFixtureMode();
+  if (mode === 'replay') {
+    return fixtures.replayResponse(url, options);
+  }
+  if (mode === 'record') {
+    return fixtures.recordResponse(url, options, await fetchFromNetwork(url, options));
+  }
+  
+  const cacheCfg = (await loadConfig()).cache || {};
+  
+  if (cacheCfg.enabled === false) {
+    return fetchFromNetwork(url, options);
+  }
+  if (!httpCache.isCacheable(options, cacheCfg)) {
+    if (httpCache.isOfflineMode()) {
+      throw new Error(`Offline mode: ${options.method} responses are not cached (set cache.cachePost) for ${url}`);
+    }
+    return fetchFromNetwork(url, options);
+  }
+  
+  const key = await httpCache.cacheKey(url, options);
+  const cached = await httpCache.getCachedEntry(key, cacheCfg);
+  
+  if (httpCache.isOfflineMode()) {
+    if (!cached) {
+      throw new Error(`Offline mode: no cached response for ${url}`);
+    }
+    return httpCache.fromCacheEntry(cached, 'stale');
+  }
+  
+  let response;
+  try {
+    response = await fetchFromNetwork(url, {
+      ...options,
+      headers: { ...options.headers, ...httpCache.conditionalHeaders(cached) }
+    });
+  } catch (error) {
+    if (cached) {
+      console.warn(`[fetchWithRetry] Network unavailable (${error.message}), serving cached response from ${cached.storedAt}`);
+      return httpCache.fromCacheEntry(cached, 'stale');
+    }
+    throw error;
+  }
+  
+  if (response.status === 304 && cached) {
+    return httpCache.fromCacheEntry(cached, 'hit');
+  }
+  
+  if (response.status >= 500 && cached) {
+    console.warn(`[fetchWithRetry] Server error ${response.status}, serving cached response from ${cached.storedAt}`);
+    return httpCache.fromCacheEntry(cached, 'stale');
+  }
+  
+  if (!response.ok) {
+    return response;
+  }
+  
+  const body = await response.text();
+  await httpCache.putCachedEntry(key, httpCache.toCacheEntry(url, response, body), cacheCfg);
+  
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * Merge site overrides from config.retry into RETRY_CONFIG
+ * @param {object} overrides - Partial RETRY_CONFIG
+ */
+function applyRetryConfig(overrides = {}) {
+  const { circuitBreaker, ...rest } = overrides;
+  Object.assign(RETRY_CONFIG, rest);
+  Object.assign(RETRY_CONFIG.circuitBreaker, circuitBreaker || {});
 }
 
 /**
@@ -79,9 +311,11 @@ async function loadConfig() {
       // Node.js: use fs with import.meta.url
       const { readFile } = await import('fs/promises');
       const { fileURLToPath } = await import('url');
-      const { dirname, join } = await import('path');
+      const { dirname, join, resolve } = await import('path');
       const __dirname = dirname(fileURLToPath(import.meta.url));
-      const configPath = join(__dirname, CONFIG_PATH);
+      const configPath = process.env.BLOCKHASH_CONFIG
+        ? resolve(process.cwd(), process.env.BLOCKHASH_CONFIG)
+        : join(__dirname, CONFIG_PATH);
       const content = await readFile(configPath, 'utf-8');
       config = JSON.parse(content);
     } else {
@@ -89,95 +323,1125 @@ async function loadConfig() {
       const response = await fetch(CONFIG_PATH);
       config = await response.json();
     }
+    validateBlockchainConfig(config);
+    applyRetryConfig(config.retry);
     return config;
   } catch (error) {
+    // Load again next time instead of handing out a rejected config
+    config = null;
     console.error('[fetchBlockchain] Failed to load config:', error);
     throw error;
   }
 }
 
 /**
- * Get the current/latest block hash from the blockchain
- * @returns {Promise<string|null>} The latest block hash or null on failure
+ * Network profiles: default provider and endpoint, genesis hash, and the
+ * hash-format rule every block on that network must satisfy.
+ * `config.blockchain.rpcUrl` and `config.blockchain.provider` override the defaults.
+ *
+ *   minLeadingZeros - zero hex digits implied by the network's PoW limit
+ *   verifyPow       - block hash is the SHA-256d PoW hash (not scrypt/PoS)
  */
-async function fetchLatestBlockHash() {
-  const cfg = await loadConfig();
+const NETWORKS = {
+  bitcoin: {
+    provider: 'esplora',
+    rpcUrl: 'https://blockstream.info/api',
+    genesisHash: '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f',
+    minLeadingZeros: 8,
+    verifyPow: true
+  },
+  testnet: {
+    provider: 'esplora',
+    rpcUrl: 'https://blockstream.info/testnet/api',
+    genesisHash: '000000000933ea01ad0ee984209779baaec3ced90fa3f408719526f8d77f4943',
+    minLeadingZeros: 8,
+    verifyPow: true
+  },
+  signet: {
+    provider: 'esplora',
+    rpcUrl: 'https://mempool.space/signet/api',
+    genesisHash: '00000008819873e925422c1ff0f99f7cc9bbb232af63a077a480a3633bee1ef6',
+    minLeadingZeros: 5,
+    verifyPow: true
+  },
+  // Local bitcoind started with -regtest (default RPC port 18443)
+  regtest: {
+    provider: 'bitcoind',
+    rpcUrl: 'http://127.0.0.1:18443',
+    genesisHash: '0f9188f13cb7b2c71f2a335e3a4fc328bf5beb436012afca590b1a11466e2206',
+    minLeadingZeros: 0,
+    verifyPow: true
+  },
+  litecoin: {
+    provider: 'esplora',
+    rpcUrl: 'https://litecoinspace.org/api',
+    genesisHash: '12a765e31ffd4059bada1e25190f6e98c99d9714d334efa41a195a7e7e04bfe2',
+    minLeadingZeros: 0,
+    verifyPow: false
+  },
+  // No public Esplora instance: blockchain.rpcUrl must name a self-hosted one
+  dogecoin: {
+    provider: 'esplora',
+    rpcUrl: null,
+    genesisHash: '1a91e3dace36e2be3bf030a65679fe821aa1d6ef92e7c9902eb318182c355691',
+    minLeadingZeros: 0,
+    verifyPow: false
+  },
+  ethereum: {
+    provider: 'ethereum',
+    rpcUrl: 'https://cloudflare-eth.com',
+    genesisHash: 'd4e56740f876aef8c010b86a40d5f56745a118d0906a34e69aec8c0db1cb8fa3',
+    minLeadingZeros: 0,
+    verifyPow: false
+  }
+};
+
+// Networks whose genesis block already matched, keyed by network and endpoint
+const verifiedGenesis = new Set();
+
+/**
+ * Raised when the endpoint serves a different chain than the configured network
+ */
+class NetworkMismatchError extends Error {
+  constructor(message, network) {
+    super(message);
+    this.name = 'NetworkMismatchError';
+    this.network = network;
+  }
+}
+
+/**
+ * Look up the profile for config.blockchain.network
+ * @param {object} bc - Blockchain config
+ * @returns {object} Network profile
+ */
+function getNetworkProfile(bc = {}) {
+  const profile = NETWORKS[bc.network];
+  if (!profile) {
+    throw new NetworkMismatchError(
+      `Unknown network "${bc.network}" (expected one of: ${Object.keys(NETWORKS).join(', ')})`,
+      bc.network
+    );
+  }
+  return profile;
+}
+
+/**
+ * Reject blockchain settings that can never fetch when the config is loaded:
+ * an unknown network, or one without a default endpoint (dogecoin) and no
+ * rpcUrl for every source
+ * @param {object} cfg - Configuration
+ * @throws {NetworkMismatchError} If the network is unknown
+ * @throws {Error} If a source has no endpoint
+ */
+function validateBlockchainConfig(cfg) {
   const bc = cfg.blockchain;
+  if (!bc) return;
+  
+  const profile = getNetworkProfile(bc);
+  const sources = bc.quorum?.sources?.length ? bc.quorum.sources : [{}];
+  if (!profile.rpcUrl && sources.some(source => !(source.rpcUrl || bc.rpcUrl))) {
+    throw new Error(`Network "${bc.network}" has no public endpoint: set blockchain.rpcUrl to a ${bc.network} Esplora instance`);
+  }
+}
+
+/**
+ * Check a block hash against the network's hash-format rule
+ * @param {string} network - Network name
+ * @param {string} hash - Block hash
+ * @throws {NetworkMismatchError} If the hash cannot belong to this network
+ */
+function validateNetworkHash(network, hash) {
+  const profile = NETWORKS[network];
+  if (!/^[a-f0-9]{64}$/i.test(hash || '')) {
+    throw new NetworkMismatchError(`Block hash ${hash} is not a 64-digit hex hash`, network);
+  }
+  if (profile && !hash.startsWith('0'.repeat(profile.minLeadingZeros))) {
+    throw new NetworkMismatchError(
+      `Block hash ${hash} lacks the ${profile.minLeadingZeros} leading zeros every ${network} block has`,
+      network
+    );
+  }
+}
+
+/**
+ * Confirm the endpoint's genesis block matches the configured network.
+ * In quorum mode every source is checked, since every source votes; a source
+ * that cannot be reached is left to the quorum and checked on a later run.
+ * Checked once per network/endpoint per process.
+ * @param {object} cfg - Loaded configuration
+ * @throws {NetworkMismatchError} If the endpoint (or any quorum source) serves another chain
+ */
+async function checkGenesis(cfg) {
+  const bc = cfg.blockchain || {};
+  const profile = getNetworkProfile(bc);
+  if (bc.checkGenesis === false || !profile.genesisHash) return;
   
-  const url = `${bc.rpcUrl}${bc.latestBlockEndpoint}`;
+  if (!bc.quorum?.sources?.length) {
+    await checkProviderGenesis(bc.network, profile, resolveProvider(cfg));
+    return;
+  }
   
-  let lastError = null;
-  for (let attempt = 0; attempt <= RETRY_CONFIG.maxRetries; attempt++) {
+  for (const provider of resolveProviderCandidates(cfg)) {
     try {
-      const response = await fetchWithRetry(url);
-      
-      if (!response.ok) {
-        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
-        if (response.status >= 500 && attempt < RETRY_CONFIG.maxRetries) {
-          const delay = getBackoffDelay(attempt);
-          console.warn(`[fetchLatestBlockHash] ${error.message}, retrying in ${delay}ms`);
-          await sleep(delay);
-          continue;
-        }
-        throw error;
-      }
-      
-      const data = await response.json();
-      
-      // Handle different API response formats
-      let hash = null;
-      
-      if (Array.isArray(data) && data.length > 0) {
-        // Blockstream /blocks returns array of blocks
-        // Get the first (latest) block
-        hash = data[0].id || data[0].hash || data[0];
-      } else if (data.block?.hash) {
-        hash = data.block.hash;
-      } else if (data.hash) {
-        hash = data.hash;
-      }
-      
-      console.log('[fetchLatestBlockHash] Latest hash:', hash);
-      return hash;
-      
+      await checkProviderGenesis(bc.network, profile, provider);
     } catch (error) {
-      lastError = error;
-      console.error(`[fetchLatestBlockHash] Attempt ${attempt + 1} failed:`, error.message);
-      
-      if (attempt < RETRY_CONFIG.maxRetries) {
-        const delay = getBackoffDelay(attempt);
-        await sleep(delay);
-      }
+      if (error instanceof NetworkMismatchError) throw error;
+      console.warn(`[checkGenesis] Could not check quorum source ${provider.ctx.baseUrl}:`, error.message);
     }
   }
+}
+
+/**
+ * Compare one provider's genesis block with the network profile
+ * @param {string} network - Configured network
+ * @param {object} profile - Network profile
+ * @param {object} provider - Resolved provider from resolveProvider
+ */
+async function checkProviderGenesis(network, profile, { adapter, ctx }) {
+  const key = `${network}@${ctx.baseUrl}`;
+  if (verifiedGenesis.has(key)) return;
+  
+  const genesis = await adapter.fetchByHeight(ctx, 0);
+  if (genesis.hash !== profile.genesisHash) {
+    throw new NetworkMismatchError(
+      `${ctx.baseUrl} is not a ${network} endpoint: genesis ${genesis.hash}, expected ${profile.genesisHash}`,
+      network
+    );
+  }
+  
+  verifiedGenesis.add(key);
+  console.log(`[checkGenesis] ${ctx.baseUrl} serves ${network}`);
+}
+/**
+ * Remember responses that came from the cache instead of the network
+ * @param {Response} response - Response from fetchWithRetry
+ */
+function trackStale(response) {
+  if (response.headers.get(httpCache.CACHE_STATUS_HEADER) === 'stale') {
+    staleResponses.push(response.headers.get('x-blockhash-cached-at'));
+  }
+}
+
+/**
+ * Request JSON through fetchWithRetry, throwing on non-2xx responses
+ * (BlockNotFoundError for 404, which Esplora-style APIs return for unknown blocks)
+ * @param {string} url - URL to fetch
+ * @param {object} options - Fetch options
+ * @returns {Promise<any>} Parsed JSON body
+ */
+async function requestJson(url, options = {}) {
+  const response = await fetchWithRetry(url, options);
+  
+  if (response.status === 404) {
+    throw new BlockNotFoundError(`Not found: ${url}`, 404);
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
   
-  throw new Error(`Failed to fetch latest block hash after ${RETRY_CONFIG.maxRetries + 1} attempts: ${lastError?.message}`);
+  trackStale(response);
+  return response.json();
+}
+
+/**
+ * Request a plain-text body through fetchWithRetry, throwing on non-2xx responses
+ * (BlockNotFoundError for 404)
+ * @param {string} url - URL to fetch
+ * @returns {Promise<string>} Trimmed response text
+ */
+async function requestText(url) {
+  const response = await fetchWithRetry(url);
+  
+  if (response.status === 404) {
+    throw new BlockNotFoundError(`Not found: ${url}`, 404);
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  trackStale(response);
+  return (await response.text()).trim();
+}
+
+/**
+ * Parse a hex quantity ("0x1a") or pass numbers through
+ */
+function hexToNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  return parseInt(value, 16);
+}
+
+/**
+ * Normalize an Esplora block object (mempool.space `extras` included when present)
+ * @param {object} block - Esplora /block or /blocks entry
+ * @returns {object} Normalized block
+ */
+function normalizeEsploraBlock(block) {
+  if (!block) {
+    throw new Error('Empty block response');
+  }
+  
+  return {
+    hash: block.id || block.hash,
+    height: block.height ?? null,
+    timestamp: block.timestamp ?? null,
+    txCount: block.tx_count ?? null,
+    size: block.size ?? null,
+    prevHash: block.previousblockhash ?? null,
+    version: block.version ?? null,
+    merkleRoot: block.merkle_root ?? null,
+    bits: block.bits ?? null,
+    nonce: block.nonce ?? null,
+    difficulty: block.difficulty ?? null,
+    weight: block.weight ?? null,
+    medianTime: block.mediantime ?? null,
+    totalFees: block.extras?.totalFees ?? null,
+    reward: block.extras?.reward ?? null,
+    coinbaseScriptSig: block.extras?.coinbaseRaw ?? null,
+    miner: block.extras?.pool?.name ?? null
+  };
+}
+
+/**
+ * Normalize an Ethereum JSON-RPC block object
+ * @param {object} block - eth_getBlockBy* result
+ * @returns {object} Normalized block
+ */
+function normalizeEthereumBlock(block) {
+  // eth_getBlockBy* answers null for blocks the node does not know
+  if (!block) {
+    throw new BlockNotFoundError('Block not found');
+  }
+  
+  return {
+    hash: block.hash.replace(/^0x/, ''),
+    height: hexToNumber(block.number),
+    timestamp: hexToNumber(block.timestamp),
+    txCount: Array.isArray(block.transactions) ? block.transactions.length : null,
+    size: hexToNumber(block.size),
+    prevHash: block.parentHash ? block.parentHash.replace(/^0x/, '') : null,
+    version: null,
+    merkleRoot: null,
+    bits: null,
+    nonce: hexToNumber(block.nonce),
+    difficulty: hexToNumber(block.difficulty),
+    weight: null,
+    medianTime: null,
+    totalFees: null,
+    reward: null,
+    coinbaseScriptSig: null,
+    miner: block.miner ?? null
+  };
+}
+
+/**
+ * Call an Ethereum JSON-RPC method
+ * @param {object} ctx - Provider context
+ * @param {string} method - RPC method name
+ * @param {Array} params - RPC params
+ * @returns {Promise<any>} RPC result
+ */
+async function ethereumRpc(ctx, method, params) {
+  const data = await requestJson(ctx.baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+  
+  if (data.error) {
+    throw new Error(`RPC ${method} failed: ${data.error.message}`);
+  }
+  
+  return data.result;
+}
+
+/**
+ * Error returned by a Bitcoin Core JSON-RPC call
+ */
+class RpcError extends Error {
+  constructor(message, code = null, method = null) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.method = method;
+  }
+}
+
+// Node rejected our credentials (HTTP 401/403)
+class RpcAuthError extends RpcError {
+  constructor(message, code, method) {
+    super(message, code, method);
+    this.name = 'RpcAuthError';
+  }
+}
+
+// Block hash or height is not known to the node
+class BlockNotFoundError extends RpcError {
+  constructor(message, code, method) {
+    super(message, code, method);
+    this.name = 'BlockNotFoundError';
+  }
+}
+
+// Node is still loading its block index
+class NodeWarmupError extends RpcError {
+  constructor(message, code, method) {
+    super(message, code, method);
+    this.name = 'NodeWarmupError';
+  }
+}
+
+// Method disabled or unavailable on this node
+class RpcMethodError extends RpcError {
+  constructor(message, code, method) {
+    super(message, code, method);
+    this.name = 'RpcMethodError';
+  }
+}
+
+// Bitcoin Core RPC error codes (src/rpc/protocol.h) mapped to error classes
+const RPC_ERROR_TYPES = {
+  [-5]: BlockNotFoundError,   // RPC_INVALID_ADDRESS_OR_KEY
+  [-8]: BlockNotFoundError,   // RPC_INVALID_PARAMETER (height out of range)
+  [-28]: NodeWarmupError,     // RPC_IN_WARMUP
+  [-32601]: RpcMethodError    // RPC_METHOD_NOT_FOUND
+};
+
+/**
+ * Build the Authorization header for bitcoind from user/password or cookie file
+ * @param {object} bc - Blockchain config
+ * @returns {Promise<string|null>} Basic auth header value
+ */
+async function getBitcoindAuth(bc) {
+  let credentials = null;
+  
+  if (bc.rpcCookieFile) {
+    if (typeof window !== 'undefined') {
+      throw new RpcAuthError('Cookie-file auth is only available in Node.js');
+    }
+    // Re-read on every call: bitcoind rotates the cookie on restart
+    const { readFile } = await import('fs/promises');
+    credentials = (await readFile(bc.rpcCookieFile, 'utf-8')).trim();
+  } else if (bc.rpcUser) {
+    credentials = `${bc.rpcUser}:${bc.rpcPassword || ''}`;
+  }
+  
+  return credentials ? `Basic ${btoa(credentials)}` : null;
+}
+
+/**
+ * Send a batch of JSON-RPC calls to bitcoind
+ * Always batched: bitcoind answers batches with HTTP 200 and per-call errors,
+ * so RPC failures are not mistaken for server errors and retried.
+ * @param {object} ctx - Provider context
+ * @param {Array<[string, Array]>} calls - [method, params] pairs
+ * @returns {Promise<Array>} Results in call order
+ */
+async function bitcoindBatch(ctx, calls) {
+  const headers = { 'Content-Type': 'application/json' };
+  const auth = await getBitcoindAuth(ctx.blockchain);
+  if (auth) {
+    headers.Authorization = auth;
+  }
+  
+  const response = await fetchWithRetry(ctx.baseUrl, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(calls.map(([method, params], id) => ({ jsonrpc: '1.0', id, method, params })))
+  });
+  
+  if (response.status === 401 || response.status === 403) {
+    throw new RpcAuthError(`bitcoind rejected credentials (HTTP ${response.status})`, response.status);
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  
+  trackStale(response);
+  const replies = await response.json();
+  
+  return calls.map(([method], id) => {
+    const reply = replies.find(r => r.id === id);
+    if (!reply) {
+      throw new RpcError(`No reply for ${method}`, null, method);
+    }
+    if (reply.error) {
+      const ErrorType = RPC_ERROR_TYPES[reply.error.code] || RpcError;
+      throw new ErrorType(`RPC ${method} failed: ${reply.error.message}`, reply.error.code, method);
+    }
+    return reply.result;
+  });
+}
+
+/**
+ * Fetch header and block for a hash in a single bitcoind batch
+ * @param {object} ctx - Provider context
+ * @param {string} hash - Block hash
+ * @returns {Promise<object>} Normalized block
+ */
+async function fetchBitcoindBlock(ctx, hash) {
+  const [header, block] = await bitcoindBatch(ctx, [
+    ['getblockheader', [hash, true]],
+    ['getblock', [hash, 1]]
+  ]);
+  
+  return {
+    hash: header.hash,
+    height: header.height,
+    timestamp: header.time,
+    txCount: header.nTx,
+    size: block.size,
+    prevHash: header.previousblockhash ?? null,
+    version: header.version ?? null,
+    merkleRoot: header.merkleroot ?? null,
+    bits: header.bits ? parseInt(header.bits, 16) : null,
+    nonce: header.nonce ?? null,
+    difficulty: header.difficulty ?? null,
+    weight: block.weight ?? null,
+    medianTime: header.mediantime ?? null,
+    totalFees: null,
+    reward: null,
+    coinbaseScriptSig: null,
+    miner: null,
+    // Lets fetchCoinbase look the coinbase up without re-reading the block
+    coinbaseTxid: block.tx?.[0] ?? null
+  };
+}
+
+/**
+ * Provider adapters - each returns the same normalized block object:
+ * { hash, height, timestamp, txCount, size, prevHash, version, merkleRoot,
+ *   bits, nonce, difficulty, weight, medianTime, totalFees, reward,
+ *   coinbaseScriptSig, miner }
+ * with null for anything the provider cannot report.
+ * Adapters for proof-of-work chains also expose fetchHeaderHex(ctx, hash),
+ * returning the raw 80-byte header used for PoW verification, and
+ * fetchCoinbase(ctx, block), returning { scriptSig, reward } for the
+ * coinbase transaction when the block response did not include it.
+ */
+const PROVIDERS = {
+  // Blockstream Esplora and its forks (Litecoin, Dogecoin)
+  esplora: {
+    async fetchTip(ctx) {
+      const endpoint = ctx.blockchain.latestBlockEndpoint || '/blocks';
+      const data = await requestJson(`${ctx.baseUrl}${endpoint}`);
+      return normalizeEsploraBlock(Array.isArray(data) ? data[0] : data);
+    },
+    async fetchByHash(ctx, hash) {
+      return normalizeEsploraBlock(await requestJson(`${ctx.baseUrl}/block/${hash}`));
+    },
+    async fetchByHeight(ctx, height) {
+      const hash = await requestText(`${ctx.baseUrl}/block-height/${height}`);
+      return this.fetchByHash(ctx, hash);
+    },
+    async fetchHeaderHex(ctx, hash) {
+      return requestText(`${ctx.baseUrl}/block/${hash}/header`);
+    },
+    async fetchCoinbase(ctx, block) {
+      // First page of the block's transactions starts with the coinbase
+      const [coinbase] = await requestJson(`${ctx.baseUrl}/block/${block.hash}/txs/0`);
+      return { scriptSig: coinbase.vin[0].scriptsig, reward: coinbase.vout.reduce((sum, out) => sum + out.value, 0) };
+    },
+    async fetchTipHeight(ctx) {
+      return parseInt(await requestText(`${ctx.baseUrl}/blocks/tip/height`), 10);
+    }
+  },
+  
+  // mempool.space and self-hosted mempool instances
+  mempool: {
+    async fetchTip(ctx) {
+      const data = await requestJson(`${ctx.baseUrl}/v1/blocks`);
+      return normalizeEsploraBlock(data[0]);
+    },
+    async fetchByHash(ctx, hash) {
+      return normalizeEsploraBlock(await requestJson(`${ctx.baseUrl}/v1/block/${hash}`));
+    },
+    async fetchByHeight(ctx, height) {
+      const hash = await requestText(`${ctx.baseUrl}/block-height/${height}`);
+      return this.fetchByHash(ctx, hash);
+    },
+    async fetchHeaderHex(ctx, hash) {
+      return requestText(`${ctx.baseUrl}/block/${hash}/header`);
+    },
+    // Only needed when /v1/block came back without `extras`
+    async fetchCoinbase(ctx, block) {
+      return PROVIDERS.esplora.fetchCoinbase(ctx, block);
+    },
+    async fetchTipHeight(ctx) {
+      return parseInt(await requestText(`${ctx.baseUrl}/blocks/tip/height`), 10);
+    },
+    // https://mempool.space/api -> wss://mempool.space/api/v1/ws
+    websocketUrl(ctx) {
+      return `${ctx.baseUrl.replace(/^http/, 'ws')}/v1/ws`;
+    }
+  },
+  
+  // Bitcoin Core (bitcoind) JSON-RPC with cookie or user/password auth
+  bitcoind: {
+    async fetchTip(ctx) {
+      const [hash] = await bitcoindBatch(ctx, [['getbestblockhash', []]]);
+      return fetchBitcoindBlock(ctx, hash);
+    },
+    async fetchByHash(ctx, hash) {
+      return fetchBitcoindBlock(ctx, hash);
+    },
+    async fetchByHeight(ctx, height) {
+      const [hash] = await bitcoindBatch(ctx, [['getblockhash', [height]]]);
+      return fetchBitcoindBlock(ctx, hash);
+    },
+    async fetchHeaderHex(ctx, hash) {
+      const [header] = await bitcoindBatch(ctx, [['getblockheader', [hash, false]]]);
+      return header;
+    },
+    async fetchCoinbase(ctx, block) {
+      // Passing the block hash lets nodes without -txindex find the transaction
+      const [coinbase] = await bitcoindBatch(ctx, [['getrawtransaction', [block.coinbaseTxid, true, block.hash]]]);
+      // bitcoind reports output values in BTC
+      const reward = coinbase.vout.reduce((sum, out) => sum + Math.round(out.value * 1e8), 0);
+      return { scriptSig: coinbase.vin[0].coinbase, reward };
+    },
+    async fetchTipHeight(ctx) {
+      const [count] = await bitcoindBatch(ctx, [['getblockcount', []]]);
+      return count;
+    }
+  },
+  
+  // Ethereum JSON-RPC nodes
+  ethereum: {
+    async fetchTip(ctx) {
+      return normalizeEthereumBlock(await ethereumRpc(ctx, 'eth_getBlockByNumber', ['latest', false]));
+    },
+    async fetchByHash(ctx, hash) {
+      const prefixed = hash.startsWith('0x') ? hash : `0x${hash}`;
+      return normalizeEthereumBlock(await ethereumRpc(ctx, 'eth_getBlockByHash', [prefixed, false]));
+    },
+    async fetchByHeight(ctx, height) {
+      return normalizeEthereumBlock(await ethereumRpc(ctx, 'eth_getBlockByNumber', [`0x${height.toString(16)}`, false]));
+    },
+    async fetchTipHeight(ctx) {
+      return hexToNumber(await ethereumRpc(ctx, 'eth_blockNumber', []));
+    }
+  }
+};
+
+/**
+ * Resolve the provider adapter and context for the configured network
+ * @param {object} cfg - Loaded configuration
+ * @returns {object} { name, adapter, ctx }
+ */
+function resolveProvider(cfg) {
+  const bc = cfg.blockchain || {};
+  const network = getNetworkProfile(bc);
+  const name = bc.provider || network.provider;
+  const adapter = PROVIDERS[name];
+  
+  if (!adapter) {
+    throw new Error(`Unknown blockchain provider "${name}" for network "${bc.network}"`);
+  }
+  
+  const baseUrl = bc.rpcUrl || network.rpcUrl;
+  if (!baseUrl) {
+    throw new Error(`No rpcUrl configured for network "${bc.network}"`);
+  }
+  
+  return { name, adapter, ctx: { baseUrl, blockchain: bc } };
+}
+
+/**
+ * Raised when quorum sources cannot agree on a tip
+ */
+class QuorumError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = 'QuorumError';
+    this.report = report;
+  }
+}
+
+/**
+ * Group successful source results by block hash, largest group first
+ * (ties broken by height so a lagging minority never wins)
+ * @param {Array} results - [{ source, block }]
+ * @returns {Array} [{ hash, height, sources: [...] }]
+ */
+function groupByHash(results) {
+  const groups = new Map();
+  
+  for (const { source, block } of results) {
+    if (!groups.has(block.hash)) {
+      groups.set(block.hash, { hash: block.hash, height: block.height, block, sources: [] });
+    }
+    groups.get(block.hash).sources.push(source);
+  }
+  
+  return [...groups.values()].sort((a, b) =>
+    b.sources.length - a.sources.length || (b.height ?? -1) - (a.height ?? -1)
+  );
+}
+
+/**
+ * Query every configured quorum source in parallel and accept a tip only
+ * when enough of them agree.
+ *
+ * config.blockchain.quorum:
+ *   sources  - [{ name, provider, rpcUrl, ... }] merged over config.blockchain
+ *   required - N sources that must agree (default: majority of M)
+ *   strategy - 'agree' (N report the same tip) or 'highest-common'
+ *              (N agree on the hash at the highest height they all have)
+ *
+ * @param {object} cfg - Loaded configuration
+ * @returns {Promise<object>} Normalized block with a `warnings` array
+ */
+async function fetchQuorumTip(cfg) {
+  const bc = cfg.blockchain;
+  const { sources, strategy = 'agree' } = bc.quorum;
+  const required = bc.quorum.required || Math.floor(sources.length / 2) + 1;
+  
+  const resolved = sources.map(source => {
+    const provider = resolveProvider({ blockchain: { ...bc, quorum: undefined, ...source } });
+    return { ...provider, label: source.name || `${provider.name}:${provider.ctx.baseUrl}` };
+  });
+  
+  const settled = await Promise.allSettled(resolved.map(p => p.adapter.fetchTip(p.ctx)));
+  const report = resolved.map((p, i) => settled[i].status === 'fulfilled'
+    ? { source: p.label, hash: settled[i].value.hash, height: settled[i].value.height }
+    : { source: p.label, error: settled[i].reason?.message || String(settled[i].reason) });
+  
+  let tips = resolved
+    .map((p, i) => ({ source: p.label, provider: p, block: settled[i].value }))
+    .filter((r, i) => settled[i].status === 'fulfilled');
+  
+  if (strategy === 'highest-common') {
+    // Highest height that at least N sources have reached
+    const heights = tips.map(t => t.block.height).filter(h => h !== null).sort((a, b) => b - a);
+    const commonHeight = heights[required - 1];
+    
+    if (commonHeight !== undefined) {
+      const atHeight = await Promise.allSettled(tips.map(t => t.block.height === commonHeight
+        ? Promise.resolve(t.block)
+        : t.provider.adapter.fetchByHeight(t.provider.ctx, commonHeight)));
+      tips = tips
+        .map((t, i) => ({ ...t, block: atHeight[i].value }))
+        .filter((t, i) => atHeight[i].status === 'fulfilled');
+    }
+  } else if (strategy !== 'agree') {
+    throw new Error(`Unknown quorum strategy "${strategy}"`);
+  }
+  
+  const [winner] = groupByHash(tips);
+  
+  if (!winner || winner.sources.length < required) {
+    throw new QuorumError(
+      `Quorum not reached: ${winner?.sources.length || 0} of ${sources.length} sources agree, ${required} required`,
+      report
+    );
+  }
+  
+  // Any split among the reported tips is worth surfacing, even if the
+  // highest-common strategy later found agreement further down the chain
+  const tipsDiffer = new Set(report.map(r => r.hash || r.error)).size > 1;
+  const warnings = [];
+  if (tipsDiffer || winner.sources.length < sources.length) {
+    warnings.push({
+      type: 'quorum-disagreement',
+      strategy,
+      accepted: { hash: winner.hash, height: winner.height, agreed: winner.sources.length, total: sources.length },
+      sources: report
+    });
+    console.warn(`[fetchQuorumTip] Sources disagree, accepted ${winner.hash} (${winner.sources.length}/${sources.length})`);
+  }
+  
+  console.log(`[fetchQuorumTip] Quorum tip (${strategy}):`, winner.hash);
+  return { ...winner.block, warnings };
+}
+
+/**
+ * Get the current/latest block from the configured provider
+ * (or from a quorum of providers when config.blockchain.quorum is set)
+ * @returns {Promise<object>} Normalized block { hash, height, timestamp, txCount, size, prevHash }
+ */
+async function fetchLatestBlock() {
+  const cfg = await loadConfig();
+  
+  if (cfg.blockchain?.quorum?.sources?.length) {
+    return fetchQuorumTip(cfg);
+  }
+  
+  const { name, adapter, ctx } = resolveProvider(cfg);
+  const block = await adapter.fetchTip(ctx);
+  
+  console.log(`[fetchLatestBlock] Latest block via ${name}:`, block.hash);
+  return block;
+}
+
+/**
+ * Get the current/latest block hash from the blockchain
+ * @returns {Promise<string|null>} The latest block hash or null on failure
+ */
+async function fetchLatestBlockHash() {
+  const block = await fetchLatestBlock();
+  return block.hash;
 }
 
 /**
  * Get block details by hash
  * @param {string} hash - Block hash
- * @returns {Promise<object|null>} Block details or null
+ * @returns {Promise<object|null>} Normalized block or null
  */
 async function fetchBlockByHash(hash) {
   const cfg = await loadConfig();
-  const bc = cfg.blockchain;
   
-  const url = `${bc.rpcUrl}/block/${hash}`;
+  try {
+    const { adapter, ctx } = resolveProvider(cfg);
+    return await adapter.fetchByHash(ctx, hash);
+  
+  } catch (error) {
+    console.error('[fetchBlockByHash] Fetch block error:', error);
+    return null;
+  }
+}
+
+/**
+ * Get block details by height
+ * @param {number} height - Block height
+ * @returns {Promise<object|null>} Normalized block or null
+ */
+async function fetchBlockByHeight(height) {
+  const cfg = await loadConfig();
   
   try {
-    const response = await fetchWithRetry(url);
+    const { adapter, ctx } = resolveProvider(cfg);
+    return await adapter.fetchByHeight(ctx, height);
+  
+  } catch (error) {
+    console.error('[fetchBlockByHeight] Fetch block error:', error);
+    return null;
+  }
+}
+
+/**
+ * Every provider a block may come from: the quorum sources, else the primary
+ * @param {object} cfg - Loaded configuration
+ * @returns {Array<object>} Resolved providers from resolveProvider
+ */
+function resolveProviderCandidates(cfg) {
+  const bc = cfg.blockchain || {};
+  return bc.quorum?.sources?.length
+    ? bc.quorum.sources.map(source => resolveProvider({ blockchain: { ...bc, quorum: undefined, ...source } }))
+    : [resolveProvider(cfg)];
+}
+
+/**
+ * Fetch the raw header for a block and check it really hashes to the claimed
+ * hash and meets its own PoW target, and that the provider's prevHash and
+ * merkleRoot agree with it. Throws HeaderVerificationError on failure.
+ * Skipped for networks whose block hash is not the PoW hash (see NETWORKS),
+ * when config.blockchain.verifyPow is false, or when no provider serves headers.
+ * @param {object} cfg - Loaded configuration
+ * @param {object} block - Normalized block
+ * @returns {Promise<object|null>} Verified header fields, or null if skipped
+ */
+async function verifyBlockPow(cfg, block) {
+  const bc = cfg.blockchain || {};
+  if (!(bc.verifyPow ?? getNetworkProfile(bc).verifyPow)) return null;
+  
+  const candidates = resolveProviderCandidates(cfg);
+  const provider = candidates.find(p => p.adapter.fetchHeaderHex);
+  
+  if (!provider) {
+    console.warn(`[verifyBlockPow] No header source for provider ${candidates[0]?.name}, skipping PoW check`);
+    return null;
+  }
+  
+  const headerHex = await provider.adapter.fetchHeaderHex(provider.ctx, block.hash);
+  const header = await verifyBlockHeader(headerHex, block.hash);
+  
+  // Reorg detection and seed walks follow prevHash, so the JSON must agree with the header
+  for (const field of ['prevHash', 'merkleRoot']) {
+    if (block[field] && block[field].toLowerCase() !== header[field]) {
+      throw new HeaderVerificationError(`Provider ${field} ${block[field]} does not match the verified header (${header[field]})`, block.hash);
+    }
+  }
+  
+  console.log('[verifyBlockPow] Header verified for', block.hash);
+  return header;
+}
+
+/**
+ * Fill in the coinbase scriptSig and reward when the provider's block
+ * response lacked them. Metadata only, so failures are logged, not thrown.
+ * Skipped when config.blockchain.fetchCoinbase is false.
+ * @param {object} cfg - Loaded configuration
+ * @param {object} block - Normalized block (updated in place)
+ */
+async function fetchCoinbaseInfo(cfg, block) {
+  if (cfg.blockchain?.fetchCoinbase === false || block.coinbaseScriptSig) return;
+  
+  const provider = resolveProviderCandidates(cfg).find(p => p.adapter.fetchCoinbase);
+  if (!provider) return;
+  
+  try {
+    const { scriptSig, reward } = await provider.adapter.fetchCoinbase(provider.ctx, block);
+    block.coinbaseScriptSig = scriptSig;
+    block.reward = block.reward ?? reward;
+  } catch (error) {
+    console.warn(`[fetchCoinbaseInfo] Could not fetch coinbase of ${block.hash}:`, error.message);
+  }
+}
+
+/**
+ * Fetch the block a pipeline run targets: a historical hash or height, else the tip
+ * @param {object} target - { hash } or { height }; empty for the latest block
+ * @param {object} options - { offline: true } to derive from cached responses only
+ * @returns {Promise<object>} Normalized block stamped with its `network`,
+ *   with `stale`/`cachedAt` when served from cache
+ */
+async function fetchBlock(target = {}, options = {}) {
+  const cfg = await loadConfig();
+  const offline = options.offline ?? cfg.blockchain?.offline ?? false;
+  
+  httpCache.setOfflineMode(offline);
+  staleResponses = [];
+  
+  let block = null;
+  try {
+    await checkGenesis(cfg);
     
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+    // Straight to the adapter: BlockNotFoundError, RpcAuthError and friends
+    // reach the caller instead of collapsing into null
+    if (target.hash) {
+      const { adapter, ctx } = resolveProvider(cfg);
+      block = await adapter.fetchByHash(ctx, target.hash);
+    } else if (target.height !== undefined && target.height !== null) {
+      const { adapter, ctx } = resolveProvider(cfg);
+      block = await adapter.fetchByHeight(ctx, target.height);
+    } else {
+      block = await fetchLatestBlock();
     }
     
-    return await response.json();
+    validateNetworkHash(cfg.blockchain.network, block.hash);
+    block.network = cfg.blockchain.network;
     
-  } catch (error) {
-    console.error('[fetchBlockByHash] Fetch block error:', error);
-    return null;
+    const header = await verifyBlockPow(cfg, block);
+    if (header) {
+      block.header = header;
+    }
+    
+    await fetchCoinbaseInfo(cfg, block);
+  } finally {
+    httpCache.setOfflineMode(false);
+  }
+  
+  if (offline || staleResponses.length > 0) {
+    block.stale = true;
+    block.cachedAt = staleResponses.sort()[0] || null;
+    console.warn(`[fetchBlock] Using cached block data${block.cachedAt ? ` from ${block.cachedAt}` : ''}`);
+  }
+  
+  return block;
+}
+
+/**
+ * Look up the hash of the best-chain block at a height (reorg checks).
+ * Errors propagate, so a failed lookup is never mistaken for a missing block.
+ * @param {number} height - Block height
+ * @param {object} options - { offline: true } to answer from cached responses only
+ * @returns {Promise<string>} Block hash
+ */
+async function fetchHashAtHeight(height, options = {}) {
+  const cfg = await loadConfig();
+  const [{ adapter, ctx }] = resolveProviderCandidates(cfg);
+  
+  httpCache.setOfflineMode(options.offline ?? cfg.blockchain?.offline ?? false);
+  try {
+    return (await adapter.fetchByHeight(ctx, height)).hash;
+  } finally {
+    httpCache.setOfflineMode(false);
+  }
+}
+
+// Recent blocks blended by the multi-block seed modes when no window is configured
+const DEFAULT_SEED_WINDOW = 6;
+
+/**
+ * Gather the blocks a palette is seeded from. With the default
+ * colorDerivation.seedMode ('single') this is just the block itself; the
+ * 'rolling' and 'per-slot' modes also need the preceding blocks, which are
+ * walked back through prevHash.
+ * @param {object} block - Block from fetchBlock
+ * @param {object} options - { offline: true } to walk cached responses only
+ * @returns {Promise<object|object[]>} The block, or recent blocks newest first
+ */
+async function fetchSeedBlocks(block, options = {}) {
+  const cfg = await loadConfig();
+  const derivation = cfg.colorDerivation || {};
+  const mode = derivation.seedMode || 'single';
+  
+  if (mode === 'single') return block;
+  
+  // per-slot needs one block per palette slot
+  const count = mode === 'per-slot'
+    ? derivation.paletteSize || 6
+    : derivation.rollingWindow || DEFAULT_SEED_WINDOW;
+  
+  const blocks = [block];
+  let prevHash = block.prevHash || block.header?.prevHash;
+  
+  httpCache.setOfflineMode(options.offline ?? cfg.blockchain?.offline ?? false);
+  try {
+    while (blocks.length < count && prevHash) {
+      const parent = await fetchBlockByHash(prevHash);
+      if (!parent) {
+        console.warn(`[fetchSeedBlocks] Could not fetch ${prevHash}, seeding from ${blocks.length} block(s)`);
+        break;
+      }
+      blocks.push(parent);
+      prevHash = parent.prevHash;
+    }
+  } finally {
+    httpCache.setOfflineMode(false);
   }
+  
+  console.log(`[fetchSeedBlocks] ${mode} seed from ${blocks.length} block(s)`);
+  return blocks;
+}
+
+// Most blocks a poll will backfill when several arrived between polls
+const MAX_POLL_BACKFILL = 10;
+
+/**
+ * Subscribe to new blocks. Uses a mempool.space-style WebSocket feed
+ * (`{ action: 'want', data: ['blocks'] }`) when one is available and falls
+ * back to polling the tip height. Each new block is emitted exactly once,
+ * however many sources report it.
+ *
+ * @param {function(object): void} onBlock - Called with each new normalized block
+ * @param {object} options
+ *   wsUrl          - WebSocket feed (default: config.blockchain.wsUrl or the provider's)
+ *   pollIntervalMs - Tip-height polling interval (default: config.blockchain.pollIntervalMs or 60000)
+ *   onError        - Called with non-fatal errors
+ * @returns {function(): void} Unsubscribe function
+ */
+function subscribeToBlocks(onBlock, options = {}) {
+  const seenHashes = [];
+  let lastHeight = null;
+  let socket = null;
+  let pollTimer = null;
+  let pollInterval = null;
+  let stopped = false;
+  let provider = null;
+  
+  const reportError = error => {
+    console.warn('[subscribeToBlocks]', error.message);
+    if (options.onError) options.onError(error);
+  };
+  
+  // Dedupe on hash so WebSocket + poll overlap or reconnects never double-fire
+  const emit = block => {
+    if (stopped || !block?.hash || seenHashes.includes(block.hash)) return;
+    
+    seenHashes.push(block.hash);
+    if (seenHashes.length > 100) seenHashes.shift();
+    if (block.height !== null && block.height !== undefined) {
+      lastHeight = Math.max(lastHeight ?? block.height, block.height);
+    }
+    
+    console.log('[subscribeToBlocks] New block:', block.hash);
+    onBlock(block);
+  };
+  
+  const poll = async () => {
+    try {
+      const height = await provider.adapter.fetchTipHeight(provider.ctx);
+      
+      if (lastHeight === null) {
+        // First poll only establishes where we are
+        lastHeight = height;
+      } else if (height > lastHeight) {
+        const from = Math.max(lastHeight + 1, height - MAX_POLL_BACKFILL + 1);
+        for (let h = from; h <= height && !stopped; h++) {
+          emit(await provider.adapter.fetchByHeight(provider.ctx, h));
+        }
+      }
+    } catch (error) {
+      reportError(error);
+    }
+    
+    if (!stopped) {
+      pollTimer = setTimeout(poll, pollInterval);
+    }
+  };
+  
+  const startPolling = () => {
+    if (stopped || pollTimer) return;
+    if (!provider.adapter.fetchTipHeight) {
+      reportError(new Error(`Provider ${provider.name} cannot be polled for new blocks`));
+      return;
+    }
+    console.log(`[subscribeToBlocks] Polling tip height every ${pollInterval}ms`);
+    poll();
+  };
+  
+  const startSocket = wsUrl => {
+    socket = new WebSocket(wsUrl);
+    let opened = false;
+    
+    socket.onopen = () => {
+      opened = true;
+      console.log('[subscribeToBlocks] Connected to', wsUrl);
+      socket.send(JSON.stringify({ action: 'want', data: ['blocks'] }));
+    };
+    
+    socket.onmessage = event => {
+      try {
+        const message = JSON.parse(event.data);
+        if (message.block) {
+          emit(normalizeEsploraBlock(message.block));
+        } else if (Array.isArray(message.blocks) && lastHeight === null) {
+          // Initial snapshot: remember the tip without emitting it
+          const tip = message.blocks.reduce((a, b) => (b.height > a.height ? b : a), message.blocks[0]);
+          if (tip) {
+            seenHashes.push(tip.id);
+            lastHeight = tip.height;
+          }
+        }
+      } catch (error) {
+        reportError(error);
+      }
+    };
+    
+    socket.onclose = () => {
+      if (stopped) return;
+      reportError(new Error(`WebSocket ${opened ? 'closed' : 'unavailable'}, falling back to polling`));
+      socket = null;
+      startPolling();
+    };
+  };
+  
+  loadConfig()
+    .then(cfg => {
+      if (stopped) return;
+      
+      const bc = cfg.blockchain || {};
+      provider = resolveProvider(cfg);
+      pollInterval = options.pollIntervalMs || bc.pollIntervalMs || 60000;
+      
+      const wsUrl = options.wsUrl || bc.wsUrl || provider.adapter.websocketUrl?.(provider.ctx);
+      if (wsUrl && typeof WebSocket !== 'undefined') {
+        startSocket(wsUrl);
+      } else {
+        startPolling();
+      }
+    })
+    .catch(reportError);
+  
+  return function unsubscribe() {
+    stopped = true;
+    if (pollTimer) clearTimeout(pollTimer);
+    if (socket) socket.close();
+  };
 }
 
 /**
@@ -186,19 +1450,17 @@ async function fetchBlockByHash(hash) {
  */
 async function fetchNetworkInfo() {
   const cfg = await loadConfig();
-  const bc = cfg.blockchain;
-  
-  const url = `${bc.rpcUrl}/network`;
   
   try {
-    const response = await fetchWithRetry(url);
+    const { ctx } = resolveProvider(cfg);
+    const response = await fetchWithRetry(`${ctx.baseUrl}/network`);
     
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}`);
     }
     
     return await response.json();
-    
+  
   } catch (error) {
     console.error('[fetchNetworkInfo] Network info error:', error);
     return null;
@@ -209,20 +1471,68 @@ async function fetchNetworkInfo() {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     loadConfig,
+    fetchLatestBlock,
     fetchLatestBlockHash,
+    fetchQuorumTip,
     fetchBlockByHash,
+    fetchBlockByHeight,
+    fetchBlock,
+    fetchHashAtHeight,
+    fetchSeedBlocks,
     fetchNetworkInfo,
+    subscribeToBlocks,
     fetchWithRetry,
-    RETRY_CONFIG
+    RETRY_CONFIG,
+    getBackoffDelay,
+    getRetryAfterDelay,
+    getCircuitBreakerStatus,
+    CircuitOpenError,
+    verifyBlockPow,
+    checkGenesis,
+    validateBlockchainConfig,
+    validateNetworkHash,
+    NETWORKS,
+    PROVIDERS,
+    QuorumError,
+    NetworkMismatchError,
+    RpcError,
+    RpcAuthError,
+    BlockNotFoundError,
+    NodeWarmupError,
+    RpcMethodError
   };
 }
 
 // ES Module export
 export {
   loadConfig,
+  fetchLatestBlock,
   fetchLatestBlockHash,
+  fetchQuorumTip,
   fetchBlockByHash,
+  fetchBlockByHeight,
+  fetchBlock,
+  fetchHashAtHeight,
+  fetchSeedBlocks,
   fetchNetworkInfo,
+  subscribeToBlocks,
   fetchWithRetry,
-  RETRY_CONFIG
+  RETRY_CONFIG,
+  getBackoffDelay,
+  getRetryAfterDelay,
+  getCircuitBreakerStatus,
+  CircuitOpenError,
+  verifyBlockPow,
+  checkGenesis,
+  validateBlockchainConfig,
+  validateNetworkHash,
+  NETWORKS,
+  PROVIDERS,
+  QuorumError,
+  NetworkMismatchError,
+  RpcError,
+  RpcAuthError,
+  BlockNotFoundError,
+  NodeWarmupError,
+  RpcMethodError
 };
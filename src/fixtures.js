@@ -0,0 +1,207 @@
+/**
+ * fixtures.js - Record-and-Replay HTTP Fixtures
+ * Records every provider response made through fetchWithRetry to a fixture
+ * directory, and serves them back in replay mode so pipeline runs are
+ * deterministic and need no network (Node.js only).
+ *
+ * Fixture layout:
+ *   <dir>/fixture.json        - { recordedAt, requests }
+ *   <dir>/config.json         - config the recording ran with, minus credentials
+ *   <dir>/responses/<key>.json - one cache-style entry per request
+ *   <dir>/expected/           - published outputs to compare replays against
+ */
+
+import { cacheKey, toCacheEntry, fromCacheEntry } from './httpCache.js';
+
+// Credentials never written to a fixture: node RPC auth (also per quorum
+// source) and the HMAC palette key. Replays serve recorded responses, so they
+// need no node auth; an hmac-sha256 fixture replays with BLOCKHASH_SECRET set
+const REDACTED_FIELDS = {
+  blockchain: ['rpcUser', 'rpcPassword', 'rpcCookieFile'],
+  colorDerivation: ['secret']
+};
+
+let fixtureMode = null;
+let fixtureDir = null;
+let recordedCount = 0;
+
+/**
+ * Resolve a fixture path relative to the working directory
+ */
+async function resolveFixturePath(...parts) {
+  const { resolve } = await import('path');
+  return resolve(process.cwd(), fixtureDir, ...parts);
+}
+
+/**
+ * Switch fixture mode
+ * @param {object|null} options - { mode: 'record' | 'replay', dir } or null to disable
+ */
+function setFixtureMode(options) {
+  fixtureMode = options?.mode || null;
+  fixtureDir = options?.dir || null;
+  recordedCount = 0;
+  
+  if (fixtureMode && !['record', 'replay'].includes(fixtureMode)) {
+    throw new Error(`Unknown fixture mode "${fixtureMode}"`);
+  }
+  if (fixtureMode && !fixtureDir) {
+    throw new Error('Fixture mode requires a directory');
+  }
+}
+
+/**
+ * @returns {string|null} Active fixture mode
+ */
+function getFixtureMode() {
+  return fixtureMode;
+}
+
+/**
+ * Serve a recorded response
+ * @param {string} url - Request URL
+ * @param {object} options - Fetch options
+ * @returns {Promise<Response>} Recorded response
+ */
+async function replayResponse(url, options = {}) {
+  const { readFile } = await import('fs/promises');
+  const key = await cacheKey(url, options);
+  
+  try {
+    const entry = JSON.parse(await readFile(await resolveFixturePath('responses', `${key}.json`), 'utf-8'));
+    return fromCacheEntry(entry, 'replay');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No recorded fixture for ${options.method || 'GET'} ${url} in ${fixtureDir}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save a live response to the fixture directory
+ * @param {string} url - Request URL
+ * @param {object} options - Fetch options
+ * @param {Response} response - Live response
+ * @returns {Promise<Response>} Equivalent response for the caller (body already consumed)
+ */
+async function recordResponse(url, options, response) {
+  const { writeFile, mkdir } = await import('fs/promises');
+  const key = await cacheKey(url, options);
+  const body = await response.text();
+  const entry = toCacheEntry(url, response, body);
+  
+  // Keep the request identity readable for anyone inspecting the fixture
+  entry.method = options.method || 'GET';
+  if (options.body) entry.requestBody = options.body;
+  
+  const responsesDir = await resolveFixturePath('responses');
+  await mkdir(responsesDir, { recursive: true });
+  await writeFile(await resolveFixturePath('responses', `${key}.json`), JSON.stringify(entry, null, 2) + '\n', 'utf-8');
+  recordedCount++;
+  
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * Write the fixture manifest after a recording run
+ * @param {object} manifest - Extra manifest fields (recordedAt is required)
+ */
+async function writeFixtureManifest(manifest) {
+  const { writeFile, mkdir } = await import('fs/promises');
+  await mkdir(await resolveFixturePath(), { recursive: true });
+  await writeFile(
+    await resolveFixturePath('fixture.json'),
+    JSON.stringify({ ...manifest, requests: recordedCount }, null, 2) + '\n',
+    'utf-8'
+  );
+}
+
+/**
+ * Read the fixture manifest for a replay run
+ * @returns {Promise<object>} Manifest
+ */
+async function readFixtureManifest() {
+  const { readFile } = await import('fs/promises');
+  return JSON.parse(await readFile(await resolveFixturePath('fixture.json'), 'utf-8'));
+}
+
+/**
+ * Copy a config without the REDACTED_FIELDS credentials
+ * @param {object} config - Loaded configuration
+ * @returns {object} Config safe to commit
+ */
+function redactConfig(config) {
+  const omit = (section, fields) => section && Object.fromEntries(Object.entries(section).filter(([key]) => !fields.includes(key)));
+  const redacted = { ...config };
+  
+  for (const [name, fields] of Object.entries(REDACTED_FIELDS)) {
+    if (config[name]) redacted[name] = omit(config[name], fields);
+  }
+  const sources = config.blockchain?.quorum?.sources;
+  if (Array.isArray(sources)) {
+    redacted.blockchain.quorum = { ...config.blockchain.quorum, sources: sources.map(source => omit(source, REDACTED_FIELDS.blockchain)) };
+  }
+  
+  return redacted;
+}
+
+/**
+ * Save the config a recording ran with. Request URLs are part of the
+ * recorded keys, so replays must load the same config. Credentials are
+ * left out (see REDACTED_FIELDS): fixtures are meant to be committed.
+ * @param {object} config - Loaded configuration
+ */
+async function writeFixtureConfig(config) {
+  const { writeFile, mkdir } = await import('fs/promises');
+  await mkdir(await resolveFixturePath(), { recursive: true });
+  await writeFile(await resolveFixturePath('config.json'), JSON.stringify(redactConfig(config), null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Resolve the config saved with the fixture
+ * @returns {Promise<string|null>} Absolute path, or null for fixtures recorded without one
+ */
+async function getFixtureConfigPath() {
+  const { access } = await import('fs/promises');
+  const configPath = await resolveFixturePath('config.json');
+  return access(configPath).then(() => configPath, () => null);
+}
+
+/**
+ * Resolve the directory holding expected published outputs
+ * @returns {Promise<string>} Absolute path
+ */
+async function getExpectedDir() {
+  return resolveFixturePath('expected');
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    setFixtureMode,
+    getFixtureMode,
+    replayResponse,
+    recordResponse,
+    writeFixtureManifest,
+    readFixtureManifest,
+    redactConfig,
+    writeFixtureConfig,
+    getFixtureConfigPath,
+    getExpectedDir
+  };
+}
+
+// ES Module export
+export {
+  setFixtureMode,
+  getFixtureMode,
+  replayResponse,
+  recordResponse,
+  writeFixtureManifest,
+  readFixtureManifest,
+  redactConfig,
+  writeFixtureConfig,
+  getFixtureConfigPath,
+  getExpectedDir
+};
@@ -0,0 +1,261 @@
+/**
+ * httpCache.js - Persistent HTTP Response Cache
+ * Stores provider responses on disk (Node.js) or in Cache Storage (browser)
+ * so fetchWithRetry can revalidate with ETag/Last-Modified and fall back to
+ * the last known response when the network is down. Entries past
+ * cache.maxAgeMs, and the oldest beyond cache.maxEntries, are pruned on write.
+ */
+
+const DEFAULT_CACHE_DIR = '.cache/http';
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const BROWSER_CACHE_NAME = 'blockhash-http';
+// Synthetic origin for Cache Storage keys (POST bodies cannot be cache keys)
+const BROWSER_KEY_ORIGIN = 'https://blockhash-cache.invalid/';
+
+// Header set on responses served from the cache: 'hit' or 'stale'
+const CACHE_STATUS_HEADER = 'x-blockhash-cache';
+
+let offlineMode = false;
+
+/**
+ * Check if we're running in Node.js
+ */
+function isNode() {
+  return typeof window === 'undefined' && typeof process === 'object';
+}
+
+/**
+ * Enable or disable offline mode (serve only from cache, never the network)
+ * @param {boolean} enabled - Offline flag
+ */
+function setOfflineMode(enabled) {
+  offlineMode = Boolean(enabled);
+}
+
+/**
+ * @returns {boolean} Whether offline mode is active
+ */
+function isOfflineMode() {
+  return offlineMode;
+}
+
+/**
+ * Build a stable cache key from method, URL and request body
+ * @param {string} url - Request URL
+ * @param {object} options - Fetch options
+ * @returns {Promise<string>} Hex SHA-256 of the request identity
+ */
+async function cacheKey(url, options = {}) {
+  const identity = `${options.method || 'GET'} ${url}\n${options.body || ''}`;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(identity));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Resolve the on-disk cache directory (relative paths are from the repo root)
+ * @param {object} cacheCfg - config.cache
+ * @returns {Promise<string>} Absolute directory path
+ */
+async function getCacheDir(cacheCfg = {}) {
+  const { fileURLToPath } = await import('url');
+  const { dirname, resolve } = await import('path');
+  const __dirname = dirname(fileURLToPath(import.meta.url));
+  return resolve(__dirname, '..', cacheCfg.dir || DEFAULT_CACHE_DIR);
+}
+
+/**
+ * Whether a request's response may be cached: GETs always, POSTs (JSON-RPC
+ * batches, mostly one-off lookups) only with cache.cachePost
+ * @param {object} options - Fetch options
+ * @param {object} cacheCfg - config.cache
+ * @returns {boolean} Cacheable
+ */
+function isCacheable(options = {}, cacheCfg = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  return method === 'GET' || (method === 'POST' && cacheCfg.cachePost === true);
+}
+
+/**
+ * Read a cached entry
+ * @param {string} key - Cache key from cacheKey()
+ * @param {object} cacheCfg - config.cache
+ * @returns {Promise<object|null>} { url, status, statusText, headers, body, storedAt } or null
+ */
+async function getCachedEntry(key, cacheCfg = {}) {
+  try {
+    if (isNode()) {
+      const { readFile } = await import('fs/promises');
+      const { join } = await import('path');
+      const content = await readFile(join(await getCacheDir(cacheCfg), `${key}.json`), 'utf-8');
+      return JSON.parse(content);
+    }
+    
+    if (typeof caches !== 'undefined') {
+      const cache = await caches.open(BROWSER_CACHE_NAME);
+      const match = await cache.match(BROWSER_KEY_ORIGIN + key);
+      return match ? await match.json() : null;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('[httpCache] Failed to read cache entry:', error.message);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Store a cache entry
+ * @param {string} key - Cache key from cacheKey()
+ * @param {object} entry - Entry to store
+ * @param {object} cacheCfg - config.cache
+ */
+async function putCachedEntry(key, entry, cacheCfg = {}) {
+  try {
+    if (isNode()) {
+      const { writeFile, mkdir } = await import('fs/promises');
+      const { join } = await import('path');
+      const dir = await getCacheDir(cacheCfg);
+      await mkdir(dir, { recursive: true });
+      await writeFile(join(dir, `${key}.json`), JSON.stringify(entry, null, 2), 'utf-8');
+    } else if (typeof caches !== 'undefined') {
+      const cache = await caches.open(BROWSER_CACHE_NAME);
+      await cache.put(BROWSER_KEY_ORIGIN + key, new Response(JSON.stringify(entry), {
+        headers: { 'Content-Type': 'application/json' }
+      }));
+    }
+  } catch (error) {
+    // A cache write failure must never fail the fetch itself
+    console.warn('[httpCache] Failed to write cache entry:', error.message);
+    return;
+  }
+  
+  await pruneCache(cacheCfg);
+}
+
+/**
+ * Drop entries older than cache.maxAgeMs (default 7 days), then the oldest
+ * beyond cache.maxEntries (default 500). Age is the time since the entry was
+ * last written. Cache Storage has no write times, so the browser only keeps
+ * the newest maxEntries.
+ * @param {object} cacheCfg - config.cache
+ * @returns {Promise<number>} Entries removed
+ */
+async function pruneCache(cacheCfg = {}) {
+  const maxEntries = cacheCfg.maxEntries ?? DEFAULT_MAX_ENTRIES;
+  const maxAgeMs = cacheCfg.maxAgeMs ?? DEFAULT_MAX_AGE_MS;
+  
+  try {
+    if (isNode()) {
+      const { readdir, stat, unlink } = await import('fs/promises');
+      const { join } = await import('path');
+      const dir = await getCacheDir(cacheCfg);
+      // Concurrent writers may prune the same files, so vanished entries are skipped
+      const entries = (await Promise.all((await readdir(dir))
+        .filter(name => name.endsWith('.json'))
+        .map(name => stat(join(dir, name)).then(info => ({ path: join(dir, name), writtenAt: info.mtimeMs }), () => null))))
+        .filter(Boolean)
+        .sort((a, b) => b.writtenAt - a.writtenAt);
+      
+      const now = Date.now();
+      const expired = entries.filter((entry, i) => i >= maxEntries || now - entry.writtenAt > maxAgeMs);
+      await Promise.all(expired.map(entry => unlink(entry.path).catch(() => {})));
+      return expired.length;
+    }
+    
+    if (typeof caches !== 'undefined') {
+      const cache = await caches.open(BROWSER_CACHE_NAME);
+      // Keys come back in insertion order, oldest first
+      const keys = await cache.keys();
+      const expired = keys.slice(0, Math.max(0, keys.length - maxEntries));
+      await Promise.all(expired.map(request => cache.delete(request)));
+      return expired.length;
+    }
+  } catch (error) {
+    console.warn('[httpCache] Failed to prune cache:', error.message);
+  }
+  
+  return 0;
+}
+
+/**
+ * Capture a network response as a cache entry
+ * @param {string} url - Request URL
+ * @param {Response} response - Successful response
+ * @param {string} body - Response body text (already consumed)
+ * @returns {object} Cache entry
+ */
+function toCacheEntry(url, response, body) {
+  return {
+    url,
+    status: response.status,
+    statusText: response.statusText,
+    headers: {
+      'content-type': response.headers.get('content-type'),
+      etag: response.headers.get('etag'),
+      'last-modified': response.headers.get('last-modified')
+    },
+    body,
+    storedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Rebuild a Response from a cache entry
+ * @param {object} entry - Cache entry
+ * @param {string} status - 'hit' (revalidated) or 'stale' (network unavailable)
+ * @returns {Response} Response carrying the CACHE_STATUS_HEADER
+ */
+function fromCacheEntry(entry, status) {
+  const headers = { [CACHE_STATUS_HEADER]: status, 'x-blockhash-cached-at': entry.storedAt };
+  for (const [name, value] of Object.entries(entry.headers || {})) {
+    if (value) headers[name] = value;
+  }
+  
+  return new Response(entry.body, { status: entry.status, statusText: entry.statusText, headers });
+}
+
+/**
+ * Conditional request headers for revalidating a cached entry
+ * @param {object|null} entry - Cache entry
+ * @returns {object} If-None-Match / If-Modified-Since headers
+ */
+function conditionalHeaders(entry) {
+  const headers = {};
+  if (entry?.headers?.etag) headers['If-None-Match'] = entry.headers.etag;
+  if (entry?.headers?.['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+  return headers;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CACHE_STATUS_HEADER,
+    setOfflineMode,
+    isOfflineMode,
+    cacheKey,
+    isCacheable,
+    getCachedEntry,
+    putCachedEntry,
+    pruneCache,
+    toCacheEntry,
+    fromCacheEntry,
+    conditionalHeaders
+  };
+}
+
+// ES Module export
+export {
+  CACHE_STATUS_HEADER,
+  setOfflineMode,
+  isOfflineMode,
+  cacheKey,
+  isCacheable,
+  getCachedEntry,
+  putCachedEntry,
+  pruneCache,
+  toCacheEntry,
+  fromCacheEntry,
+  conditionalHeaders
+};
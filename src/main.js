@@ -5,8 +5,10 @@
  */
 
 // Pipeline error handling configuration
+// Network retries live in fetchWithRetry (RETRY_CONFIG); whole-pipeline
+// retries are off by default so one outage doesn't multiply requests.
 const PIPELINE_CONFIG = {
-  maxRetries: 2,
+  maxRetries: 0,
   retryableErrors: ['Failed to fetch', 'Network error', 'timeout'],
   stepTimeoutMs: 60000
 };
@@ -25,10 +27,16 @@ class PipelineError extends Error {
 // Import modules (assumes module support or direct script loading)
 const fetchBlockchain = {
   loadConfig: null,
+  fetchLatestBlock: null,
   fetchLatestBlockHash: null,
   fetchBlockByHash: null,
+  fetchBlockByHeight: null,
+  fetchBlock: null,
+  fetchSeedBlocks: null,
   fetchNetworkInfo: null,
-  RETRY_CONFIG: null
+  subscribeToBlocks: null,
+  RETRY_CONFIG: null,
+  getCircuitBreakerStatus: null
 };
 
 const parseLedger = {
@@ -37,15 +45,37 @@ const parseLedger = {
   parseBlockArray: null,
   normalizeHash: null,
   extractBlockMetadata: null,
+  getBlockSubsidy: null,
+  getDifficultyFromBits: null,
+  decodeMinerTag: null,
+  readVarInt: null,
+  computeMerkleRoot: null,
+  isRawBlockData: null,
+  parseRawBlock: null,
+  parseRawBlocks: null,
   parseLedger: null
 };
 
 const deriveColors = {
   loadConfig: null,
-  sha256: null,
   hexToHsl: null,
   hslToCss: null,
   hslToHex: null,
+  deriveOklchColor: null,
+  colorFromHsl: null,
+  colorFromHex: null,
+  colorFromOklch: null,
+  deriveTonalScale: null,
+  tonalScaleVariables: null,
+  withOnColor: null,
+  getSchemeHue: null,
+  derivePalette: null,
+  getRollingWeights: null,
+  blendHsl: null,
+  blendOklch: null,
+  deriveTheme: null,
+  deriveAccentColor: null,
+  deriveColorData: null,
   deriveColors: null,
   generateCssVariables: null
 };
@@ -53,6 +83,7 @@ const deriveColors = {
 const publish = {
   loadConfig: null,
   generateCssVariables: null,
+  generateThemeCss: null,
   generateJsonOutput: null,
   generateHtmlPreview: null,
   publishToFile: null,
@@ -91,8 +122,12 @@ async function initModules() {
 
 /**
  * Main orchestration function - fetch, parse, derive, display
+ * @param {object} options - { height } or { hash } to color a historical block;
+ *   { seed: { seedType, value } } to color a txid, address, commit or text;
+ *   { offline: true } to derive from cached responses only;
+ *   { tip: true } when a hash target is the new chain tip (watch mode)
  */
-async function runPipeline() {
+async function runPipeline(options = {}) {
   console.log('[main] Starting pipeline...');
   const startTime = Date.now();
   
@@ -102,19 +137,38 @@ async function runPipeline() {
     throw new Error('Failed to load modules');
   }
   
-  // Step 1: Fetch latest block hash
-  console.log('[main] Step 1: Fetching latest block hash...');
-  const rawHash = await fetchBlockchain.fetchLatestBlockHash();
-  
-  if (!rawHash) {
-    throw new Error('Failed to fetch latest block hash');
+  // Step 1: Fetch the target block (chain tip unless a height/hash is given);
+  // typed seeds (txid, address, commit, text) need no block
+  let block = null;
+  if (!options.seed) {
+    console.log('[main] Step 1: Fetching block...');
+    block = await fetchBlockchain.fetchBlock(
+      { height: options.height, hash: options.hash },
+      { offline: options.offline }
+    );
+    
+    if (!block || !block.hash) {
+      throw new Error('Failed to fetch latest block hash');
+    }
+    
+    console.log('[main] Raw hash:', block.hash);
   }
   
-  console.log('[main] Raw hash:', rawHash);
+  // Tip runs check whether earlier published tips were orphaned
+  const isTipRun = options.tip || (!options.seed && !options.hash && options.height === undefined);
+  let reorgStep = null;
+  if (isTipRun) {
+    const reorgModule = await import('./reorg.js');
+    reorgStep = await reorgModule.runReorgStep(block, { offline: options.offline });
+    if (reorgStep.reorg) {
+      console.warn('[main] Reorg detected at height', reorgStep.reorg.forkHeight);
+    }
+  }
   
-  // Step 2: Parse the hash
+  // Step 2: Parse the block (or seed)
   console.log('[main] Step 2: Parsing ledger data...');
-  const parsedData = await parseLedger.parseLedger({ hash: rawHash });
+  const seedInput = options.seed || await fetchBlockchain.fetchSeedBlocks(block, { offline: options.offline });
+  const parsedData = await parseLedger.parseLedger(seedInput);
   
   if (!parsedData || !parsedData.hash) {
     throw new Error('Failed to parse block hash');
@@ -130,6 +184,10 @@ async function runPipeline() {
     throw new Error('Failed to derive colors');
   }
   
+  if (reorgStep?.reorg) {
+    colorData.reorg = reorgStep.reorg;
+  }
+  
   console.log('[main] Derived', colorData.palette.length, 'colors');
   
   // Step 4: Generate CSS variables
@@ -142,7 +200,7 @@ async function runPipeline() {
   try {
     // Check if we're in Node.js environment for file publishing
     if (typeof window === 'undefined' && typeof process === 'object') {
-      publishResult = await publish.publish(colorData, { outputDir: 'public' });
+      publishResult = await publish.publish(colorData);
       console.log('[main] Published to files:', publishResult.outputs.map(o => o.type).join(', '));
     } else {
       // Browser: prepare CSS for embedding
@@ -157,6 +215,10 @@ async function runPipeline() {
     publishResult = { success: false, error: pubError.message };
   }
   
+  if (reorgStep && publishResult.success) {
+    await reorgStep.recordTip();
+  }
+  
   // Step 6: Update the UI
   await updateDisplay(colorData, cssVars, parsedData.metadata);
   
@@ -170,6 +232,11 @@ async function runPipeline() {
     primary: colorData.primaryColor,
     accent: colorData.accentColor,
     metadata: parsedData.metadata,
+    seedType: parsedData.seedType,
+    warnings: block?.warnings || [],
+    stale: Boolean(block?.stale),
+    cachedAt: block?.cachedAt || null,
+    reorg: reorgStep?.reorg || null,
     publish: publishResult,
     elapsedMs: elapsed
   };
@@ -182,6 +249,9 @@ async function runPipeline() {
  * @param {object} metadata - Block metadata
  */
 async function updateDisplay(colorData, cssVars, metadata) {
+  // Node.js runs publish files only
+  if (typeof document === 'undefined') return;
+  
   // Apply CSS variables to document
   const style = document.createElement('style');
   style.id = 'generated-colors';
@@ -231,7 +301,7 @@ async function updateDisplay(colorData, cssVars, metadata) {
   // Update metadata display
   if (metadata) {
     const heightEl = document.getElementById('block-height');
-    if (heightEl && metadata.height) {
+    if (heightEl && metadata.height !== null && metadata.height !== undefined) {
       heightEl.textContent = metadata.height.toLocaleString();
     }
     
@@ -239,6 +309,21 @@ async function updateDisplay(colorData, cssVars, metadata) {
     if (txEl && metadata.txCount) {
       txEl.textContent = metadata.txCount.toLocaleString();
     }
+    
+    const difficultyEl = document.getElementById('block-difficulty');
+    if (difficultyEl && metadata.difficulty) {
+      difficultyEl.textContent = metadata.difficulty.toExponential(3);
+    }
+    
+    const feesEl = document.getElementById('block-fees');
+    if (feesEl && metadata.totalFees !== null && metadata.totalFees !== undefined) {
+      feesEl.textContent = `${(metadata.totalFees / 1e8).toFixed(8)} BTC`;
+    }
+    
+    const minerEl = document.getElementById('block-miner');
+    if (minerEl && (metadata.miner || metadata.minerTag)) {
+      minerEl.textContent = metadata.miner || metadata.minerTag;
+    }
   }
   
   // Update timestamp
@@ -248,6 +333,25 @@ async function updateDisplay(colorData, cssVars, metadata) {
   }
 }
 
+/**
+ * Re-run the pipeline the moment each new block lands
+ * @param {object} options - Passed to subscribeToBlocks
+ * @returns {Promise<function(): void>} Unsubscribe function
+ */
+async function watchBlocks(options = {}) {
+  const modulesLoaded = await initModules();
+  if (!modulesLoaded) {
+    throw new Error('Failed to load modules');
+  }
+  
+  let running = Promise.resolve();
+  return fetchBlockchain.subscribeToBlocks(block => {
+    running = running
+      .then(() => runPipeline({ hash: block.hash, tip: true }))
+      .catch(error => console.error('[main] Pipeline error for new block:', error));
+  }, options);
+}
+
 /**
  * Get current pipeline status
  * @returns {object} Status information
@@ -265,6 +369,7 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     initModules,
     runPipeline,
+    watchBlocks,
     updateDisplay,
     getStatus
   };
@@ -304,7 +409,12 @@ async function runPipelineSafe(options = {}) {
   const {
     retries = PIPELINE_CONFIG.maxRetries,
     onStepComplete = null,
-    onError = null
+    onError = null,
+    height,
+    hash,
+    seed,
+    offline,
+    tip
   } = options;
   
   let lastError = null;
@@ -315,7 +425,7 @@ async function runPipelineSafe(options = {}) {
         console.log(`[runPipelineSafe] Retry attempt ${attempt}/${retries}`);
       }
       
-      const result = await runPipeline();
+      const result = await runPipeline({ height, hash, seed, offline, tip });
       
       if (onStepComplete) {
         onStepComplete({ attempt, result });
@@ -326,7 +436,7 @@ async function runPipelineSafe(options = {}) {
         attempt: attempt + 1,
         ...result
       };
-      
+    
     } catch (error) {
       lastError = error;
       console.error(`[runPipelineSafe] Attempt ${attempt + 1} failed:`, error.message);
@@ -368,7 +478,8 @@ function getDetailedStatus() {
     ...basicStatus,
     timestamp: new Date().toISOString(),
     pipelineConfig: PIPELINE_CONFIG,
-    retryConfig: fetchBlockchain.RETRY_CONFIG
+    retryConfig: fetchBlockchain.RETRY_CONFIG,
+    circuitBreakers: fetchBlockchain.getCircuitBreakerStatus?.() || {}
   };
 }
 
@@ -378,6 +489,7 @@ if (typeof module !== 'undefined' && module.exports) {
     initModules,
     runPipeline,
     runPipelineSafe,
+    watchBlocks,
     updateDisplay,
     getStatus,
     getDetailedStatus,
@@ -385,3 +497,16 @@ if (typeof module !== 'undefined' && module.exports) {
     PIPELINE_CONFIG
   };
 }
+
+// ES Module export
+export {
+  initModules,
+  runPipeline,
+  runPipelineSafe,
+  watchBlocks,
+  updateDisplay,
+  getStatus,
+  getDetailedStatus,
+  PipelineError,
+  PIPELINE_CONFIG
+};
@@ -1,10 +1,62 @@
 /**
  * parseLedger.js - Blockchain Ledger Parser Module
- * Parses blockchain data and extracts hash strings for color derivation
+ * Parses blockchain data and extracts hash strings for color derivation.
+ * Accepts provider JSON, bare hashes, and raw serialized blocks/headers
+ * (hex, bytes, or blk*.dat records) so blocks can be ingested with no API.
  */
 
+import {
+  HEADER_LENGTH,
+  hexToBytes,
+  bytesToHex,
+  doubleSha256,
+  decodeBlockHeader,
+  hashBlockHeader,
+  verifyBlockHeader,
+  bitsToTarget
+} from './blockHeader.js';
+import { normalizeSeed } from './seeds.js';
+
 const CONFIG_PATH = '../inputs/config.json';
 
+// Message-start bytes prefixing each block record in Bitcoin Core's blk*.dat files
+const NETWORK_MAGIC = {
+  f9beb4d9: 'bitcoin',
+  '0b110907': 'testnet',
+  '0a03cf40': 'signet',
+  fabfb5da: 'regtest'
+};
+
+// Block subsidy schedules (satoshis) used to split coinbase reward into subsidy and fees
+const SUBSIDY_SCHEDULES = {
+  bitcoin: { initial: 50e8, halvingInterval: 210000 },
+  testnet: { initial: 50e8, halvingInterval: 210000 },
+  signet: { initial: 50e8, halvingInterval: 210000 },
+  regtest: { initial: 50e8, halvingInterval: 150 },
+  litecoin: { initial: 50e8, halvingInterval: 840000 }
+};
+
+// Difficulty 1 target (bits 0x1d00ffff)
+const MAX_TARGET = bitsToTarget(0x1d00ffff);
+
+// Coinbase tags of well-known pools, matched against the decoded scriptSig text
+const POOL_TAGS = [
+  ['Foundry USA', /foundry/i],
+  ['AntPool', /antpool/i],
+  ['ViaBTC', /viabtc/i],
+  ['F2Pool', /f2pool/i],
+  ['Binance Pool', /binance/i],
+  ['MARA Pool', /mara ?pool|marathon/i],
+  ['SpiderPool', /spiderpool/i],
+  ['Luxor', /luxor/i],
+  ['Braiins Pool', /slush|braiins/i],
+  ['Poolin', /poolin/i],
+  ['BTC.com', /btc\.com/i],
+  ['SBI Crypto', /sbicrypto/i],
+  ['OCEAN', /ocean\.xyz/i],
+  ['SecPool', /secpool/i]
+];
+
 let config = null;
 
 /**
@@ -19,9 +71,11 @@ async function loadConfig() {
       // Node.js: use fs with import.meta.url
       const { readFile } = await import('fs/promises');
       const { fileURLToPath } = await import('url');
-      const { dirname, join } = await import('path');
+      const { dirname, join, resolve } = await import('path');
       const __dirname = dirname(fileURLToPath(import.meta.url));
-      const configPath = join(__dirname, CONFIG_PATH);
+      const configPath = process.env.BLOCKHASH_CONFIG
+        ? resolve(process.cwd(), process.env.BLOCKHASH_CONFIG)
+        : join(__dirname, CONFIG_PATH);
       const content = await readFile(configPath, 'utf-8');
       config = JSON.parse(content);
     } else {
@@ -46,6 +100,7 @@ function parseBlockHash(blockData) {
   
   // Handle different API response formats
   // Blockstream format: { id, hash, timestamp, ... }
+  // Normalized provider format: { hash, height, timestamp, txCount, size, prevHash }
   let hash = null;
   
   if (typeof blockData === 'string') {
@@ -104,26 +159,410 @@ function normalizeHash(hash) {
 }
 
 /**
- * Extract additional metadata from block for context
- * @param {object} blockData - Raw block data
+ * Read a Bitcoin CompactSize varint
+ * @param {Uint8Array} bytes - Serialized data
+ * @param {number} offset - Read position
+ * @returns {object} { value, size } where size is the encoded length in bytes
+ */
+function readVarInt(bytes, offset) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const first = bytes[offset];
+  
+  if (first === undefined) {
+    throw new Error(`Unexpected end of data reading varint at byte ${offset}`);
+  }
+  if (first < 0xfd) return { value: first, size: 1 };
+  if (first === 0xfd) return { value: view.getUint16(offset + 1, true), size: 3 };
+  if (first === 0xfe) return { value: view.getUint32(offset + 1, true), size: 5 };
+  return { value: Number(view.getBigUint64(offset + 1, true)), size: 9 };
+}
+
+/**
+ * Read the height pushed at the start of a coinbase scriptSig (BIP34)
+ * @param {Uint8Array} scriptSig - Coinbase input script
+ * @returns {number|null} Block height, or null if the script does not start with one
+ */
+function readCoinbaseHeight(scriptSig) {
+  const op = scriptSig[0];
+  
+  // OP_1..OP_16 (regtest blocks 1-16)
+  if (op >= 0x51 && op <= 0x60) return op - 0x50;
+  if (op < 1 || op > 8 || scriptSig.length < op + 1) return null;
+  
+  let height = 0;
+  for (let i = op; i >= 1; i--) {
+    height = height * 256 + scriptSig[i];
+  }
+  return height;
+}
+
+/**
+ * Parse one serialized transaction (legacy or segwit)
+ * @param {Uint8Array} bytes - Serialized block
+ * @param {number} offset - Start of the transaction
+ * @returns {Promise<object>} { txid, size, strippedSize, inputs, outputs, segwit, end }
+ */
+async function parseRawTransaction(bytes, offset) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const start = offset;
+  let pos = offset + 4;
+  
+  // Segwit marker (0x00) and flag (0x01) follow the version
+  const segwit = bytes[pos] === 0x00 && bytes[pos + 1] === 0x01;
+  if (segwit) pos += 2;
+  const bodyStart = pos;
+  
+  const inputCount = readVarInt(bytes, pos);
+  pos += inputCount.size;
+  const inputs = [];
+  for (let i = 0; i < inputCount.value; i++) {
+    const prevTxid = bytesToHex(bytes.slice(pos, pos + 32).reverse());
+    const vout = view.getUint32(pos + 32, true);
+    pos += 36;
+    const scriptLength = readVarInt(bytes, pos);
+    pos += scriptLength.size;
+    const scriptSig = bytes.subarray(pos, pos + scriptLength.value);
+    pos += scriptLength.value + 4;
+    inputs.push({ prevTxid, vout, scriptSig });
+  }
+  
+  const outputCount = readVarInt(bytes, pos);
+  pos += outputCount.size;
+  const outputs = [];
+  for (let i = 0; i < outputCount.value; i++) {
+    const value = Number(view.getBigUint64(pos, true));
+    pos += 8;
+    const scriptLength = readVarInt(bytes, pos);
+    pos += scriptLength.size;
+    outputs.push({ value, scriptPubKey: bytesToHex(bytes.subarray(pos, pos + scriptLength.value)) });
+    pos += scriptLength.value;
+  }
+  const bodyEnd = pos;
+  
+  if (segwit) {
+    for (let i = 0; i < inputCount.value; i++) {
+      const items = readVarInt(bytes, pos);
+      pos += items.size;
+      for (let j = 0; j < items.value; j++) {
+        const itemLength = readVarInt(bytes, pos);
+        pos += itemLength.size + itemLength.value;
+      }
+    }
+  }
+  pos += 4;
+  
+  if (pos > bytes.length) {
+    throw new Error(`Transaction at byte ${start} runs past the end of the block`);
+  }
+  
+  // txid commits to version, inputs, outputs and locktime only (no witness)
+  const stripped = new Uint8Array(4 + (bodyEnd - bodyStart) + 4);
+  stripped.set(bytes.subarray(start, start + 4), 0);
+  stripped.set(bytes.subarray(bodyStart, bodyEnd), 4);
+  stripped.set(bytes.subarray(pos - 4, pos), 4 + (bodyEnd - bodyStart));
+  const txid = bytesToHex((await doubleSha256(stripped)).reverse());
+  
+  return { txid, size: pos - start, strippedSize: stripped.length, inputs, outputs, segwit, end: pos };
+}
+
+/**
+ * Compute a merkle root from transaction ids
+ * @param {string[]} txids - Transaction ids (display byte order)
+ * @returns {Promise<string>} Merkle root (display byte order)
+ */
+async function computeMerkleRoot(txids) {
+  let level = txids.map(txid => hexToBytes(txid).reverse());
+  
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      // An odd node is paired with itself
+      const right = level[i + 1] || level[i];
+      const pair = new Uint8Array(64);
+      pair.set(level[i], 0);
+      pair.set(right, 32);
+      next.push(await doubleSha256(pair));
+    }
+    level = next;
+  }
+  
+  return bytesToHex(Uint8Array.from(level[0]).reverse());
+}
+
+/**
+ * Normalize raw input to bytes
+ * @param {string|Uint8Array} raw - Hex string (whitespace ignored) or bytes
+ * @returns {Uint8Array} Bytes
+ */
+function toBytes(raw) {
+  return typeof raw === 'string' ? hexToBytes(raw.replace(/\s+/g, '')) : raw;
+}
+
+/**
+ * Check whether input looks like a raw serialized block or header rather
+ * than a provider object or a bare 64-digit hash
+ * @param {*} rawData - Candidate input
+ * @returns {boolean} True for bytes, or hex at least one header long
+ */
+function isRawBlockData(rawData) {
+  if (rawData instanceof Uint8Array) return true;
+  if (typeof rawData !== 'string') return false;
+  
+  const hex = rawData.replace(/\s+/g, '');
+  return hex.length >= HEADER_LENGTH * 2 && /^[a-fA-F0-9]+$/.test(hex);
+}
+
+/**
+ * Parse a raw serialized block, or a bare 80-byte header, into the
+ * normalized block format, recomputing the hash from the header
+ * @param {string|Uint8Array} raw - Hex or bytes, optionally with a blk*.dat magic/length prefix
+ * @param {object} options - { verifyPow: false } to skip the target check (scrypt chains)
+ * @returns {Promise<object>} Normalized block with `header`, `merkleRoot` and `coinbase`
+ * @throws {HeaderVerificationError} If the header fails its own PoW target
+ */
+async function parseRawBlock(raw, options = {}) {
+  let bytes = toBytes(raw);
+  let network = null;
+  
+  const magic = bytesToHex(bytes.subarray(0, 4));
+  if (NETWORK_MAGIC[magic]) {
+    const length = new DataView(bytes.buffer, bytes.byteOffset + 4, 4).getUint32(0, true);
+    network = NETWORK_MAGIC[magic];
+    bytes = bytes.subarray(8, 8 + length);
+  }
+  
+  if (bytes.length < HEADER_LENGTH) {
+    throw new Error(`Raw block must be at least ${HEADER_LENGTH} bytes, got ${bytes.length}`);
+  }
+  
+  const hash = await hashBlockHeader(bytes);
+  const header = options.verifyPow === false
+    ? decodeBlockHeader(bytes)
+    : await verifyBlockHeader(bytes, hash);
+  
+  // Only the genesis block has no parent
+  const isGenesis = /^0+$/.test(header.prevHash);
+  
+  const block = {
+    hash,
+    height: isGenesis ? 0 : null,
+    timestamp: header.timestamp,
+    txCount: null,
+    size: null,
+    prevHash: isGenesis ? null : header.prevHash,
+    header,
+    version: header.version,
+    merkleRoot: header.merkleRoot,
+    bits: header.bits,
+    nonce: header.nonce,
+    powVerified: options.verifyPow !== false
+  };
+  if (network) block.network = network;
+  
+  // Header only: nothing more to decode
+  if (bytes.length === HEADER_LENGTH) {
+    return block;
+  }
+  
+  const txCount = readVarInt(bytes, HEADER_LENGTH);
+  let pos = HEADER_LENGTH + txCount.size;
+  let strippedSize = pos;
+  const txs = [];
+  for (let i = 0; i < txCount.value; i++) {
+    const tx = await parseRawTransaction(bytes, pos);
+    txs.push(tx);
+    strippedSize += tx.strippedSize;
+    pos = tx.end;
+  }
+  
+  const merkleRoot = await computeMerkleRoot(txs.map(tx => tx.txid));
+  if (merkleRoot !== header.merkleRoot) {
+    throw new Error(`Merkle root mismatch in block ${hash}: header ${header.merkleRoot}, transactions ${merkleRoot}`);
+  }
+  
+  const coinbase = txs[0];
+  const scriptSig = coinbase.inputs[0].scriptSig;
+  
+  if (block.height === null && header.version >= 2) {
+    block.height = readCoinbaseHeight(scriptSig);
+  }
+  block.txCount = txCount.value;
+  block.size = pos;
+  block.weight = strippedSize * 3 + pos;
+  block.reward = coinbase.outputs.reduce((sum, out) => sum + out.value, 0);
+  block.coinbaseScriptSig = bytesToHex(scriptSig);
+  block.coinbase = {
+    txid: coinbase.txid,
+    scriptSig: bytesToHex(scriptSig),
+    outputs: coinbase.outputs,
+    totalOutput: block.reward
+  };
+  
+  console.log(`[parseLedger] Decoded raw block ${hash.substring(0, 16)}... (${block.txCount} txs, ${block.size} bytes)`);
+  return block;
+}
+
+/**
+ * Parse every block in a raw dump: a blk*.dat file (magic-prefixed records),
+ * or a single serialized block or header
+ * @param {string|Uint8Array} raw - Hex or bytes
+ * @param {object} options - Passed to parseRawBlock
+ * @returns {Promise<object[]>} Normalized blocks in file order
+ */
+async function parseRawBlocks(raw, options = {}) {
+  const bytes = toBytes(raw);
+  
+  if (!NETWORK_MAGIC[bytesToHex(bytes.subarray(0, 4))]) {
+    return [await parseRawBlock(bytes, options)];
+  }
+  
+  const blocks = [];
+  let pos = 0;
+  // blk*.dat files are preallocated, so records stop at the first zeroed magic
+  while (pos + 8 <= bytes.length && NETWORK_MAGIC[bytesToHex(bytes.subarray(pos, pos + 4))]) {
+    const length = new DataView(bytes.buffer, bytes.byteOffset + pos + 4, 4).getUint32(0, true);
+    blocks.push(await parseRawBlock(bytes.subarray(pos, pos + 8 + length), options));
+    pos += 8 + length;
+  }
+  
+  console.log(`[parseLedger] Parsed ${blocks.length} blocks from raw dump`);
+  return blocks;
+}
+
+/**
+ * Block subsidy at a height
+ * @param {number|null} height - Block height
+ * @param {string|null} network - Network name
+ * @returns {number|null} Subsidy in satoshis, or null if unknown
+ */
+function getBlockSubsidy(height, network) {
+  const schedule = SUBSIDY_SCHEDULES[network];
+  if (!schedule || height === null || height === undefined) return null;
+  
+  const halvings = Math.floor(height / schedule.halvingInterval);
+  return halvings >= 64 ? 0 : Math.floor(schedule.initial / Math.pow(2, halvings));
+}
+
+/**
+ * Difficulty implied by compact `bits`
+ * @param {number} bits - Compact target
+ * @returns {number|null} Difficulty relative to bits 0x1d00ffff
+ */
+function getDifficultyFromBits(bits) {
+  const target = bitsToTarget(bits);
+  return target > 0n ? Number(MAX_TARGET) / Number(target) : null;
+}
+
+/**
+ * Split a script into the data of its pushes
+ * @param {Uint8Array} script - Script bytes
+ * @returns {Uint8Array[]|null} Pushed data, or null if the script is not well-formed
+ */
+function readScriptPushes(script) {
+  const pushes = [];
+  let pos = 0;
+  
+  while (pos < script.length) {
+    const op = script[pos];
+    let length = 0;
+    let skip = 1;
+    
+    if (op >= 0x01 && op <= 0x4b) {
+      length = op;
+    } else if (op === 0x4c) {
+      length = script[pos + 1];
+      skip = 2;
+    } else if (op === 0x4d) {
+      length = script[pos + 1] | (script[pos + 2] << 8);
+      skip = 3;
+    }
+    
+    if (pos + skip + length > script.length) return null;
+    if (length > 0) pushes.push(script.subarray(pos + skip, pos + skip + length));
+    pos += skip + length;
+  }
+  
+  return pushes;
+}
+
+/**
+ * Decode the human-readable tag miners put in the coinbase scriptSig
+ * @param {string|null} scriptSigHex - Coinbase scriptSig as hex
+ * @returns {object} { tag, pool } - printable text (null if none) and matched pool name
+ */
+function decodeMinerTag(scriptSigHex) {
+  if (!scriptSigHex) return { tag: null, pool: null };
+  
+  const script = hexToBytes(scriptSigHex);
+  // Read push data so push-length bytes are not taken for text; coinbase
+  // scriptSigs need not be well-formed, so fall back to the raw bytes
+  const chunks = readScriptPushes(script) || [script];
+  
+  const runs = [];
+  for (const chunk of chunks) {
+    const text = Array.from(chunk, byte => (byte >= 0x20 && byte <= 0x7e ? String.fromCharCode(byte) : '\n'));
+    runs.push(...text.join('').split('\n').map(run => run.trim()).filter(run => run.length >= 4));
+  }
+  
+  const tag = runs.join(' ') || null;
+  const match = tag && POOL_TAGS.find(([, pattern]) => pattern.test(tag));
+  return { tag, pool: match ? match[0] : null };
+}
+
+/**
+ * Extract the normalized metadata of a block. Every field is present, null
+ * when the source cannot supply it:
+ *   height, timestamp, medianTime  - block height, header time, median time past (unix seconds)
+ *   txCount, size, weight          - transaction count, bytes, weight units
+ *   version, prevHash, merkleRoot, bits, nonce, difficulty - header fields
+ *   reward, totalFees              - coinbase outputs and the part of them that is fees (satoshis)
+ *   minerTag, miner                - coinbase scriptSig text and the identified pool/miner
+ *   powVerified                    - header passed proof-of-work verification
+ * @param {object} blockData - Normalized block, raw block, or provider JSON
+ * @param {string|null} network - Network name for the subsidy schedule
  * @returns {object} Extracted metadata
  */
-function extractBlockMetadata(blockData) {
+function extractBlockMetadata(blockData, network = null) {
   if (!blockData || typeof blockData !== 'object') {
     return {};
   }
   
-  return {
-    height: blockData.height || blockData.block_height || null,
+  const header = blockData.header || {};
+  const height = blockData.height ?? blockData.block_height ?? null;
+  const bits = header.bits ?? blockData.bits ?? null;
+  const reward = blockData.reward ?? null;
+  const subsidy = getBlockSubsidy(height, blockData.network || network);
+  const { tag, pool } = decodeMinerTag(blockData.coinbaseScriptSig || null);
+  
+  const metadata = {
+    height,
     timestamp: blockData.timestamp || blockData.time || null,
-    txCount: blockData.tx?.length || blockData.n_tx || 0,
-    size: blockData.size || null
+    medianTime: blockData.medianTime ?? blockData.mediantime ?? null,
+    txCount: blockData.txCount ?? blockData.tx_count ?? blockData.tx?.length ?? blockData.n_tx ?? null,
+    size: blockData.size || null,
+    weight: blockData.weight ?? null,
+    version: header.version ?? blockData.version ?? null,
+    prevHash: header.prevHash ?? blockData.prevHash ?? blockData.previousblockhash ?? null,
+    merkleRoot: header.merkleRoot ?? blockData.merkleRoot ?? blockData.merkle_root ?? null,
+    bits,
+    nonce: header.nonce ?? blockData.nonce ?? null,
+    difficulty: blockData.difficulty ?? (bits !== null ? getDifficultyFromBits(bits) : null),
+    reward,
+    totalFees: blockData.totalFees ?? (reward !== null && subsidy !== null ? reward - subsidy : null),
+    minerTag: tag,
+    miner: blockData.miner ?? pool,
+    // Header fields above passed proof-of-work verification in fetchBlockchain
+    powVerified: blockData.header ? blockData.powVerified ?? true : false
   };
+  
+  return metadata;
 }
 
 /**
  * Main parse function - orchestrates parsing workflow
- * @param {object} rawData - Raw blockchain data (single block or array)
+ * @param {object|string|Uint8Array} rawData - Raw blockchain data (single block,
+ *   array, hash, or serialized block/header/blk*.dat dump), or a typed seed
+ *   { seedType: 'txid' | 'address' | 'commit' | 'text', value }
  * @returns {object} Parsed result with hash and metadata
  */
 async function parseLedger(rawData) {
@@ -131,30 +570,58 @@ async function parseLedger(rawData) {
   
   if (!rawData) {
     console.warn('[parseLedger] No raw data provided');
-    return { hash: null, metadata: {}, hashes: [] };
+    return { hash: null, metadata: {}, hashes: [], blocks: [] };
+  }
+  
+  // Typed seeds (txid, address, commit, text) are validated and hashed in seeds.js
+  if (rawData.seedType && rawData.seedType !== 'block') {
+    const seed = await normalizeSeed(rawData, { network: cfg.blockchain?.network });
+    console.log(`[parseLedger] Parsed ${seed.seedType} seed:`, seed.hash.substring(0, 16) + '...');
+    return {
+      hash: seed.hash,
+      hashes: [seed.hash],
+      blocks: [],
+      metadata: seed.metadata,
+      network: seed.network,
+      seedType: seed.seedType,
+      algorithm: cfg.colorDerivation?.algorithm || 'sha256'
+    };
   }
   
   let hash = null;
   let hashes = [];
   let metadata = {};
   
+  // Raw serialized block(s): decode into the normalized block format first
+  if (isRawBlockData(rawData)) {
+    const rawBlocks = await parseRawBlocks(rawData, { verifyPow: cfg.blockchain?.verifyPow });
+    // blk*.dat records are appended as blocks arrive, so the latest is last
+    rawData = rawBlocks.length === 1 ? rawBlocks[0] : rawBlocks.reverse();
+  }
+  
   // Handle array of blocks (from /blocks endpoint)
   if (Array.isArray(rawData)) {
     hashes = parseBlockArray(rawData);
     // Use the first (latest) block for primary hash
     hash = hashes[0] || null;
     if (rawData[0]) {
-      metadata = extractBlockMetadata(rawData[0]);
+      metadata = extractBlockMetadata(rawData[0], cfg.blockchain?.network);
     }
   } else {
     // Single block
     hash = parseBlockHash(rawData);
     hashes = hash ? [hash] : [];
-    metadata = extractBlockMetadata(rawData);
+    metadata = extractBlockMetadata(rawData, cfg.blockchain?.network);
   }
   
   const normalizedHash = normalizeHash(hash);
   
+  // Hash and height of each block, newest first, for the multi-block seed modes
+  const blocks = (Array.isArray(rawData) ? rawData : [rawData])
+    .filter(block => block && typeof block === 'object')
+    .map(block => ({ hash: normalizeHash(block.hash || block.id), height: block.height ?? block.block_height ?? null }))
+    .filter(block => block.hash);
+  
   console.log('[parseLedger] Parsed result:', { 
     hash: normalizedHash ? normalizedHash.substring(0, 16) + '...' : null,
     hashCount: hashes.length,
@@ -164,7 +631,10 @@ async function parseLedger(rawData) {
   return {
     hash: normalizedHash,
     hashes: hashes.map(normalizeHash),
+    blocks,
     metadata,
+    network: (Array.isArray(rawData) ? rawData[0]?.network : rawData.network) || cfg.blockchain?.network || null,
+    seedType: 'block',
     algorithm: cfg.colorDerivation?.algorithm || 'sha256'
   };
 }
@@ -177,6 +647,14 @@ if (typeof module !== 'undefined' && module.exports) {
     parseBlockArray,
     normalizeHash,
     extractBlockMetadata,
+    getBlockSubsidy,
+    getDifficultyFromBits,
+    decodeMinerTag,
+    readVarInt,
+    computeMerkleRoot,
+    isRawBlockData,
+    parseRawBlock,
+    parseRawBlocks,
     parseLedger
   };
 }
@@ -188,5 +666,13 @@ export {
   parseBlockArray,
   normalizeHash,
   extractBlockMetadata,
+  getBlockSubsidy,
+  getDifficultyFromBits,
+  decodeMinerTag,
+  readVarInt,
+  computeMerkleRoot,
+  isRawBlockData,
+  parseRawBlock,
+  parseRawBlocks,
   parseLedger
 };
@@ -19,9 +19,11 @@ async function loadConfig() {
       // Node.js: use fs with import.meta.url
       const { readFile } = await import('fs/promises');
       const { fileURLToPath } = await import('url');
-      const { dirname, join } = await import('path');
+      const { dirname, join, resolve } = await import('path');
       const __dirname = dirname(fileURLToPath(import.meta.url));
-      const configPath = join(__dirname, CONFIG_PATH);
+      const configPath = process.env.BLOCKHASH_CONFIG
+        ? resolve(process.cwd(), process.env.BLOCKHASH_CONFIG)
+        : join(__dirname, CONFIG_PATH);
       const content = await readFile(configPath, 'utf-8');
       config = JSON.parse(content);
     } else {
@@ -36,6 +38,62 @@ async function loadConfig() {
   }
 }
 
+/**
+ * Custom properties for one theme variant
+ * @param {string} name - 'light' or 'dark'
+ * @param {object} theme - colorData.themes.light or .dark
+ * @param {string} indent - Leading whitespace
+ * @returns {string[]} Declarations
+ */
+function generateThemeDeclarations(name, theme, indent) {
+  const vars = [
+    `color-scheme: ${name};`,
+    `--theme-background: ${theme.background};`,
+    `--theme-surface: ${theme.surface};`,
+    `--theme-text: ${theme.text};`,
+    `--theme-text-muted: ${theme.textMuted};`,
+    `--theme-primary: ${theme.primary.hex};`,
+    `--theme-accent: ${theme.accent.hex};`
+  ];
+  
+  if (theme.primary.on) vars.push(`--theme-primary-on: ${theme.primary.on};`);
+  if (theme.accent.on) vars.push(`--theme-accent-on: ${theme.accent.on};`);
+  
+  theme.palette.forEach((color, idx) => {
+    vars.push(`--theme-color-${idx + 1}: ${color.hex};`);
+    if (color.on) vars.push(`--theme-color-${idx + 1}-on: ${color.on};`);
+  });
+  
+  return vars.map(v => indent + v);
+}
+
+/**
+ * Light/dark theme rules: the default theme on :root, the other one when the
+ * OS prefers it (unless the page pins a theme), and [data-theme] overrides
+ * @param {object} colorData - Output from deriveColors
+ * @returns {string[]} CSS lines
+ */
+function generateThemeCss(colorData) {
+  const { themes } = colorData;
+  const other = themes.default === 'dark' ? 'light' : 'dark';
+  
+  return [
+    `/* Themes (default: ${themes.default}) */`,
+    ':root,',
+    `[data-theme="${themes.default}"] {`,
+    ...generateThemeDeclarations(themes.default, themes[themes.default], '  '),
+    '}',
+    `@media (prefers-color-scheme: ${other}) {`,
+    '  :root:not([data-theme]) {',
+    ...generateThemeDeclarations(other, themes[other], '    '),
+    '  }',
+    '}',
+    `[data-theme="${other}"] {`,
+    ...generateThemeDeclarations(other, themes[other], '  '),
+    '}'
+  ];
+}
+
 /**
  * Generate CSS variables from palette
  * @param {object} colorData - Output from deriveColors
@@ -43,23 +101,45 @@ async function loadConfig() {
  */
 function generateCssVariables(colorData) {
   const vars = [];
-  const timestamp = new Date().toISOString();
+  const timestamp = colorData.derivedAt || new Date().toISOString();
   
   // Header
   vars.push(`/* BlockHash Accent Colors - Generated ${timestamp} */`);
   vars.push(`/* Source Hash: ${colorData.hash || 'N/A'} */`);
+  vars.push(`/* Network: ${colorData.network || 'N/A'} */`);
+  vars.push(`/* Seed Type: ${colorData.seedType || 'block'} */`);
+  vars.push(`/* Scheme: ${colorData.scheme || 'random'} */`);
+  vars.push(`/* Spec: ${colorData.specVersion || 'bhac-v1'} */`);
   vars.push(':root {');
   
+  if (colorData.network) {
+    vars.push(`  --blockhash-network: "${colorData.network}";`);
+  }
+  
   if (colorData.primaryColor) {
     vars.push(`  --primary-color: ${colorData.primaryColor.css};`);
     vars.push(`  --primary-hex: ${colorData.primaryColor.hex};`);
     vars.push(`  --primary-hsl: ${colorData.primaryColor.hsl.h}, ${colorData.primaryColor.hsl.s}%, ${colorData.primaryColor.hsl.l}%;`);
+    vars.push(`  --primary-oklch: ${colorData.primaryColor.oklchCss};`);
+    if (colorData.primaryColor.on) {
+      vars.push(`  --primary-on: ${colorData.primaryColor.on.hex};`);
+    }
+    Object.entries(colorData.primaryColor.scale || {}).forEach(([step, tone]) => {
+      vars.push(`  --primary-${step}: ${tone.hex};`);
+    });
   }
   
   if (colorData.accentColor) {
     vars.push(`  --accent-color: ${colorData.accentColor.css};`);
     vars.push(`  --accent-hex: ${colorData.accentColor.hex};`);
     vars.push(`  --accent-hsl: ${colorData.accentColor.hsl.h}, ${colorData.accentColor.hsl.s}%, ${colorData.accentColor.hsl.l}%;`);
+    vars.push(`  --accent-oklch: ${colorData.accentColor.oklchCss};`);
+    if (colorData.accentColor.on) {
+      vars.push(`  --accent-on: ${colorData.accentColor.on.hex};`);
+    }
+    Object.entries(colorData.accentColor.scale || {}).forEach(([step, tone]) => {
+      vars.push(`  --accent-${step}: ${tone.hex};`);
+    });
   }
   
   // Full palette
@@ -67,10 +147,21 @@ function generateCssVariables(colorData) {
     vars.push(`  --color-${idx + 1}: ${color.css};`);
     vars.push(`  --color-${idx + 1}-hex: ${color.hex};`);
     vars.push(`  --color-${idx + 1}-hsl: ${color.hsl.h}, ${color.hsl.s}%, ${color.hsl.l}%;`);
+    vars.push(`  --color-${idx + 1}-oklch: ${color.oklchCss};`);
+    if (color.on) {
+      vars.push(`  --color-${idx + 1}-on: ${color.on.hex};`);
+    }
+    Object.entries(color.scale || {}).forEach(([step, tone]) => {
+      vars.push(`  --color-${idx + 1}-${step}: ${tone.hex};`);
+    });
   });
   
   vars.push('}');
   
+  if (colorData.themes) {
+    vars.push('', ...generateThemeCss(colorData));
+  }
+  
   return vars.join('\n');
 }
 
@@ -81,27 +172,72 @@ function generateCssVariables(colorData) {
  */
 function generateJsonOutput(colorData) {
   const output = {
-    generatedAt: new Date().toISOString(),
+    generatedAt: colorData.derivedAt || new Date().toISOString(),
     sourceHash: colorData.hash,
+    network: colorData.network || null,
+    seedType: colorData.seedType || 'block',
+    specVersion: colorData.specVersion || 'bhac-v1',
     algorithm: colorData.algorithm,
+    colorMode: colorData.colorMode || 'hsl',
+    scheme: colorData.scheme || 'random',
+    byteSource: colorData.byteSource || 'segments',
     primary: colorData.primaryColor ? {
       hex: colorData.primaryColor.hex,
       css: colorData.primaryColor.css,
-      hsl: colorData.primaryColor.hsl
+      hsl: colorData.primaryColor.hsl,
+      oklch: colorData.primaryColor.oklch,
+      oklchCss: colorData.primaryColor.oklchCss,
+      on: colorData.primaryColor.on || null,
+      scale: colorData.primaryColor.scale || null
     } : null,
     accent: colorData.accentColor ? {
       hex: colorData.accentColor.hex,
       css: colorData.accentColor.css,
-      hsl: colorData.accentColor.hsl
+      hsl: colorData.accentColor.hsl,
+      oklch: colorData.accentColor.oklch,
+      oklchCss: colorData.accentColor.oklchCss,
+      on: colorData.accentColor.on || null,
+      scale: colorData.accentColor.scale || null
     } : null,
     palette: colorData.palette.map(c => ({
       index: c.index,
       hex: c.hex,
       css: c.css,
-      hsl: c.hsl
+      hsl: c.hsl,
+      oklch: c.oklch,
+      oklchCss: c.oklchCss,
+      on: c.on || null,
+      scale: c.scale || null
     }))
   };
   
+  // Light and dark variants of the palette
+  if (colorData.themes) {
+    output.themes = colorData.themes;
+  }
+  
+  // Color-vision-deficiency distinguishability per simulation
+  if (colorData.cvd) {
+    output.cvd = colorData.cvd;
+  }
+  
+  // Block metadata, or what was validated about a txid/address/commit/text seed
+  if ((colorData.seedType || 'block') === 'block') {
+    output.block = colorData.metadata || null;
+  } else {
+    output.seedDetails = colorData.metadata || null;
+  }
+  
+  // Blocks behind a multi-block seed (rolling / per-slot modes)
+  if (colorData.seed) {
+    output.seed = colorData.seed;
+  }
+  
+  // Retraction notice: the previously published tip(s) were orphaned
+  if (colorData.reorg) {
+    output.reorg = colorData.reorg;
+  }
+  
   return JSON.stringify(output, null, 2);
 }
 
@@ -117,12 +253,13 @@ function generateHtmlPreview(colorData) {
   
   return `
 <!-- BlockHash Accent Colors Preview -->
-<div class="blockhash-colors" data-hash="${colorData.hash}">
+<div class="blockhash-colors" data-hash="${colorData.hash}" data-network="${colorData.network || ''}" data-seed-type="${colorData.seedType || 'block'}" data-scheme="${colorData.scheme || 'random'}" data-spec="${colorData.specVersion || 'bhac-v1'}">
   <div class="palette" style="display: flex; gap: 4px;">
     ${colors.map(c => `<div style="width: 32px; height: 32px; background: ${c}; border-radius: 4px;" title="${c}"></div>`).join('')}
   </div>
   <div class="primary" style="color: ${primary};">Primary: ${primary}</div>
   <div class="accent" style="color: ${accent};">Accent: ${accent}</div>
+  ${colorData.network ? `<div class="network">Network: ${colorData.network}</div>` : ''}
 </div>
 `.trim();
 }
@@ -152,16 +289,18 @@ async function publishToFile(colorData, options = {}) {
   }
   
   const { writeFile, mkdir } = await import('fs/promises');
-  const { join, dirname } = await import('path');
+  const { join, dirname, resolve } = await import('path');
   const { fileURLToPath } = await import('url');
   
   // Get current module directory
   const __dirname = dirname(fileURLToPath(import.meta.url));
   const baseDir = join(__dirname, '..');
+  // Relative output dirs are from the repo root; absolute ones are used as-is
+  const outDir = resolve(baseDir, outputDir);
   
   // Ensure output directory exists
   try {
-    await mkdir(join(baseDir, outputDir), { recursive: true });
+    await mkdir(outDir, { recursive: true });
   } catch (err) {
     if (err.code !== 'EEXIST') {
       throw err;
@@ -170,7 +309,7 @@ async function publishToFile(colorData, options = {}) {
   
   // Write CSS variables file
   if (options.css !== false) {
-    const cssPath = join(baseDir, outputDir, 'colors.css');
+    const cssPath = join(outDir, 'colors.css');
     const cssContent = generateCssVariables(colorData);
     try {
       await writeFile(cssPath, cssContent, 'utf-8');
@@ -184,7 +323,7 @@ async function publishToFile(colorData, options = {}) {
   
   // Write JSON file
   if (options.json !== false) {
-    const jsonPath = join(baseDir, outputDir, 'colors.json');
+    const jsonPath = join(outDir, 'colors.json');
     const jsonContent = generateJsonOutput(colorData);
     try {
       await writeFile(jsonPath, jsonContent, 'utf-8');
@@ -198,7 +337,7 @@ async function publishToFile(colorData, options = {}) {
   
   // Write HTML preview
   if (options.html !== false) {
-    const htmlPath = join(baseDir, outputDir, 'colors-preview.html');
+    const htmlPath = join(outDir, 'colors-preview.html');
     const htmlContent = generateHtmlPreview(colorData);
     try {
       await writeFile(htmlPath, htmlContent, 'utf-8');
@@ -255,6 +394,7 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     loadConfig,
     generateCssVariables,
+    generateThemeCss,
     generateJsonOutput,
     generateHtmlPreview,
     publishToFile,
@@ -267,6 +407,7 @@ if (typeof module !== 'undefined' && module.exports) {
 export {
   loadConfig,
   generateCssVariables,
+  generateThemeCss,
   generateJsonOutput,
   generateHtmlPreview,
   publishToFile,
@@ -0,0 +1,226 @@
+/**
+ * reorg.js - Chain Reorganization Detection
+ * Tracks the last N published tips (hash, height, prev-hash) in a state
+ * directory outside the published outputs (Node.js) or in localStorage
+ * (browser), and detects when the chain has reorganized past one of them,
+ * so the palette for an orphaned block can be retracted
+ */
+
+const TIP_HISTORY_FILE = 'tip-history.json';
+const DEFAULT_STATE_DIR = '.cache/state';
+const BROWSER_HISTORY_KEY = 'blockhash-tip-history';
+const DEFAULT_TRACKED_TIPS = 6;
+
+/**
+ * Check if we're running in Node.js
+ */
+function isNode() {
+  return typeof window === 'undefined' && typeof process === 'object';
+}
+
+/**
+ * Resolve the tip history path (relative state dirs are from the repo root)
+ * @param {string} stateDir - config.reorg.stateDir, default .cache/state
+ * @returns {Promise<string>} Absolute path
+ */
+async function getHistoryPath(stateDir) {
+  const { fileURLToPath } = await import('url');
+  const { dirname, join, resolve } = await import('path');
+  const __dirname = dirname(fileURLToPath(import.meta.url));
+  return join(resolve(__dirname, '..', stateDir || DEFAULT_STATE_DIR), TIP_HISTORY_FILE);
+}
+
+/**
+ * Load published tip history, oldest first
+ * @param {string} stateDir - State directory (Node.js only)
+ * @returns {Promise<Array>} [{ hash, height, prevHash, publishedAt }]
+ */
+async function loadTipHistory(stateDir) {
+  try {
+    if (!isNode()) {
+      return JSON.parse(localStorage.getItem(BROWSER_HISTORY_KEY) || '[]');
+    }
+    
+    const { readFile } = await import('fs/promises');
+    return JSON.parse(await readFile(await getHistoryPath(stateDir), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('[reorg] Could not read tip history:', error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * Save tip history
+ * @param {Array} history - Entries, oldest first
+ * @param {string} stateDir - State directory (Node.js only)
+ */
+async function saveTipHistory(history, stateDir) {
+  if (!isNode()) {
+    localStorage.setItem(BROWSER_HISTORY_KEY, JSON.stringify(history));
+    return;
+  }
+  
+  const { writeFile, mkdir } = await import('fs/promises');
+  const { dirname } = await import('path');
+  const historyPath = await getHistoryPath(stateDir);
+  await mkdir(dirname(historyPath), { recursive: true });
+  await writeFile(historyPath, JSON.stringify(history, null, 2), 'utf-8');
+}
+
+/**
+ * Detect tracked tips that are no longer in the best chain.
+ * A lookup that fails (or answers null) leaves that tip unknown: it is
+ * neither superseded nor proof that the chain below is intact, and its
+ * height is listed under `unchecked`.
+ * @param {object} block - Newly fetched tip (normalized block)
+ * @param {Array} history - Tip history from loadTipHistory
+ * @param {function(number): Promise<string|null>} fetchHashAtHeight - Current chain lookup
+ * @returns {Promise<object|null>} Reorg entry or null
+ */
+async function detectReorg(block, history, fetchHashAtHeight) {
+  if (history.length === 0) return null;
+  
+  const last = history[history.length - 1];
+  
+  // Fast path: the new tip builds directly on (or is) the last published tip
+  if (block.hash === last.hash || (block.prevHash && block.prevHash === last.hash)) {
+    return null;
+  }
+  
+  const superseded = [];
+  const unchecked = [];
+  for (const tip of [...history].reverse()) {
+    if (tip.height === null || tip.height === undefined) continue;
+    
+    let current = block.hash;
+    if (tip.height !== block.height) {
+      try {
+        current = await fetchHashAtHeight(tip.height);
+      } catch (error) {
+        console.warn(`[reorg] Could not look up height ${tip.height}:`, error.message);
+        current = null;
+      }
+    }
+    
+    if (!current) {
+      unchecked.push(tip.height);
+    } else if (current === tip.hash) {
+      // Everything at or below an unchanged tip is still in the chain
+      break;
+    } else {
+      superseded.push({ hash: tip.hash, height: tip.height, replacedBy: current });
+    }
+  }
+  
+  if (superseded.length === 0) {
+    if (unchecked.length > 0) {
+      console.warn(`[reorg] Reorg check incomplete, unchecked heights: ${unchecked.join(', ')}`);
+    }
+    return null;
+  }
+  
+  // Lowest height known to be superseded; unchecked tips may go deeper
+  const forkHeight = Math.min(...superseded.map(s => s.height));
+  console.warn(`[reorg] Chain reorganized at height ${forkHeight}: ${superseded.length} published tip(s) superseded`);
+  
+  const reorg = {
+    detectedAt: new Date().toISOString(),
+    forkHeight,
+    depth: Math.max(...superseded.map(s => s.height)) - forkHeight + 1,
+    superseded,
+    newTip: { hash: block.hash, height: block.height }
+  };
+  if (unchecked.length > 0) {
+    reorg.unchecked = unchecked;
+  }
+  
+  return reorg;
+}
+
+/**
+ * Check the stored tip history against the current chain
+ * @param {object} block - Newly fetched tip
+ * @param {object} options - { stateDir, fetchHashAtHeight }
+ * @returns {Promise<object|null>} Reorg entry or null
+ */
+async function checkForReorg(block, options) {
+  const history = await loadTipHistory(options.stateDir);
+  return detectReorg(block, history, options.fetchHashAtHeight);
+}
+
+/**
+ * Append a published tip to the history, dropping superseded entries
+ * @param {object} block - Published block
+ * @param {object} options - { stateDir, limit, superseded: from the run's reorg entry }
+ * @returns {Promise<Array>} Updated history
+ */
+async function recordPublishedTip(block, options) {
+  const limit = options.limit || DEFAULT_TRACKED_TIPS;
+  
+  // Entries at or above the new height belong to a replaced branch (or are this
+  // block), as do tips the run found superseded
+  const orphaned = new Set((options.superseded || []).map(tip => tip.hash));
+  const history = (await loadTipHistory(options.stateDir))
+    .filter(tip => block.height === null || block.height === undefined || tip.height < block.height)
+    .filter(tip => !orphaned.has(tip.hash));
+  
+  history.push({
+    hash: block.hash,
+    height: block.height ?? null,
+    prevHash: block.prevHash || block.header?.prevHash || null,
+    publishedAt: new Date().toISOString()
+  });
+  
+  const trimmed = history.slice(-limit);
+  await saveTipHistory(trimmed, options.stateDir);
+  
+  return trimmed;
+}
+
+/**
+ * Pipeline step shared by every runner (cron_runner.js, main.js and their
+ * watch modes): check the tracked tips before a tip run publishes, and
+ * record the tip once it has been published
+ * @param {object} block - Newly fetched tip
+ * @param {object} options - { offline: look tips up in the response cache only }
+ * @returns {Promise<object>} { reorg: entry or null, recordTip(): Promise<Array> }
+ */
+async function runReorgStep(block, options = {}) {
+  const fetchBlockchain = await import('./fetchBlockchain.js');
+  const cfg = await fetchBlockchain.loadConfig();
+  const stateDir = cfg.reorg?.stateDir;
+  
+  const reorg = await checkForReorg(block, {
+    stateDir,
+    fetchHashAtHeight: height => fetchBlockchain.fetchHashAtHeight(height, { offline: options.offline })
+  });
+  
+  return {
+    reorg,
+    recordTip: () => recordPublishedTip(block, { stateDir, limit: cfg.reorg?.trackedTips, superseded: reorg?.superseded })
+  };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TIP_HISTORY_FILE,
+    loadTipHistory,
+    detectReorg,
+    checkForReorg,
+    recordPublishedTip,
+    runReorgStep
+  };
+}
+
+// ES Module export
+export {
+  TIP_HISTORY_FILE,
+  loadTipHistory,
+  detectReorg,
+  checkForReorg,
+  recordPublishedTip,
+  runReorgStep
+};
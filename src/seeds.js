@@ -0,0 +1,374 @@
+/**
+ * seeds.js - Typed Palette Seeds
+ * Validates and normalizes the non-block inputs a palette can be derived
+ * from: transaction ids, addresses (base58check / bech32 / bech32m),
+ * git commits read from a local repository, and free text.
+ * Each kind is reduced to a hex seed hash for deriveColors.
+ */
+
+import { hexToBytes, bytesToHex, doubleSha256 } from './blockHeader.js';
+
+const SEED_TYPES = ['block', 'txid', 'address', 'commit', 'text'];
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+// Base58check version bytes
+const BASE58_VERSIONS = {
+  0x00: { network: 'bitcoin', type: 'p2pkh' },
+  0x05: { network: 'bitcoin', type: 'p2sh' },
+  0x6f: { network: 'testnet', type: 'p2pkh' },
+  0xc4: { network: 'testnet', type: 'p2sh' }
+};
+
+// Bech32 human-readable parts (signet shares testnet's "tb")
+const BECH32_HRPS = {
+  bc: 'bitcoin',
+  tb: 'testnet',
+  bcrt: 'regtest'
+};
+
+/**
+ * Raised when a seed fails validation
+ */
+class SeedError extends Error {
+  constructor(message, seedType = null) {
+    super(message);
+    this.name = 'SeedError';
+    this.seedType = seedType;
+  }
+}
+
+/**
+ * Hex SHA-256 of a UTF-8 string or bytes
+ * @param {string|Uint8Array} input - Text or bytes
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256Hex(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+  return bytesToHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+}
+
+/**
+ * Decode and checksum-verify a base58check string
+ * @param {string} address - Base58check string
+ * @returns {Promise<Uint8Array>} Payload without the checksum
+ * @throws {SeedError} On invalid characters or checksum
+ */
+async function decodeBase58Check(address) {
+  let value = 0n;
+  for (const char of address) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      throw new SeedError(`Invalid base58 character "${char}"`, 'address');
+    }
+    value = value * 58n + BigInt(digit);
+  }
+  
+  const hex = value === 0n ? '' : value.toString(16);
+  const body = hexToBytes(hex.length % 2 ? `0${hex}` : hex);
+  // Each leading "1" encodes a leading zero byte
+  const zeros = address.match(/^1*/)[0].length;
+  const bytes = new Uint8Array(zeros + body.length);
+  bytes.set(body, zeros);
+  
+  if (bytes.length < 5) {
+    throw new SeedError('Base58 address too short', 'address');
+  }
+  
+  const payload = bytes.subarray(0, bytes.length - 4);
+  const checksum = (await doubleSha256(payload)).subarray(0, 4);
+  if (bytesToHex(checksum) !== bytesToHex(bytes.subarray(bytes.length - 4))) {
+    throw new SeedError('Base58 address checksum mismatch', 'address');
+  }
+  
+  return payload;
+}
+
+/**
+ * BIP173 checksum polymod
+ */
+function bech32Polymod(values) {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= generators[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+/**
+ * Regroup bits (5-bit bech32 words to bytes)
+ * @returns {number[]|null} Regrouped values, or null on invalid padding
+ */
+function convertBits(data, fromBits, toBits) {
+  let acc = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+  
+  for (const value of data) {
+    acc = (acc << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((acc >>> bits) & maxValue);
+    }
+  }
+  
+  if (bits >= fromBits || ((acc << (toBits - bits)) & maxValue)) {
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Decode and checksum-verify a segwit address (BIP173 bech32 / BIP350 bech32m)
+ * @param {string} address - Bech32 address
+ * @returns {object} { hrp, version, program }
+ * @throws {SeedError} On invalid encoding, checksum or witness program
+ */
+function decodeSegwitAddress(address) {
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+    throw new SeedError('Bech32 address mixes upper and lower case', 'address');
+  }
+  
+  const lower = address.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length || lower.length > 90) {
+    throw new SeedError('Malformed bech32 address', 'address');
+  }
+  
+  const hrp = lower.substring(0, separator);
+  const data = [];
+  for (const char of lower.substring(separator + 1)) {
+    const value = BECH32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new SeedError(`Invalid bech32 character "${char}"`, 'address');
+    }
+    data.push(value);
+  }
+  
+  const expanded = [...hrp].map(c => c.charCodeAt(0) >> 5)
+    .concat([0], [...hrp].map(c => c.charCodeAt(0) & 31));
+  const checksum = bech32Polymod(expanded.concat(data));
+  const version = data[0];
+  
+  // Version 0 uses bech32, later versions bech32m
+  if (checksum !== (version === 0 ? BECH32_CONST : BECH32M_CONST)) {
+    throw new SeedError('Bech32 address checksum mismatch', 'address');
+  }
+  
+  const program = convertBits(data.slice(1, -6), 5, 8);
+  if (!program || version > 16 || program.length < 2 || program.length > 40 ||
+      (version === 0 && program.length !== 20 && program.length !== 32)) {
+    throw new SeedError('Invalid witness program', 'address');
+  }
+  
+  return { hrp, version, program: Uint8Array.from(program) };
+}
+
+/**
+ * Validate an address and hash its decoded payload, so different
+ * spellings of one address (bech32 case) give the same seed
+ * @param {string} address - Base58check or bech32/bech32m address
+ * @returns {Promise<object>} { normalized, hash, network, addressType }
+ */
+async function normalizeAddress(address) {
+  const trimmed = address.trim();
+  
+  if (/^(bc|tb|bcrt)1/i.test(trimmed)) {
+    const { hrp, version, program } = decodeSegwitAddress(trimmed);
+    let addressType = `witness-v${version}`;
+    if (version === 0) addressType = program.length === 20 ? 'p2wpkh' : 'p2wsh';
+    if (version === 1 && program.length === 32) addressType = 'p2tr';
+    
+    return {
+      normalized: trimmed.toLowerCase(),
+      hash: await sha256Hex(Uint8Array.of(version, ...program)),
+      network: BECH32_HRPS[hrp],
+      addressType
+    };
+  }
+  
+  const payload = await decodeBase58Check(trimmed);
+  const kind = BASE58_VERSIONS[payload[0]];
+  if (!kind || payload.length !== 21) {
+    throw new SeedError(`Unsupported base58 address version 0x${payload[0].toString(16)}`, 'address');
+  }
+  
+  return {
+    normalized: trimmed,
+    hash: await sha256Hex(payload),
+    network: kind.network,
+    addressType: kind.type
+  };
+}
+
+/**
+ * Read the commit a ref points to in a local git repository (Node.js only).
+ * Follows symbolic refs, packed-refs and linked worktrees.
+ * @param {string} repoPath - Repository working directory
+ * @param {string} ref - 'HEAD', a full ref, or a branch/tag name
+ * @returns {Promise<string>} Commit SHA (40 or 64 hex digits)
+ */
+async function readGitCommit(repoPath = '.', ref = 'HEAD') {
+  if (typeof window !== 'undefined') {
+    throw new SeedError('Reading git commits is only available in Node.js', 'commit');
+  }
+  
+  const { readFile, stat } = await import('fs/promises');
+  const { join, resolve } = await import('path');
+  const tryRead = file => readFile(file, 'utf-8').then(content => content.trim(), () => null);
+  
+  // A linked worktree's .git is a file pointing at its git dir
+  let gitDir = resolve(repoPath, '.git');
+  const gitStat = await stat(gitDir).catch(() => null);
+  if (!gitStat) {
+    throw new SeedError(`No git repository at ${resolve(repoPath)}`, 'commit');
+  }
+  if (gitStat.isFile()) {
+    const pointer = await tryRead(gitDir);
+    gitDir = resolve(repoPath, pointer.replace(/^gitdir:\s*/, ''));
+  }
+  const commonDir = resolve(gitDir, (await tryRead(join(gitDir, 'commondir'))) || '.');
+  
+  const candidates = ref === 'HEAD' || ref.startsWith('refs/')
+    ? [ref]
+    : [`refs/heads/${ref}`, `refs/tags/${ref}`, ref];
+  
+  for (let target of candidates) {
+    // Follow symbolic refs (HEAD -> refs/heads/main), bounded against loops
+    for (let depth = 0; depth < 10; depth++) {
+      const value = (await tryRead(join(gitDir, target))) ?? (await tryRead(join(commonDir, target)))
+        ?? await findPackedRef(commonDir, target, tryRead);
+      if (!value) break;
+      if (value.startsWith('ref: ')) {
+        target = value.substring(5);
+        continue;
+      }
+      return value.toLowerCase();
+    }
+  }
+  
+  throw new SeedError(`Cannot resolve ${ref} in ${resolve(repoPath)}`, 'commit');
+}
+
+/**
+ * Look a ref up in packed-refs
+ */
+async function findPackedRef(gitDir, ref, tryRead) {
+  const { join } = await import('path');
+  const packed = await tryRead(join(gitDir, 'packed-refs'));
+  const line = packed?.split('\n').find(l => l.endsWith(` ${ref}`));
+  return line ? line.split(' ')[0] : null;
+}
+
+/**
+ * Validate and normalize a typed seed
+ * @param {object} seed - { seedType, value } plus { ref } for commits
+ *   (a commit seed's value is a SHA, or a repository path to read `ref` from)
+ * @param {object} options - { network } that txids belong to
+ * @returns {Promise<object>} { seedType, value, hash, network, metadata }
+ * @throws {SeedError} If the seed is invalid for its type
+ */
+async function normalizeSeed(seed, options = {}) {
+  const { seedType } = seed;
+  const value = typeof seed.value === 'string' ? seed.value.trim() : seed.value;
+  
+  switch (seedType) {
+    case 'txid': {
+      if (!/^(0x)?[a-fA-F0-9]{64}$/.test(value || '')) {
+        throw new SeedError(`Invalid txid: ${value}`, seedType);
+      }
+      const txid = value.replace(/^0x/, '').toLowerCase();
+      return { seedType, value: txid, hash: txid, network: options.network || null, metadata: { txid } };
+    }
+    
+    case 'address': {
+      if (!value) {
+        throw new SeedError('Address seed requires a value', seedType);
+      }
+      const address = await normalizeAddress(value);
+      return {
+        seedType,
+        value: address.normalized,
+        hash: address.hash,
+        network: address.network,
+        metadata: { address: address.normalized, addressType: address.addressType }
+      };
+    }
+    
+    case 'commit': {
+      const ref = seed.ref || 'HEAD';
+      const commit = /^[a-fA-F0-9]{40}([a-fA-F0-9]{24})?$/.test(value || '')
+        ? value.toLowerCase()
+        : await readGitCommit(value || '.', ref);
+      if (!/^[a-f0-9]{40}([a-f0-9]{24})?$/.test(commit)) {
+        throw new SeedError(`Invalid commit SHA: ${commit}`, seedType);
+      }
+      return { seedType, value: commit, hash: commit, network: null, metadata: { commit, ref: value === commit ? null : ref } };
+    }
+    
+    case 'text': {
+      if (typeof seed.value !== 'string' || seed.value.length === 0) {
+        throw new SeedError('Text seed must be a non-empty string', seedType);
+      }
+      // NFC so visually identical text always gives the same palette
+      // (whitespace is kept: it is part of the text)
+      const text = seed.value.normalize('NFC');
+      return { seedType, value: text, hash: await sha256Hex(text), network: null, metadata: { length: text.length } };
+    }
+    
+    default:
+      throw new SeedError(`Unknown seed type "${seedType}" (expected one of: ${SEED_TYPES.join(', ')})`, seedType);
+  }
+}
+
+/**
+ * Parse a CLI seed argument: "txid:<id>", "address:<addr>", "commit[:<repo or sha>]", "text:<text>"
+ * @param {string} arg - Seed argument
+ * @returns {object} { seedType, value }
+ */
+function parseSeedArg(arg) {
+  const separator = arg.indexOf(':');
+  const seedType = separator === -1 ? arg : arg.substring(0, separator);
+  const value = separator === -1 ? undefined : arg.substring(separator + 1);
+  
+  if (!SEED_TYPES.includes(seedType) || seedType === 'block') {
+    throw new SeedError(`Invalid --seed "${arg}" (expected txid:, address:, commit[:] or text:)`, seedType);
+  }
+  return { seedType, value };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SEED_TYPES,
+    SeedError,
+    decodeBase58Check,
+    decodeSegwitAddress,
+    normalizeAddress,
+    readGitCommit,
+    normalizeSeed,
+    parseSeedArg
+  };
+}
+
+// ES Module export
+export {
+  SEED_TYPES,
+  SeedError,
+  decodeBase58Check,
+  decodeSegwitAddress,
+  normalizeAddress,
+  readGitCommit,
+  normalizeSeed,
+  parseSeedArg
+};
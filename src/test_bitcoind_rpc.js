@@ -0,0 +1,92 @@
+/**
+ * Test runner for the bitcoind JSON-RPC provider against a local stub server
+ * Run with: node src/test_bitcoind_rpc.js
+ */
+
+import { writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { check, startStubJsonRpc } from '../test/support.js';
+
+const TIP_HASH = '000000000000000000020f4ba8e1a4ab3e38b6e2a9c4a8e4c1b6f6e0d2f1a3b4';
+const COOKIE = '__cookie__:s3cr3t';
+const USER_AUTH = 'alice:hunter2';
+const COINBASE_TXID = 'a0db149ace545beabbd87a8d6b20954b0b1e4f1cf0c3b2f3e1ba2c1d4e3f5a6b';
+// Height 840000 push followed by a pool tag
+const COINBASE_SCRIPTSIG = '0340d10c192f5669614254432f4d696e65642062792062757a7a3132302f';
+
+// Minimal bitcoind: answers each call of a batch
+function answer({ method, params }) {
+  switch (method) {
+    case 'getbestblockhash':
+      return { result: TIP_HASH };
+    case 'getblockhash':
+      // Height 0 answers with a mainnet-style hash to exercise the genesis check
+      if (params[0] !== 840000 && params[0] !== 0) {
+        return { error: { code: -8, message: 'Block height out of range' } };
+      }
+      return { result: TIP_HASH };
+    case 'getblockheader':
+      if (params[0] !== TIP_HASH) {
+        return { error: { code: -5, message: 'Block not found' } };
+      }
+      return { result: { hash: TIP_HASH, height: 840000, time: 1713571767, nTx: 3050 } };
+    case 'getblock':
+      return { result: { hash: params[0], size: 2325617, weight: 3993281, tx: [COINBASE_TXID] } };
+    case 'getrawtransaction':
+      return { result: { txid: params[0], vin: [{ coinbase: COINBASE_SCRIPTSIG }], vout: [{ value: 3.125 }, { value: 0.21836583 }] } };
+    default:
+      return { error: { code: -32601, message: 'Method not found' } };
+  }
+}
+
+const fetchBlockchain = await import('./fetchBlockchain.js');
+const { PROVIDERS, RpcAuthError, BlockNotFoundError, NetworkMismatchError } = fetchBlockchain;
+const node = await startStubJsonRpc(answer, { auth: [COOKIE, USER_AUTH] });
+const baseUrl = node.url;
+const cookieFile = join(tmpdir(), `bitcoind-cookie-${process.pid}`);
+
+try {
+  console.log('[test] Testing bitcoind JSON-RPC provider...\n');
+  
+  const tip = await PROVIDERS.bitcoind.fetchTip({ baseUrl, blockchain: { rpcUser: 'alice', rpcPassword: 'hunter2' } });
+  check(tip.hash === TIP_HASH && tip.height === 840000, 'user/password auth fetches normalized tip');
+  check(tip.txCount === 3050 && tip.size === 2325617 && tip.weight === 3993281, 'header and block fields merged from batch');
+  
+  const coinbase = await PROVIDERS.bitcoind.fetchCoinbase({ baseUrl, blockchain: { rpcUser: 'alice', rpcPassword: 'hunter2' } }, tip);
+  check(coinbase.scriptSig === COINBASE_SCRIPTSIG && coinbase.reward === 334336583, 'coinbase scriptSig and reward in satoshis');
+  
+  await writeFile(cookieFile, COOKIE + '\n');
+  const byCookie = await PROVIDERS.bitcoind.fetchByHash({ baseUrl, blockchain: { rpcCookieFile: cookieFile } }, TIP_HASH);
+  check(byCookie.hash === TIP_HASH, 'cookie-file auth fetches block by hash');
+  
+  const byHeight = await PROVIDERS.bitcoind.fetchByHeight({ baseUrl, blockchain: { rpcCookieFile: cookieFile } }, 840000);
+  check(byHeight.hash === TIP_HASH && byHeight.height === 840000, 'getblockhash resolves a historical height');
+  
+  const badAuth = await PROVIDERS.bitcoind.fetchTip({ baseUrl, blockchain: { rpcUser: 'alice', rpcPassword: 'wrong' } })
+    .catch(err => err);
+  check(badAuth instanceof RpcAuthError, 'rejected credentials raise RpcAuthError');
+  
+  const missing = await PROVIDERS.bitcoind.fetchByHash({ baseUrl, blockchain: { rpcUser: 'alice', rpcPassword: 'hunter2' } }, 'ff'.repeat(32))
+    .catch(err => err);
+  check(missing instanceof BlockNotFoundError && missing.code === -5, 'RPC code -5 raises BlockNotFoundError');
+  
+  const wrongChain = await fetchBlockchain.checkGenesis({
+    blockchain: { network: 'regtest', rpcUrl: baseUrl, rpcUser: 'alice', rpcPassword: 'hunter2' }
+  }).catch(err => err);
+  check(wrongChain instanceof NetworkMismatchError && wrongChain.network === 'regtest', 'genesis mismatch raises NetworkMismatchError');
+  
+  const badHash = (() => {
+    try {
+      fetchBlockchain.validateNetworkHash('bitcoin', '0f9188f13cb7b2c71f2a335e3a4fc328bf5beb436012afca590b1a11466e2206');
+    } catch (err) {
+      return err;
+    }
+  })();
+  check(badHash instanceof NetworkMismatchError, 'regtest-style hash is rejected on bitcoin');
+  
+  console.log('\n========== BITCOIND RPC TEST SUCCESS ==========\n');
+} finally {
+  await node.close();
+  await rm(cookieFile, { force: true });
+}
@@ -0,0 +1,124 @@
+/**
+ * Test runner for the persistent response cache and offline mode against a local stub Esplora server
+ * Run with: node src/test_cache.js
+ */
+
+import { mkdtemp, readdir, rm, utimes } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { check, MAINNET_BLOCKS, startStubEsplora, writeStubConfig } from '../test/support.js';
+
+// Remember the validators each request carried
+const seen = [];
+const recordHeaders = req => {
+  seen.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'], ifModifiedSince: req.headers['if-modified-since'] });
+  return false;
+};
+const lastSeen = url => seen.filter(r => r.url === url).pop();
+
+const workDir = await mkdtemp(join(tmpdir(), 'blockhash-cache-'));
+const cacheDir = join(workDir, 'http');
+const stub = await startStubEsplora({ blocks: MAINNET_BLOCKS.slice(0, 2), handle: recordHeaders });
+const dated = await startStubEsplora({ etag: false, lastModified: 'Fri, 09 Jan 2009 02:54:25 GMT', handle: recordHeaders });
+
+process.env.BLOCKHASH_CONFIG = join(workDir, 'config.json');
+await writeStubConfig(process.env.BLOCKHASH_CONFIG, { rpcUrl: stub.url }, {
+  cache: { dir: cacheDir },
+  // Keep the breaker closed so every failure below reaches the cache fallback
+  retry: { maxRetries: 0, circuitBreaker: { failureThreshold: 100 } }
+});
+
+const { fetchBlock, fetchWithRetry, loadConfig } = await import('./fetchBlockchain.js');
+const { CACHE_STATUS_HEADER, cacheKey, setOfflineMode } = await import('./httpCache.js');
+
+try {
+  console.log('[test] Testing response cache and offline mode...\n');
+  
+  const fresh = await fetchBlock();
+  check(fresh.hash === MAINNET_BLOCKS[1].id && !fresh.stale && fresh.cachedAt === undefined, 'online fetch is not stale');
+  check((await readdir(cacheDir)).length === 5, 'every response is written to the cache dir');
+  
+  // ETag revalidation: the second request sends If-None-Match and gets 304
+  const first = await fetchWithRetry(`${stub.url}/blocks`);
+  check(first.headers.get('etag') && lastSeen('/blocks').ifNoneMatch, 'cached ETag is sent as If-None-Match');
+  check(first.headers.get(CACHE_STATUS_HEADER) === 'hit', '304 Not Modified is served from the cache as a hit');
+  check((await first.json())[0].id === MAINNET_BLOCKS[1].id, 'hit carries the cached body');
+  
+  const revalidated = await fetchBlock();
+  check(!revalidated.stale, 'a block revalidated with 304 is not stale');
+  
+  // Last-Modified revalidation on a server without ETags
+  const datedUrl = `${dated.url}/blocks/tip/height`;
+  const datedFirst = await fetchWithRetry(datedUrl);
+  check(!datedFirst.headers.get(CACHE_STATUS_HEADER) && (await datedFirst.text()) === '2', 'first Last-Modified response comes from the network');
+  const datedSecond = await fetchWithRetry(datedUrl);
+  check(lastSeen('/blocks/tip/height').ifModifiedSince === dated.lastModified, 'cached Last-Modified is sent as If-Modified-Since');
+  check(datedSecond.headers.get(CACHE_STATUS_HEADER) === 'hit' && (await datedSecond.text()) === '2', 'If-Modified-Since 304 is a cache hit');
+  
+  // A changed resource replaces the cache entry
+  stub.blocks = MAINNET_BLOCKS;
+  const moved = await fetchBlock();
+  check(moved.hash === MAINNET_BLOCKS[2].id && !moved.stale, 'changed tip is fetched fresh despite the cached ETag');
+  
+  const storedAt = (await fetchWithRetry(`${stub.url}/blocks`)).headers.get('x-blockhash-cached-at');
+  
+  stub.fail = 503;
+  const serverError = await fetchBlock();
+  check(serverError.hash === MAINNET_BLOCKS[2].id && serverError.stale === true, '5xx serves the last cached block, marked stale');
+  check(serverError.cachedAt === storedAt, 'stale block carries cachedAt from the oldest cached response');
+  
+  stub.fail = 'reset';
+  const networkError = await fetchBlock();
+  check(networkError.stale === true && networkError.cachedAt, 'network error serves the cached block, marked stale');
+  
+  const uncached = await fetchBlock({ hash: 'ab'.repeat(32) }).catch(err => err);
+  check(uncached instanceof Error && !uncached.message.startsWith('Offline mode'), 'network error without a cache entry still fails');
+  
+  stub.fail = null;
+  const before = stub.requests.length;
+  const offline = await fetchBlock({}, { offline: true });
+  check(offline.hash === MAINNET_BLOCKS[2].id && offline.stale === true && offline.cachedAt, 'offline run serves cached data, marked stale');
+  check(stub.requests.length === before, 'offline run never touches the network');
+  
+  const offlineMiss = await fetchBlock({ height: 1 }, { offline: true }).catch(err => err);
+  check(offlineMiss.message.startsWith('Offline mode: no cached response for'), 'offline run without a cache entry fails clearly');
+  check(stub.requests.length === before, 'offline miss does not fall back to the network');
+  
+  const online = await fetchBlock();
+  check(!online.stale, 'offline mode ends with the run');
+  
+  // JSON-RPC POSTs are mostly one-off lookups: cached only with cache.cachePost
+  const cfg = await loadConfig();
+  const entryCount = async () => (await readdir(cacheDir)).length;
+  const entries = await entryCount();
+  const post = { method: 'POST', body: '{"method":"getblockcount"}' };
+  await fetchWithRetry(`${stub.url}/blocks/tip/height`, post);
+  check(await entryCount() === entries, 'POST responses are not cached by default');
+  setOfflineMode(true);
+  const offlinePost = await fetchWithRetry(`${stub.url}/blocks/tip/height`, post).catch(err => err);
+  setOfflineMode(false);
+  check(offlinePost.message?.startsWith('Offline mode: POST responses are not cached'), 'offline POST fails clearly instead of reaching the network');
+  cfg.cache.cachePost = true;
+  await fetchWithRetry(`${stub.url}/blocks/tip/height`, post);
+  check(await entryCount() === entries + 1, 'cache.cachePost caches POST responses');
+  delete cfg.cache.cachePost;
+  
+  // Pruning on write: entries past maxAgeMs, then the oldest beyond maxEntries
+  const [aged] = await readdir(cacheDir);
+  const eightDaysAgo = Date.now() / 1000 - 8 * 24 * 60 * 60;
+  await utimes(join(cacheDir, aged), eightDaysAgo, eightDaysAgo);
+  await fetchWithRetry(`${stub.url}/block-height/1`);
+  check(!(await readdir(cacheDir)).includes(aged) && await entryCount() === entries + 1, 'entries older than 7 days are pruned on write');
+  
+  cfg.cache.maxEntries = 2;
+  const newestUrl = `${stub.url}/block/${MAINNET_BLOCKS[0].id}/header`;
+  await fetchWithRetry(newestUrl);
+  const kept = await readdir(cacheDir);
+  check(kept.length === 2 && kept.includes(`${await cacheKey(newestUrl)}.json`), 'only the newest cache.maxEntries entries are kept');
+  
+  console.log('\n========== CACHE TEST SUCCESS ==========\n');
+} finally {
+  await stub.close();
+  await dated.close();
+  await rm(workDir, { recursive: true, force: true });
+}
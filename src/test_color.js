@@ -0,0 +1,94 @@
+/**
+ * Test runner for color space conversions and palette derivation modes
+ * Run with: node src/test_color.js
+ */
+
+import { check } from '../test/support.js';
+
+const { hexToOklch, oklchToHex, gamutMapOklch, isInGamut, oklabToRgb, oklchToOklab, formatOklch } = await import('./colorSpace.js');
+const { derivePalette, deriveAccentColor, withOnColor, colorFromHex, deriveTonalScale, deriveTheme, deriveColorData } = await import('./deriveColors.js');
+const { generateThemeCss } = await import('./publish.js');
+const { contrastRatio, apcaContrast, findOnColor } = await import('./contrast.js');
+const { simulateCvd, scorePalette, makeDistinguishable } = await import('./cvd.js');
+
+const GENESIS = '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f';
+
+console.log('[test] Testing color spaces...\n');
+
+// Reference values from the OKLab paper / CSS Color 4
+check(formatOklch(hexToOklch('#ff0000')) === 'oklch(62.8% 0.2577 29.23)', 'sRGB red converts to OKLCH');
+check(formatOklch(hexToOklch('#ffffff')) === 'oklch(100% 0 0)', 'white has no chroma or hue');
+check(['#123456', '#abcdef', '#00ff00'].every(hex => oklchToHex(hexToOklch(hex)) === hex), 'hex round-trips through OKLCH');
+
+const mapped = gamutMapOklch({ l: 0.9, c: 0.4, h: 264 });
+check(mapped.c < 0.4 && mapped.l === 0.9 && mapped.h === 264, 'out-of-gamut color keeps lightness and hue');
+check(isInGamut(oklabToRgb(oklchToOklab(mapped))), 'gamut-mapped color is displayable');
+
+const hsl = await derivePalette(GENESIS, 6, { colorDerivation: { byteSource: 'segments' } });
+check(hsl[0].hex === '#ca4821' && hsl.every(c => c.oklchCss.startsWith('oklch(')), 'HSL mode is unchanged and carries oklch()');
+
+const oklch = await derivePalette(GENESIS, 6, { colorDerivation: { mode: 'oklch', oklchLightnessRange: [0.6, 0.7] } });
+check(oklch.every(c => c.oklch.l >= 0.59 && c.oklch.l <= 0.71), 'OKLCH mode keeps perceptual lightness in range');
+check(oklch.every(c => /^#[0-9a-f]{6}$/.test(c.hex) && c.css.startsWith('hsl(')), 'OKLCH mode still emits hex and hsl()');
+
+const unknown = await derivePalette(GENESIS, 6, { colorDerivation: { mode: 'lab' } }).then(() => null, err => err);
+check(unknown instanceof Error, 'unknown colorDerivation.mode rejected');
+
+const hueDistance = (a, b) => Math.min(Math.abs(a - b), 360 - Math.abs(a - b));
+const random = await derivePalette(GENESIS, 6, { colorDerivation: {} });
+const triadic = await derivePalette(GENESIS, 6, { colorDerivation: { scheme: 'triadic', schemeJitter: 0 } });
+check(triadic[0].hsl.h === random[0].hsl.h, 'hash seeds the base hue of a scheme');
+check(triadic.every((c, i) => hueDistance(c.hsl.h, random[0].hsl.h + [0, 120, 240][i % 3]) <= 1), 'triadic slots sit 120° apart');
+const analogous = await derivePalette(GENESIS, 6, { colorDerivation: { scheme: 'analogous' } });
+check(analogous.every(c => hueDistance(c.hsl.h, random[0].hsl.h) <= 70), 'analogous slots stay near the base hue');
+const mono = await derivePalette(GENESIS, 6, { colorDerivation: { scheme: 'monochromatic', mode: 'oklch' } });
+check(mono.every(c => hueDistance(c.oklch.h, mono[0].oklch.h) <= 12), 'monochromatic slots share a hue');
+check(deriveAccentColor(hsl[0], 'random', 'hsl').hsl.h === (hsl[0].hsl.h + 180) % 360, 'random scheme keeps the complementary accent');
+check(deriveAccentColor(hsl[0], 'split-complementary', 'hsl').hsl.h === (hsl[0].hsl.h + 150) % 360, 'accent follows the scheme');
+
+const badScheme = await derivePalette(GENESIS, 6, { colorDerivation: { scheme: 'pastel' } }).then(() => null, err => err);
+check(badScheme instanceof Error, 'unknown colorDerivation.scheme rejected');
+
+// WCAG 2.x and APCA reference values
+check(Math.abs(contrastRatio('#000000', '#ffffff') - 21) < 1e-9, 'black on white is 21:1');
+check(Math.abs(apcaContrast('#888888', '#ffffff') - 63.056) < 0.01 && Math.abs(apcaContrast('#ffffff', '#000000') + 107.885) < 0.01, 'APCA matches reference Lc values');
+
+check(hsl.every(c => contrastRatio(findOnColor(c.hex).hex, c.hex) >= 4.5), 'every palette color gets an AA on-color');
+const aaa = findOnColor('#777777', { level: 'AAA' });
+check(aaa.backgroundAdjusted && contrastRatio(aaa.hex, aaa.background) >= 7, 'background nudged when no on-color reaches AAA');
+check(findOnColor('#777777', { level: 'AAA' }).background === aaa.background, 'lightness nudges are deterministic');
+const apca = withOnColor(colorFromHex('#de3535'), { apca: true, apcaMinimum: 60 });
+check(Math.abs(apca.on.apca) >= 60 && apca.on.ratio >= 4.5, 'APCA target met alongside WCAG');
+
+// Machado et al. 2009: red and green collapse towards the same olive for protanopes
+check(simulateCvd('#ff0000', 'protanopia') === '#6d5f00' && simulateCvd('#808080', 'deuteranopia') === '#808080', 'CVD simulation keeps greys and merges red/green');
+const scores = scorePalette(hsl.map(c => c.hex));
+check(['normal', 'protanopia', 'deuteranopia', 'tritanopia'].every(t => typeof scores[t].minDeltaE === 'number'), 'palette scored for every deficiency');
+check(scores.deuteranopia.minDeltaE < scores.normal.minDeltaE && !scores.deuteranopia.distinguishable, 'genesis reds collapse under deuteranopia');
+const fixedPalette = makeDistinguishable(hsl.map(c => c.hex), { minDeltaE: 10 });
+check(fixedPalette.distinguishable && Object.values(scorePalette(fixedPalette.hexes)).every(t => t.distinguishable), 'enforce mode separates colors under every simulation');
+check(makeDistinguishable(hsl.map(c => c.hex), { minDeltaE: 10 }).hexes.join() === fixedPalette.hexes.join(), 'CVD adjustments are deterministic');
+const enforced = (await deriveColorData({ hash: GENESIS }, { colorDerivation: { cvd: { enforce: true } } })).cvd;
+check(enforced.enforced && enforced.distinguishable && enforced.adjusted.length > 0, 'enforced palette is reported distinguishable');
+const capped = (await deriveColorData({ hash: GENESIS }, { colorDerivation: { paletteSize: 12, cvd: { enforce: true, minDeltaE: 25 } } })).cvd;
+check(capped.enforced && !capped.distinguishable && capped.scores.deuteranopia.minDeltaE < 25, 'enforcement that hits the step cap is reported as not distinguishable');
+const nudged = await deriveColorData({ hash: GENESIS }, { colorDerivation: { cvd: { enforce: true }, contrast: { level: 'AAA' } } });
+check(nudged.palette.some(c => c.on.backgroundAdjusted) && !nudged.cvd.distinguishable, 'contrast nudges that undo the CVD pass are caught');
+check(JSON.stringify(nudged.cvd.scores) === JSON.stringify(scorePalette(nudged.palette.map(c => c.hex))), 'CVD scores describe the final palette');
+
+const scale = deriveTonalScale(colorFromHex('#ca4821'));
+const steps = Object.keys(scale).map(Number);
+check(steps.join() === '50,100,200,300,400,500,600,700,800,900,950', 'tonal scale covers 50-950');
+const tones = steps.map(step => hexToOklch(scale[step].hex));
+const gaps = tones.slice(2, -1).map((tone, i) => tones[i + 1].l - tone.l);
+check(gaps.every(gap => gap > 0.05 && gap < 0.1), 'tonal steps are evenly spaced in OKLCH lightness');
+check(tones.every(tone => hueDistance(tone.h, hexToOklch('#ca4821').h) < 8), 'tonal scale keeps the hue');
+
+const light = deriveTheme('light', hsl, deriveAccentColor(hsl[0], 'random', 'hsl'), {});
+const dark = deriveTheme('dark', hsl, deriveAccentColor(hsl[0], 'random', 'hsl'), {});
+check(light.palette.every(c => hexToOklch(c.hex).l <= 0.63) && dark.palette.every(c => hexToOklch(c.hex).l >= 0.67), 'palette lightness rebalanced per theme');
+check(contrastRatio(light.text, light.background) >= 7 && contrastRatio(dark.text, dark.background) >= 7, 'theme text is readable on its background');
+const themeCss = generateThemeCss({ themes: { default: 'dark', light, dark } }).join('\n');
+check(themeCss.includes('@media (prefers-color-scheme: light)') && themeCss.includes('[data-theme="light"]') && themeCss.startsWith('/* Themes (default: dark) */\n:root,'), 'theme CSS uses prefers-color-scheme and [data-theme]');
+
+console.log('\n========== COLOR TEST SUCCESS ==========\n');
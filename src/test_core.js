@@ -0,0 +1,106 @@
+/**
+ * Golden-vector test runner for the shared color core
+ * Run with: node src/test_core.js (add --update to fill in vectors whose expected is null)
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { check } from '../test/support.js';
+
+const { deriveColorData, SPECS, CURRENT_SPEC, DEFAULT_SPEC, COLOR_MODES, SCHEMES } = await import('./colorCore.js');
+const { WCAG_LEVELS } = await import('./contrast.js');
+
+const VECTORS_PATH = new URL('../fixtures/golden/vectors.json', import.meta.url);
+const CONFIG_PATH = new URL('../inputs/config.json', import.meta.url);
+const FIXTURE_OUTPUT_PATH = new URL('../fixtures/early-mainnet/expected/colors.json', import.meta.url);
+const update = process.argv.includes('--update');
+
+/**
+ * Every color a derivation publishes. Contrast nudges, CVD adjustment, tonal
+ * scales and themes are frozen per spec version like the palette, so the
+ * vectors pin them too. Outside the hsl palette and accent they pin V8's
+ * Math.pow/cbrt/atan2 results (see SPEC.md, Engine independence)
+ */
+function summarize(colorData) {
+  const theme = variant => ({
+    neutrals: [variant.background, variant.surface, variant.text, variant.textMuted],
+    palette: variant.palette.map(c => c.hex),
+    on: variant.palette.map(c => c.on),
+    accent: variant.accent.hex
+  });
+  
+  return {
+    specVersion: colorData.specVersion,
+    palette: colorData.palette.map(c => c.hex),
+    on: colorData.palette.map(c => c.on?.hex ?? null),
+    accent: colorData.accentColor?.hex ?? null,
+    accentOn: colorData.accentColor?.on?.hex ?? null,
+    backgroundAdjusted: colorData.palette.flatMap((c, i) => c.on?.backgroundAdjusted ? [i] : []),
+    cvd: { adjusted: colorData.cvd.adjusted, distinguishable: colorData.cvd.distinguishable },
+    scale: colorData.primaryColor?.scale ? Object.values(colorData.primaryColor.scale).map(tone => tone.hex) : null,
+    themes: colorData.themes ? { default: colorData.themes.default, light: theme(colorData.themes.light), dark: theme(colorData.themes.dark) } : null
+  };
+}
+
+console.log('[test] Testing color core golden vectors...\n');
+
+const golden = JSON.parse(await readFile(VECTORS_PATH, 'utf-8'));
+
+for (const vector of golden.vectors) {
+  const colorData = await deriveColorData({ hash: vector.hash, blocks: vector.blocks }, vector.config);
+  const actual = summarize(colorData);
+  
+  if (update) {
+    // Existing vectors are never rewritten: a mismatch means a spec changed
+    if (vector.expected === null) {
+      vector.expected = actual;
+      console.log('[test] filled in', vector.name);
+    }
+    continue;
+  }
+  check(JSON.stringify(actual) === JSON.stringify(vector.expected), `${vector.name} matches its golden vector`);
+}
+
+if (update) {
+  await writeFile(VECTORS_PATH, JSON.stringify(golden, null, 2) + '\n');
+  console.log(`\n[test] Wrote ${golden.vectors.length} vectors`);
+  process.exit(0);
+}
+
+// Every spec version stays callable and stamps its output
+const specs = golden.vectors.map(vector => vector.config.colorDerivation.specVersion);
+check(Object.keys(SPECS).every(version => specs.includes(version)), 'every spec version has golden vectors');
+// Every mode, scheme, seed mode and contrast/CVD setting has vectors, so a
+// change to any step after sampling fails here too
+const settings = golden.vectors.map(vector => vector.config.colorDerivation);
+const covers = (values, read) => values.every(value => settings.some(setting => read(setting) === value));
+check(covers(COLOR_MODES, s => s.mode || 'hsl') && covers(Object.keys(SCHEMES), s => s.scheme || 'random'), 'every color mode and scheme has golden vectors');
+check(covers(['single', 'rolling', 'per-slot'], s => s.seedMode || 'single'), 'every seed mode has golden vectors');
+check(covers(Object.keys(WCAG_LEVELS), s => s.contrast?.level || 'AA') && covers([true, false], s => Boolean(s.contrast?.minRatio)) && covers([true, false], s => Boolean(s.contrast?.apca)) && covers([true, false], s => s.contrast !== false), 'every contrast setting has golden vectors');
+check(Object.keys(SPECS).every(version => settings.some(s => s.specVersion === version && s.cvd?.enforce)), 'CVD enforcement has golden vectors for every spec version');
+const GENESIS = golden.vectors[0].hash;
+const stamped = await deriveColorData({ hash: GENESIS }, { colorDerivation: {} });
+check(stamped.specVersion === DEFAULT_SPEC && DEFAULT_SPEC === 'bhac-v1', 'unpinned configs keep bhac-v1');
+const legacy = await deriveColorData({ hash: GENESIS }, { colorDerivation: { byteSource: 'segments' } });
+check(legacy.specVersion === 'bhac-v1', 'byteSource "segments" selects bhac-v1');
+const hkdf = await deriveColorData({ hash: GENESIS }, { colorDerivation: { byteSource: 'hkdf' } });
+check(hkdf.specVersion === 'bhac-v2', 'byteSource "hkdf" selects bhac-v2');
+const site = JSON.parse(await readFile(CONFIG_PATH, 'utf-8'));
+check(site.colorDerivation.specVersion === CURRENT_SPEC, 'the shipped config pins the current spec');
+const rejects = promise => promise.then(() => null, err => err);
+check((await rejects(deriveColorData({ hash: GENESIS }, { colorDerivation: { specVersion: 'bhac-v0' } })))?.message.includes('specVersion'), 'unknown spec version rejected');
+check((await rejects(deriveColorData({ hash: GENESIS }, { colorDerivation: { specVersion: 'bhac-v2', byteSource: 'segments' } })))?.message.includes('conflicts'), 'byteSource conflicting with the spec version rejected');
+
+// The output the recorded fixture published (Node.js pipeline) is the core's output for the site config
+const published = JSON.parse(await readFile(FIXTURE_OUTPUT_PATH, 'utf-8'));
+const config = JSON.parse(await readFile(CONFIG_PATH, 'utf-8'));
+const core = summarize(await deriveColorData({ hash: published.sourceHash }, config));
+check(JSON.stringify(core.palette) === JSON.stringify(published.palette.map(c => c.hex)), 'published palette equals the core palette');
+check(core.accent === published.accent.hex, 'published accent equals the core accent');
+check(published.specVersion === core.specVersion, 'published output is stamped with its spec version');
+
+// The page runs the browser app, which derives through the core
+const page = await readFile(new URL('./index.html', import.meta.url), 'utf-8');
+const app = await readFile(new URL('./app.js', import.meta.url), 'utf-8');
+check(page.includes('<script src="app.js" type="module">') && app.includes("import('./colorCore.js')"), 'index.html loads app.js, which uses the core');
+
+console.log('\n========== COLOR CORE TEST SUCCESS ==========\n');
@@ -0,0 +1,82 @@
+/**
+ * Test runner for the colorDerivation.algorithm digest registry
+ * Run with: node src/test_digests.js
+ */
+
+import { createHash, createHmac, hkdfSync } from 'crypto';
+import { check } from '../test/support.js';
+
+const { digest, digestBytes, listDigests, registerDigest, createByteStream } = await import('./digests.js');
+const { derivePalette } = await import('./deriveColors.js');
+const { MAX_PALETTE_SIZE } = await import('./colorCore.js');
+
+const GENESIS = '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f';
+const rejects = promise => promise.then(() => null, err => err);
+
+console.log('[test] Testing digests...\n');
+
+// Pure-JS digests against Node's OpenSSL, across padding and block boundaries
+const inputs = ['', 'abc', GENESIS, 'a'.repeat(135), 'a'.repeat(136), 'x'.repeat(3000)];
+for (const [name, nodeName] of [['sha256', 'sha256'], ['sha512', 'sha512'], ['sha3-256', 'sha3-256'], ['blake2b', 'blake2b512']]) {
+  const results = await Promise.all(inputs.map(input => digest(name, input)));
+  check(results.every((hex, i) => hex === createHash(nodeName).update(inputs[i]).digest('hex')), `${name} matches Node.js crypto`);
+}
+
+// BLAKE3 reference vectors: input is i % 251 for i < length
+const blake3Vectors = {
+  0: 'af1349b9f5f9a1a6a0404dea36dcc9499bcb25c9adc112b7cc9a93cae41f3262',
+  1024: '42214739f095a406f3fc83deb889744ac00df831c10daa55189b5d121c855af7',
+  1025: 'd00278ae47eb27b34faecf67b4fe263f82d5412916c1ffd97c8cb7fb814b8444',
+  4097: '9b4052b38f1c5fc8b1f9ff7ac7b27cd242487b3d890d15c96a1c25b8aa0fb995'
+};
+for (const [length, expected] of Object.entries(blake3Vectors)) {
+  const input = Uint8Array.from({ length: Number(length) }, (_, i) => i % 251);
+  check(await digest('blake3', input) === expected, `blake3 matches the reference vector for ${length} bytes`);
+}
+
+const hmac = await digest('hmac-sha256', GENESIS, { secret: 'site-a' });
+check(hmac === createHmac('sha256', 'site-a').update(GENESIS).digest('hex'), 'hmac-sha256 matches Node.js crypto');
+check((await rejects(digest('hmac-sha256', GENESIS))) instanceof Error, 'hmac-sha256 without a secret rejected');
+check((await rejects(digest('md5', GENESIS)))?.message.includes('md5'), 'unknown algorithm fails loudly');
+check(await digest('SHA3-256', 'abc') === await digest('sha3-256', 'abc'), 'algorithm names are case-insensitive');
+
+registerDigest('reverse-sha256', async bytes => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)).reverse());
+check(listDigests().includes('reverse-sha256'), 'custom digests can be registered');
+
+const siteA = await derivePalette(GENESIS, 6, { colorDerivation: { algorithm: 'hmac-sha256', secret: 'site-a' } });
+const siteB = await derivePalette(GENESIS, 6, { colorDerivation: { algorithm: 'hmac-sha256', secret: 'site-b' } });
+check(siteA.map(c => c.hex).join() !== siteB.map(c => c.hex).join(), 'different secrets give different palettes for the same block');
+const sha512 = await derivePalette(GENESIS, 12, { colorDerivation: { algorithm: 'sha512', byteSource: 'segments' } });
+check(sha512.length === 12, 'longer digests supply more palette segments');
+check((await rejects(derivePalette(GENESIS, 6, { colorDerivation: { algorithm: 'crc32' } }))) instanceof Error, 'palette derivation rejects unknown algorithms');
+
+// HKDF stream: reads in any chunk sizes equal one RFC 5869 expansion
+const ikm = await digestBytes('sha256', GENESIS);
+const stream = await createByteStream(ikm, { info: 'palette' });
+const chunks = [await stream.read(3), await stream.read(61), await stream.read(100)];
+const streamed = Buffer.concat(chunks).toString('hex');
+check(streamed === Buffer.from(hkdfSync('sha256', ikm, Buffer.alloc(0), 'palette', 164)).toString('hex'), 'byte stream matches Node.js HKDF-SHA256');
+const salted = await createByteStream(ikm, { salt: 'site', info: 'palette' });
+check(Buffer.from(await salted.read(32)).toString('hex') === Buffer.from(hkdfSync('sha256', ikm, 'site', 'palette', 32)).toString('hex'), 'byte stream honours the salt');
+check((await rejects(stream.read(255 * 32))) instanceof Error, 'byte stream refuses to read past the HKDF limit');
+
+// Palettes of any size from the stream (bhac-v2; unpinned configs stay on bhac-v1)
+const large = await derivePalette(GENESIS, 40, { colorDerivation: { specVersion: 'bhac-v2' } });
+check(large.length === 40 && new Set(large.map(c => c.hex)).size === 40, '40-color palette has no repeated colors');
+// minHueSeparation 360 forces every redraw, the most bytes a palette can read
+const crowded = { colorDerivation: { specVersion: 'bhac-v2', minHueSeparation: 360 } };
+check(MAX_PALETTE_SIZE === 240 && (await derivePalette(GENESIS, MAX_PALETTE_SIZE, crowded)).length === 240, 'largest palette fits the HKDF stream with every hue redrawn');
+const tooLarge = await rejects(derivePalette(GENESIS, MAX_PALETTE_SIZE + 1, { colorDerivation: { specVersion: 'bhac-v2' } }));
+check(tooLarge?.message.includes('paletteSize 241 is too large (at most 240'), 'palettes past the HKDF budget are rejected up front');
+check((await derivePalette(GENESIS, 300, { colorDerivation: { byteSource: 'segments' } })).length > 0, 'segments byte source has no size limit');
+const hueDistance = (a, b) => Math.min(Math.abs(a - b), 360 - Math.abs(a - b));
+const minHueGap = palette => Math.min(...palette.flatMap((a, i) => palette.slice(i + 1).map(b => hueDistance(a.hsl.h, b.hsl.h))));
+// Separation is checked on rounded HSL hues, so allow a degree of slack
+check(minHueGap(await derivePalette(GENESIS, 6, { colorDerivation: { specVersion: 'bhac-v2' } })) >= 14, 'default palette keeps hues 15 degrees apart');
+check(minHueGap(await derivePalette(GENESIS, 8, { colorDerivation: { specVersion: 'bhac-v2', minHueSeparation: 25 } })) >= 24, 'minHueSeparation is honoured');
+const legacyLarge = await derivePalette(GENESIS, 12, { colorDerivation: { byteSource: 'segments' } });
+// Legacy slicing drops the partial 11th segment and wraps around for the 12th
+check(legacyLarge.length === 11 && legacyLarge[0].hex === '#ca4821', 'segments byte source keeps the legacy palette');
+check((await rejects(derivePalette(GENESIS, 6, { colorDerivation: { byteSource: 'xof' } })))?.message.includes('byteSource'), 'unknown byte source rejected');
+
+console.log('\n========== DIGEST TEST SUCCESS ==========\n');
@@ -1,15 +1,98 @@
 /**
  * Test runner for BlockHash fetch→parse→derive→publish pipeline
  * Run with: node src/test_pipeline.js
+ *
+ * Options:
+ *   --record <dir>  Save every provider response to a fixture directory
+ *   --replay <dir>  Serve responses from a fixture directory (no network) and
+ *                   check the published outputs are byte-identical to <dir>/expected
+ *   --out <dir>     Output directory (default: public; a temp dir when recording
+ *                   or replaying, so fixture runs never touch the published files)
  */
 
-import('./fetchBlockchain.js')
-  .then(async (fetchBlockchain) => {
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--record' || argv[i] === '--replay' || argv[i] === '--out') {
+      args[argv[i].substring(2)] = argv[++i];
+    }
+  }
+  if (args.record && args.replay) {
+    throw new Error('--record and --replay are mutually exclusive');
+  }
+  return args;
+}
+
+/**
+ * Compare published outputs against a fixture's expected files
+ * @returns {Promise<string[]>} Names of files that differ
+ */
+async function compareOutputs(outputs, expectedDir) {
+  const { readFile } = await import('fs/promises');
+  const { join, basename } = await import('path');
+  const mismatches = [];
+  
+  for (const out of outputs) {
+    const actual = await readFile(out.path);
+    const expected = await readFile(join(expectedDir, basename(out.path))).catch(() => null);
+    if (!expected || !actual.equals(expected)) {
+      mismatches.push(basename(out.path));
+    }
+  }
+  
+  return mismatches;
+}
+
+/**
+ * Copy published outputs into a fixture's expected directory
+ */
+async function saveExpectedOutputs(outputs, expectedDir) {
+  const { copyFile, mkdir } = await import('fs/promises');
+  const { join, basename } = await import('path');
+  
+  await mkdir(expectedDir, { recursive: true });
+  for (const out of outputs) {
+    await copyFile(out.path, join(expectedDir, basename(out.path)));
+  }
+}
+
+Promise.all([import('./fetchBlockchain.js'), import('./fixtures.js')])
+  .then(async ([fetchBlockchain, fixtures]) => {
+    const args = parseArgs(process.argv.slice(2));
+    let derivedAt;
+    let outputDir = args.out || 'public';
+    
+    if (args.record) {
+      fixtures.setFixtureMode({ mode: 'record', dir: args.record });
+      derivedAt = new Date().toISOString();
+      console.log('[test] Recording provider responses to', args.record);
+    } else if (args.replay) {
+      fixtures.setFixtureMode({ mode: 'replay', dir: args.replay });
+      derivedAt = (await fixtures.readFixtureManifest()).recordedAt;
+      // Replay with the recording's config so request URLs match (nothing has loaded one yet)
+      const fixtureConfig = await fixtures.getFixtureConfigPath();
+      if (fixtureConfig) {
+        process.env.BLOCKHASH_CONFIG = fixtureConfig;
+      }
+      console.log('[test] Replaying provider responses from', args.replay);
+    }
+    
+    if ((args.record || args.replay) && !args.out) {
+      const { mkdtemp } = await import('fs/promises');
+      const { tmpdir } = await import('os');
+      const { join } = await import('path');
+      outputDir = await mkdtemp(join(tmpdir(), `blockhash-${args.record ? 'record' : 'replay'}-`));
+    }
+    
     console.log('[test] Testing fetch→parse→derive→publish pipeline...\n');
     
-    // Step 1: Fetch latest block hash
-    console.log('[test] Step 1: Fetching latest block hash...');
-    const rawHash = await fetchBlockchain.fetchLatestBlockHash();
+    // Step 1: Fetch latest block
+    console.log('[test] Step 1: Fetching latest block...');
+    const block = await fetchBlockchain.fetchBlock();
+    const rawHash = block?.hash;
     
     if (!rawHash) {
       console.error('[test] FAIL: Could not fetch block hash');
@@ -21,7 +104,7 @@ import('./fetchBlockchain.js')
     // Step 2: Parse the hash
     console.log('\n[test] Step 2: Parsing ledger data...');
     const parseLedgerModule = await import('./parseLedger.js');
-    const parsedData = await parseLedgerModule.parseLedger({ hash: rawHash });
+    const parsedData = await parseLedgerModule.parseLedger(await fetchBlockchain.fetchSeedBlocks(block));
     
     if (!parsedData || !parsedData.hash) {
       console.error('[test] FAIL: Could not parse block hash');
@@ -34,7 +117,7 @@ import('./fetchBlockchain.js')
     // Step 3: Derive colors
     console.log('\n[test] Step 3: Deriving colors...');
     const deriveColorsModule = await import('./deriveColors.js');
-    const colorData = await deriveColorsModule.deriveColors(parsedData);
+    const colorData = await deriveColorsModule.deriveColors(parsedData, { derivedAt });
     
     if (!colorData || !colorData.palette || colorData.palette.length === 0) {
       console.error('[test] FAIL: Could not derive colors');
@@ -52,7 +135,7 @@ import('./fetchBlockchain.js')
     // Step 5: Publish to files
     console.log('\n[test] Step 4: Publishing output files...');
     const publishModule = await import('./publish.js');
-    const publishResult = await publishModule.publish(colorData, { outputDir: 'public' });
+    const publishResult = await publishModule.publish(colorData, { outputDir });
     
     if (!publishResult || !publishResult.success) {
       console.error('[test] FAIL: Could not publish output:', publishResult?.errors);
@@ -64,6 +147,21 @@ import('./fetchBlockchain.js')
       console.log(`[test]   - ${out.type}: ${out.path}`);
     });
     
+    // Step 6: Save or verify fixture outputs
+    if (args.record) {
+      await fixtures.writeFixtureManifest({ recordedAt: derivedAt });
+      await fixtures.writeFixtureConfig(await fetchBlockchain.loadConfig());
+      await saveExpectedOutputs(publishResult.outputs, await fixtures.getExpectedDir());
+      console.log('\n[test] ✓ Recorded fixture:', args.record);
+    } else if (args.replay) {
+      const mismatches = await compareOutputs(publishResult.outputs, await fixtures.getExpectedDir());
+      if (mismatches.length > 0) {
+        console.error('[test] FAIL: Replayed outputs differ from fixture:', mismatches.join(', '));
+        process.exit(1);
+      }
+      console.log('\n[test] ✓ Replayed outputs are byte-identical to fixture');
+    }
+    
     // Output summary
     console.log('\n========== PIPELINE TEST SUCCESS ==========');
     console.log('Hash:', rawHash);
@@ -0,0 +1,140 @@
+/**
+ * Test runner for the Ethereum, mempool and Litecoin/Dogecoin Esplora provider
+ * adapters against local stub servers
+ * Run with: node src/test_providers.js
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { check, MAINNET_BLOCKS, makeChain, startStubEsplora, startStubJsonRpc, writeStubConfig } from '../test/support.js';
+
+const workDir = await mkdtemp(join(tmpdir(), 'blockhash-providers-'));
+const ETH_GENESIS = 'd4e56740f876aef8c010b86a40d5f56745a118d0906a34e69aec8c0db1cb8fa3';
+const LTC_GENESIS = '12a765e31ffd4059bada1e25190f6e98c99d9714d334efa41a195a7e7e04bfe2';
+const DOGE_GENESIS = '1a91e3dace36e2be3bf030a65679fe821aa1d6ef92e7c9902eb318182c355691';
+
+// Ethereum chain as eth_getBlockBy* results
+const ethHash = height => height === 0 ? ETH_GENESIS : createHash('sha256').update(`eth:${height}`).digest('hex');
+const ethChain = [0, 1, 2].map(height => ({
+  number: `0x${height.toString(16)}`,
+  hash: `0x${ethHash(height)}`,
+  parentHash: `0x${height === 0 ? '0'.repeat(64) : ethHash(height - 1)}`,
+  timestamp: `0x${(1438269973 + height * 12).toString(16)}`,
+  size: '0x21c',
+  nonce: '0x42',
+  difficulty: '0x3ff800000',
+  miner: '0x05a56e2d52c817161883f50c441c3228cfe54d9f',
+  transactions: []
+}));
+const ethereum = await startStubJsonRpc((call, stub) => {
+  const [target] = call.params;
+  switch (call.method) {
+    case 'eth_blockNumber':
+      return { result: stub.chain[stub.chain.length - 1].number };
+    case 'eth_getBlockByNumber':
+      return { result: target === 'latest' ? stub.chain[stub.chain.length - 1] : stub.chain[parseInt(target, 16)] ?? null };
+    case 'eth_getBlockByHash':
+      return { result: stub.chain.find(b => b.hash === target) ?? null };
+    default:
+      return { error: { code: -32601, message: 'Method not found' } };
+  }
+});
+ethereum.chain = ethChain;
+
+// mempool serves the Esplora paths with /v1/blocks and /v1/block/:hash on top
+const mempool = await startStubEsplora({
+  blocks: MAINNET_BLOCKS,
+  handle: req => {
+    req.url = req.url.replace(/^\/v1\/(blocks$|block\/)/, '/$1');
+    return false;
+  }
+});
+const litecoin = await startStubEsplora({ blocks: makeChain(3, { label: 'ltc', from: [{ ...makeChain(1)[0], id: LTC_GENESIS }] }) });
+const dogecoin = await startStubEsplora({ blocks: makeChain(3, { label: 'doge', from: [{ ...makeChain(1)[0], id: DOGE_GENESIS }] }) });
+
+process.env.BLOCKHASH_CONFIG = join(workDir, 'config.json');
+await writeStubConfig(process.env.BLOCKHASH_CONFIG, { network: 'dogecoin' }, {
+  cache: { enabled: false },
+  retry: { maxRetries: 0 }
+});
+
+const fetchBlockchain = await import('./fetchBlockchain.js');
+const { NetworkMismatchError } = fetchBlockchain;
+
+try {
+  console.log('[test] Testing provider adapters...\n');
+  
+  // Dogecoin has no public endpoint, so a config without one is rejected on load
+  const noEndpoint = await fetchBlockchain.loadConfig().catch(err => err);
+  check(noEndpoint?.message === 'Network "dogecoin" has no public endpoint: set blockchain.rpcUrl to a dogecoin Esplora instance', 'dogecoin without rpcUrl is rejected when the config loads');
+  const validate = blockchain => {
+    try {
+      fetchBlockchain.validateBlockchainConfig({ blockchain });
+      return null;
+    } catch (err) {
+      return err;
+    }
+  };
+  check(validate({ network: 'dogecoin', quorum: { sources: [{ rpcUrl: dogecoin.url }, {}] } })?.message.includes('no public endpoint'), 'every dogecoin quorum source needs an rpcUrl');
+  check(validate({ network: 'bitcoin' }) === null, 'networks with a default endpoint need no rpcUrl');
+  check(validate({ network: 'dogechain' }) instanceof NetworkMismatchError, 'unknown networks are rejected');
+  
+  await writeStubConfig(process.env.BLOCKHASH_CONFIG, { network: 'dogecoin', rpcUrl: dogecoin.url }, {
+    cache: { enabled: false },
+    retry: { maxRetries: 0 }
+  });
+  const cfg = await fetchBlockchain.loadConfig();
+  const dogeTip = await fetchBlockchain.fetchBlock();
+  check(dogeTip.hash === dogecoin.blocks[2].id && dogeTip.network === 'dogecoin', 'dogecoin Esplora fork serves the tip');
+  check(dogecoin.requests.includes('/block-height/0'), 'dogecoin endpoint is genesis-checked');
+  
+  // Ethereum JSON-RPC
+  cfg.blockchain = { network: 'ethereum', rpcUrl: ethereum.url };
+  const ethTip = await fetchBlockchain.fetchBlock();
+  check(ethTip.hash === ethHash(2) && ethTip.height === 2 && ethTip.prevHash === ethHash(1), 'ethereum fetchTip normalizes eth_getBlockByNumber("latest")');
+  check(ethTip.timestamp === 1438269997 && ethTip.txCount === 0 && ethTip.miner === ethChain[2].miner, 'ethereum block fields are decoded from hex');
+  check(ethereum.calls.some(c => c.method === 'eth_getBlockByNumber' && c.params[0] === '0x0'), 'ethereum endpoint is genesis-checked');
+  const ethOne = await fetchBlockchain.fetchBlock({ height: 1 });
+  check(ethOne.hash === ethHash(1) && ethereum.calls.some(c => c.params[0] === '0x1'), 'ethereum fetchByHeight asks for the hex block number');
+  const ethByHash = await fetchBlockchain.fetchBlock({ hash: ethHash(1) });
+  check(ethByHash.height === 1 && ethereum.calls.some(c => c.method === 'eth_getBlockByHash' && c.params[0] === `0x${ethHash(1)}`), 'ethereum fetchByHash sends a 0x-prefixed hash');
+  const ethMissing = await fetchBlockchain.fetchBlock({ height: 9 }).catch(err => err);
+  check(ethMissing instanceof fetchBlockchain.BlockNotFoundError, 'ethereum null block raises BlockNotFoundError');
+  ethereum.chain = [...ethChain, { ...ethChain[2], number: '0x3', hash: '0x1234' }];
+  const ethBadHash = await fetchBlockchain.fetchBlock().catch(err => err);
+  check(ethBadHash instanceof NetworkMismatchError && /not a 64-digit hex hash/.test(ethBadHash.message), 'ethereum hash that is not 64 hex digits is rejected');
+  ethereum.chain = ethChain;
+  
+  // mempool.space API
+  cfg.blockchain = { network: 'bitcoin', provider: 'mempool', rpcUrl: mempool.url };
+  const mempoolTip = await fetchBlockchain.fetchBlock();
+  check(mempoolTip.hash === MAINNET_BLOCKS[2].id && mempool.requests.includes('/v1/blocks'), 'mempool fetchTip reads /v1/blocks');
+  check(mempoolTip.header?.nonce === MAINNET_BLOCKS[2].nonce, 'mempool blocks are PoW-verified');
+  const mempoolOne = await fetchBlockchain.fetchBlock({ height: 1 });
+  check(mempoolOne.hash === MAINNET_BLOCKS[1].id && mempool.requests.includes(`/v1/block/${MAINNET_BLOCKS[1].id}`), 'mempool fetchByHeight resolves the hash, then reads /v1/block');
+  mempool.blocks = [...MAINNET_BLOCKS, { ...MAINNET_BLOCKS[2], id: 'ab'.repeat(32), height: 3 }];
+  const mempoolBadHash = await fetchBlockchain.fetchBlock().catch(err => err);
+  check(mempoolBadHash instanceof NetworkMismatchError && /leading zeros/.test(mempoolBadHash.message), 'mempool hash without bitcoin\'s leading zeros is rejected');
+  
+  // Litecoin Esplora fork
+  cfg.blockchain = { network: 'litecoin', rpcUrl: litecoin.url };
+  const ltcTip = await fetchBlockchain.fetchBlock();
+  check(ltcTip.hash === litecoin.blocks[2].id && ltcTip.network === 'litecoin' && !ltcTip.header, 'litecoin fetchTip works without SHA-256d PoW checks');
+  const ltcOne = await fetchBlockchain.fetchBlock({ height: 1 });
+  check(ltcOne.hash === litecoin.blocks[1].id && litecoin.requests.includes('/block-height/1'), 'litecoin fetchByHeight resolves the hash at a height');
+  litecoin.blocks = [...litecoin.blocks, { ...litecoin.blocks[2], id: 'not-a-hash', height: 3 }];
+  const ltcBadHash = await fetchBlockchain.fetchBlock().catch(err => err);
+  check(ltcBadHash instanceof NetworkMismatchError, 'litecoin malformed hash is rejected');
+  
+  // A bitcoin endpoint configured as litecoin fails the genesis check
+  cfg.blockchain = { network: 'litecoin', rpcUrl: mempool.url };
+  const wrongChain = await fetchBlockchain.fetchBlock().catch(err => err);
+  check(wrongChain instanceof NetworkMismatchError && wrongChain.message.includes('is not a litecoin endpoint'), 'litecoin profile rejects an endpoint serving bitcoin');
+  
+  console.log('\n========== PROVIDERS TEST SUCCESS ==========\n');
+} finally {
+  await Promise.all([ethereum, mempool, litecoin, dogecoin].map(stub => stub.close()));
+  await rm(workDir, { recursive: true, force: true });
+}
@@ -0,0 +1,127 @@
+/**
+ * Test runner for quorum tip fetching against local stub Esplora servers
+ * Run with: node src/test_quorum.js
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { check, MAINNET_BLOCKS, makeChain, forkChain, startStubEsplora, writeStubConfig } from '../test/support.js';
+
+// Synthetic blocks on top of the real genesis, so every source passes the genesis check
+const chain = makeChain(11, { from: MAINNET_BLOCKS.slice(0, 1) });
+const workDir = await mkdtemp(join(tmpdir(), 'blockhash-quorum-'));
+const stubs = await Promise.all(['a', 'b', 'c'].map(() => startStubEsplora({ blocks: chain })));
+const [a, b, c] = stubs;
+
+const quorumConfig = (quorum) => ({
+  blockchain: {
+    network: 'bitcoin',
+    verifyPow: false,
+    quorum: {
+      ...quorum,
+      sources: stubs.map((stub, i) => ({ name: 'abc'[i], provider: 'esplora', rpcUrl: stub.url }))
+    }
+  }
+});
+
+// Serve the shared chain everywhere, then apply one scenario's changes
+const reset = () => stubs.forEach(stub => {
+  stub.blocks = chain;
+  stub.fail = null;
+});
+
+process.env.BLOCKHASH_CONFIG = join(workDir, 'config.json');
+process.env.BLOCKHASH_OUTPUT_DIR = join(workDir, 'public');
+process.env.BLOCKHASH_LOG_FILE = join(workDir, 'cron.log');
+await writeStubConfig(process.env.BLOCKHASH_CONFIG, quorumConfig({ required: 2 }).blockchain, {
+  cache: { enabled: false },
+  retry: { maxRetries: 0 }
+});
+
+const { fetchQuorumTip, checkGenesis, QuorumError, NetworkMismatchError } = await import('./fetchBlockchain.js');
+const { runPipeline } = await import('./cron_runner.js');
+
+try {
+  console.log('[test] Testing quorum tip fetching...\n');
+  
+  const tip = chain[10];
+  
+  const unanimous = await fetchQuorumTip(quorumConfig({ required: 2 }));
+  check(unanimous.hash === tip.id && unanimous.height === 10, 'agreeing sources give the shared tip');
+  check(unanimous.warnings.length === 0, 'no warnings when every source agrees');
+  
+  c.blocks = chain.slice(0, 10);
+  const lagging = await fetchQuorumTip(quorumConfig({ required: 2 }));
+  check(lagging.hash === tip.id, '2-of-3 agreement outvotes a lagging source');
+  const [warning] = lagging.warnings;
+  check(warning?.type === 'quorum-disagreement' && warning.strategy === 'agree', 'lagging source raises a quorum-disagreement warning');
+  check(warning.accepted.agreed === 2 && warning.accepted.total === 3 && warning.accepted.hash === tip.id, 'warning records the accepted tip and vote');
+  check(warning.sources.find(s => s.source === 'c').height === 9, 'warning reports what each source saw');
+  
+  const strict = await fetchQuorumTip(quorumConfig({ required: 3 })).catch(err => err);
+  check(strict instanceof QuorumError, 'QuorumError when fewer than N sources agree');
+  check(strict.message === 'Quorum not reached: 2 of 3 sources agree, 3 required', 'QuorumError names the vote count');
+  check(strict.report.length === 3 && strict.report.every(r => r.hash), 'QuorumError carries the per-source report');
+  
+  const common = await fetchQuorumTip(quorumConfig({ required: 3, strategy: 'highest-common' }));
+  check(common.hash === chain[9].id && common.height === 9, 'highest-common settles on the height every source has');
+  check(common.warnings[0]?.strategy === 'highest-common', 'highest-common still warns that the tips differed');
+  
+  reset();
+  b.blocks = forkChain(chain, 10, 11, 'b');
+  const split = await fetchQuorumTip(quorumConfig({ required: 2 }));
+  check(split.hash === tip.id, 'majority tip wins over a disagreeing source');
+  check(split.warnings[0].sources.find(s => s.source === 'b').hash === b.blocks[10].id, 'warning reports the disagreeing hash');
+  
+  // A fork at the tip plus a lagging source: the only common ground is one block down
+  c.blocks = chain.slice(0, 10);
+  const forkAndLag = await fetchQuorumTip(quorumConfig({ required: 3 })).catch(err => err);
+  check(forkAndLag instanceof QuorumError, 'three-way split fails the agree strategy');
+  const forkCommon = await fetchQuorumTip(quorumConfig({ required: 3, strategy: 'highest-common' }));
+  check(forkCommon.hash === chain[9].id, 'highest-common resolves a tip fork plus a lagging source');
+  
+  reset();
+  c.fail = 503;
+  const down = await fetchQuorumTip(quorumConfig({ required: 2 }));
+  check(down.hash === tip.id, 'quorum survives one failing source');
+  check(down.warnings[0].sources.find(s => s.source === 'c').error === 'HTTP 503: Service Unavailable', 'failing source is reported with its error');
+  
+  b.fail = 503;
+  const outage = await fetchQuorumTip(quorumConfig({ required: 2 })).catch(err => err);
+  check(outage instanceof QuorumError && outage.report.filter(r => r.error).length === 2, 'QuorumError when too many sources fail');
+  
+  const badStrategy = await fetchQuorumTip(quorumConfig({ strategy: 'longest' })).catch(err => err);
+  check(badStrategy.message === 'Unknown quorum strategy "longest"', 'unknown strategy is rejected');
+  
+  reset();
+  c.blocks = chain.slice(0, 10);
+  const run = await runPipeline();
+  check(run.success && run.hash === tip.id, 'pipeline publishes the quorum tip');
+  check(run.warnings.length === 1 && run.warnings[0].type === 'quorum-disagreement', 'run result carries the structured warnings');
+  
+  reset();
+  a.fail = 503;
+  b.fail = 503;
+  const failedRun = await runPipeline();
+  check(!failedRun.success && failedRun.error.startsWith('Quorum not reached'), 'run fails when quorum is not met');
+  
+  // Every source votes, so every source must serve the configured network
+  reset();
+  const foreign = await startStubEsplora({ blocks: makeChain(11, { label: 'other-network' }) });
+  const withForeign = quorumConfig({ required: 2 });
+  withForeign.blockchain.quorum.sources.push({ name: 'd', provider: 'esplora', rpcUrl: foreign.url });
+  stubs.push(foreign);
+  const mismatch = await checkGenesis(withForeign).catch(err => err);
+  check(mismatch instanceof NetworkMismatchError && mismatch.message.startsWith(`${foreign.url} is not a bitcoin endpoint`), 'a quorum source serving another network is rejected');
+  check(foreign.requests.includes('/block-height/0'), 'the genesis check reached the extra source');
+  
+  foreign.fail = 503;
+  const unreachable = await checkGenesis(withForeign).then(() => null, err => err);
+  check(unreachable === null, 'an unreachable quorum source is left to the quorum');
+  
+  console.log('\n========== QUORUM TEST SUCCESS ==========\n');
+} finally {
+  await Promise.all(stubs.map(stub => stub.close()));
+  await rm(workDir, { recursive: true, force: true });
+}
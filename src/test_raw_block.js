@@ -0,0 +1,54 @@
+/**
+ * Test runner for raw serialized block parsing (no network needed)
+ * Run with: node src/test_raw_block.js
+ */
+
+import { check } from '../test/support.js';
+
+const GENESIS_HASH = '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f';
+const GENESIS_HEADER = '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c';
+const GENESIS_BLOCK = GENESIS_HEADER + '01' +
+  '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
+
+// Regtest block 1 with a segwit coinbase (witness reserved value, height pushed as OP_1)
+const SEGWIT_HASH = '5f84d09d0b9c10763399e74b97afbeeb07da63a8e8f06f622a54975155f2b55c';
+const SEGWIT_BLOCK = '0000002006226e46111a0b59caaf126043eb5bbf28c34f3a5e332a1fc7b2b73cf188910ff04399f8073686ae2b0d3bcca3070aa713397e44da8d3e7b83405165472551343ce6494dffff7f2003000000' +
+  '01020000000001010000000000000000000000000000000000000000000000000000000000000000ffffffff025100ffffffff0100f2052a0100000016001411111111111111111111111111111111111111110120000000000000000000000000000000000000000000000000000000000000000000000000';
+
+const { parseRawBlock, parseRawBlocks, parseLedger } = await import('./parseLedger.js');
+const { HeaderVerificationError } = await import('./blockHeader.js');
+
+console.log('[test] Testing raw block parsing...\n');
+
+const genesis = await parseRawBlock(GENESIS_BLOCK);
+check(genesis.hash === GENESIS_HASH && genesis.height === 0, 'genesis block hash recomputed from header');
+check(genesis.txCount === 1 && genesis.size === 285 && genesis.weight === 1140, 'tx count, size and weight decoded');
+check(genesis.merkleRoot === '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b', 'merkle root matches coinbase txid');
+check(genesis.coinbase.totalOutput === 5000000000 && genesis.coinbase.scriptSig.startsWith('04ffff001d'), 'coinbase transaction decoded');
+
+const segwit = await parseRawBlock(SEGWIT_BLOCK);
+check(segwit.hash === SEGWIT_HASH && segwit.height === 1, 'segwit coinbase parsed with BIP34 height');
+check(segwit.coinbase.txid === '34512547655140837b3e8dda447e3913a70a07a3cc3b0d2bae863607f89943f0' && segwit.weight === 696, 'txid excludes witness data');
+
+const header = await parseRawBlock(GENESIS_HEADER);
+check(header.hash === GENESIS_HASH && header.txCount === null, 'bare 80-byte header parsed');
+const headerOnly = await parseLedger(GENESIS_HEADER);
+check(headerOnly.metadata.txCount === null, 'unknown tx count is null in metadata, not 0');
+
+const record = hex => 'fabfb5da' + Buffer.from(Uint32Array.of(hex.length / 2).buffer).toString('hex') + hex;
+const dat = Buffer.from(record(SEGWIT_BLOCK) + record(SEGWIT_BLOCK) + '00'.repeat(16), 'hex');
+const blocks = await parseRawBlocks(dat);
+check(blocks.length === 2 && blocks.every(b => b.network === 'regtest'), 'blk*.dat records split and network read from magic');
+
+const parsed = await parseLedger(GENESIS_BLOCK.match(/.{1,64}/g).join('\n'));
+check(parsed.hash === GENESIS_HASH && parsed.metadata.txCount === 1, 'parseLedger accepts a wrapped hex dump');
+check(parsed.metadata.difficulty === 1 && parsed.metadata.reward === 5000000000 && parsed.metadata.totalFees === 0, 'difficulty, reward and fees in metadata');
+check(parsed.metadata.minerTag === 'The Times 03/Jan/2009 Chancellor on brink of second bailout for banks', 'coinbase tag decoded from scriptSig pushes');
+
+const badNonce = await parseRawBlock(GENESIS_HEADER.slice(0, -8) + '00000000').catch(err => err);
+check(badNonce instanceof HeaderVerificationError, 'header failing its target is rejected');
+
+const tampered = await parseRawBlock(GENESIS_BLOCK.replace('5468652054696d6573', '5468652054696d6574')).catch(err => err);
+check(tampered instanceof Error && /Merkle root mismatch/.test(tampered.message), 'altered transaction fails the merkle check');
+
+console.log('\n========== RAW BLOCK TEST SUCCESS ==========\n');
@@ -0,0 +1,89 @@
+/**
+ * Test runner that records the pipeline against a local stub Esplora server,
+ * then replays the recording with no server and checks the outputs match
+ * Run with: node src/test_record_replay.js
+ *
+ * Options:
+ *   --update  Re-record the bundled fixture (fixtures/early-mainnet) instead of a temp one
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { mkdtemp, readFile, readdir, rm, appendFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { check, MAINNET_BLOCKS, startStubEsplora, writeStubConfig } from '../test/support.js';
+
+const PIPELINE_TEST = fileURLToPath(new URL('./test_pipeline.js', import.meta.url));
+const BUNDLED_FIXTURE = fileURLToPath(new URL('../fixtures/early-mainnet', import.meta.url));
+
+// Run test_pipeline.js in a child process; resolves with its exit code and output
+async function runPipelineTest(args, env = {}) {
+  try {
+    const { stdout } = await promisify(execFile)(process.execPath, [PIPELINE_TEST, ...args], { env: { ...process.env, ...env } });
+    return { code: 0, output: stdout };
+  } catch (err) {
+    return { code: err.code, output: `${err.stdout}${err.stderr}` };
+  }
+}
+
+const update = process.argv.includes('--update');
+const workDir = await mkdtemp(join(tmpdir(), 'blockhash-record-'));
+const fixtureDir = update ? BUNDLED_FIXTURE : join(workDir, 'fixture');
+const stub = await startStubEsplora({ blocks: MAINNET_BLOCKS });
+const configPath = join(workDir, 'config.json');
+await writeStubConfig(configPath, { rpcUrl: stub.url }, { cache: { enabled: false } });
+// Credentials the esplora provider ignores, which must not reach the fixture
+const withSecrets = JSON.parse(await readFile(configPath, 'utf-8'));
+Object.assign(withSecrets.blockchain, { rpcUser: 'alice', rpcPassword: 'hunter2', rpcCookieFile: '/var/lib/bitcoind/.cookie' });
+withSecrets.colorDerivation.secret = 'palette-key';
+await writeFile(configPath, JSON.stringify(withSecrets, null, 2) + '\n', 'utf-8');
+
+try {
+  console.log('[test] Testing record and replay...\n');
+  
+  if (update) {
+    await rm(BUNDLED_FIXTURE, { recursive: true, force: true });
+  }
+  
+  const recorded = await runPipelineTest(['--record', fixtureDir], { BLOCKHASH_CONFIG: configPath });
+  check(recorded.code === 0, 'recording run against the stub server succeeds');
+  const recordedPaths = [...recorded.output.matchAll(/\[test\]   - \w+: (\S+)/g)].map(m => m[1]);
+  check(recordedPaths.length > 0 && recordedPaths.every(path => path.startsWith(join(tmpdir(), 'blockhash-record-'))), 'recording without --out publishes to a temp dir, not public/');
+  
+  const manifest = JSON.parse(await readFile(join(fixtureDir, 'fixture.json'), 'utf-8'));
+  check(manifest.requests === 5 && (await readdir(join(fixtureDir, 'responses'))).length === 5, 'every provider response is recorded');
+  check(!Number.isNaN(Date.parse(manifest.recordedAt)), 'manifest carries the recording time');
+  const fixtureConfig = JSON.parse(await readFile(join(fixtureDir, 'config.json'), 'utf-8'));
+  check(fixtureConfig.blockchain.rpcUrl === stub.url, 'recording config is saved with the fixture');
+  const saved = JSON.stringify(fixtureConfig);
+  check(['alice', 'hunter2', '.cookie', 'palette-key'].every(secret => !saved.includes(secret)), 'node credentials and the HMAC key are left out of the fixture');
+  check(stub.requests.includes('/blocks') && stub.requests.includes('/block-height/0'), 'recording walked the tip and genesis check');
+  
+  // Replays must not need the server
+  await stub.close();
+  
+  const replayed = await runPipelineTest(['--replay', fixtureDir, '--out', join(workDir, 'replayed')]);
+  check(replayed.code === 0 && replayed.output.includes('byte-identical'), 'replay with no server succeeds');
+  
+  for (const name of await readdir(join(fixtureDir, 'expected'))) {
+    const [a, b] = await Promise.all([readFile(join(fixtureDir, 'expected', name)), readFile(join(workDir, 'replayed', name))]);
+    check(a.equals(b), `replayed ${name} is byte-identical to the recorded run`);
+  }
+  const published = JSON.parse(await readFile(join(workDir, 'replayed', 'colors.json'), 'utf-8'));
+  check(published.sourceHash === MAINNET_BLOCKS[2].id && published.generatedAt === manifest.recordedAt, 'replay publishes the recorded tip at the recorded time');
+  
+  if (!update) {
+    await appendFile(join(fixtureDir, 'expected', 'colors.css'), '\n');
+    const tampered = await runPipelineTest(['--replay', fixtureDir, '--out', join(workDir, 'tampered')]);
+    check(tampered.code === 1 && tampered.output.includes('differ from fixture: colors.css'), 'replay fails when an output differs');
+  } else {
+    console.log('[test] ✓ Updated', BUNDLED_FIXTURE);
+  }
+  
+  console.log('\n========== RECORD/REPLAY TEST SUCCESS ==========\n');
+} finally {
+  await stub.close();
+  await rm(workDir, { recursive: true, force: true });
+}
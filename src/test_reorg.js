@@ -0,0 +1,154 @@
+/**
+ * Test runner for reorg detection: detectReorg with a stubbed chain lookup,
+ * tip history on disk, and full tip runs against a local stub Esplora server
+ * Run with: node src/test_reorg.js
+ */
+
+import { mkdtemp, readFile, readdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { check, makeChain, forkChain, startStubEsplora, writeStubConfig } from '../test/support.js';
+
+// Normalized block and tip history entry for a stub chain block
+const asBlock = b => ({ hash: b.id, height: b.height, prevHash: b.previousblockhash });
+const asTip = b => ({ hash: b.id, height: b.height, prevHash: b.previousblockhash, publishedAt: '2026-01-01T00:00:00.000Z' });
+
+// Chain lookup stub that records the heights it was asked for
+function lookup(chain, failing = {}) {
+  const fn = async height => {
+    fn.heights.push(height);
+    if (failing[height] === 'throw') throw new Error('HTTP 503: Service Unavailable');
+    if (failing[height] === 'null') return null;
+    return chain[height]?.id ?? null;
+  };
+  fn.heights = [];
+  return fn;
+}
+
+const workDir = await mkdtemp(join(tmpdir(), 'blockhash-reorg-'));
+const chain = makeChain(13);
+const stub = await startStubEsplora({ blocks: chain.slice(0, 11) });
+
+process.env.BLOCKHASH_CONFIG = join(workDir, 'config.json');
+process.env.BLOCKHASH_OUTPUT_DIR = join(workDir, 'public');
+process.env.BLOCKHASH_LOG_FILE = join(workDir, 'cron.log');
+await writeStubConfig(process.env.BLOCKHASH_CONFIG, { rpcUrl: stub.url, verifyPow: false, checkGenesis: false }, {
+  cache: { dir: join(workDir, 'cache') },
+  retry: { maxRetries: 0 },
+  output: { publicDir: process.env.BLOCKHASH_OUTPUT_DIR },
+  reorg: { trackedTips: 4, stateDir: join(workDir, 'state') }
+});
+
+const { detectReorg, checkForReorg, recordPublishedTip, loadTipHistory, TIP_HISTORY_FILE } = await import('./reorg.js');
+const { runPipeline } = await import('./cron_runner.js');
+const main = await import('./main.js');
+
+try {
+  console.log('[test] Testing reorg detection...\n');
+  
+  const history = chain.slice(8, 11).map(asTip);
+  
+  // No reorg
+  check(await detectReorg(asBlock(chain[11]), [], lookup(chain)) === null, 'no history, no reorg');
+  const fast = lookup(chain);
+  check(await detectReorg(asBlock(chain[11]), history, fast) === null && fast.heights.length === 0, 'tip building on the last published tip needs no lookups');
+  const skipped = lookup(chain);
+  check(await detectReorg(asBlock(chain[12]), history, skipped) === null, 'skipping a block is not a reorg');
+  check(skipped.heights.join() === '10', 'walk stops at the first unchanged tip');
+  
+  // Reorg past one published tip
+  const oneFork = forkChain(chain, 10, 12, 'one');
+  const one = await detectReorg(asBlock(oneFork[11]), history, lookup(oneFork));
+  check(one?.forkHeight === 10 && one.depth === 1, 'reorg past one tip: fork height and depth');
+  check(one.superseded.length === 1 && one.superseded[0].hash === chain[10].id && one.superseded[0].replacedBy === oneFork[10].id, 'superseded tip names its replacement');
+  check(one.newTip.hash === oneFork[11].id && one.newTip.height === 11 && !one.unchecked, 'reorg entry records the new tip');
+  
+  // Competing block at the same height is compared without a lookup
+  const sibling = lookup(oneFork);
+  const same = await detectReorg(asBlock(oneFork[10]), history, sibling);
+  check(same?.superseded[0].replacedBy === oneFork[10].id && !sibling.heights.includes(10), 'competing tip at the same height is its own replacement');
+  
+  // Reorg past several published tips
+  const deepFork = forkChain(chain, 9, 12, 'deep');
+  const deep = await detectReorg(asBlock(deepFork[11]), history, lookup(deepFork));
+  check(deep.forkHeight === 9 && deep.depth === 2, 'reorg past two tips: fork height and depth');
+  check(deep.superseded.map(s => s.height).join() === '10,9', 'superseded list is newest first');
+  check(deep.superseded.every(s => s.hash === chain[s.height].id && s.replacedBy === deepFork[s.height].id), 'every superseded tip names its replacement');
+  
+  // Failed lookups are unknown, never absence or agreement
+  const flaky = await detectReorg(asBlock(deepFork[11]), history, lookup(deepFork, { 9: 'throw' }));
+  check(flaky.forkHeight === 10 && flaky.superseded.length === 1 && flaky.unchecked.join() === '9', 'failed lookup is listed as unchecked, not superseded');
+  const nulls = await detectReorg(asBlock(deepFork[11]), history, lookup(deepFork, { 9: 'null' }));
+  check(nulls.unchecked.join() === '9' && nulls.superseded.length === 1, 'null lookup is treated as unknown');
+  const outage = lookup(chain, { 8: 'throw', 9: 'throw', 10: 'throw' });
+  check(await detectReorg(asBlock(chain[12]), history, outage) === null && outage.heights.join() === '10,9,8', 'provider outage is not reported as a reorg');
+  
+  // Tip history on disk, capped at the limit
+  const stateDir = join(workDir, 'history');
+  for (const block of chain.slice(0, 9)) {
+    await recordPublishedTip(asBlock(block), { stateDir, limit: 4 });
+  }
+  const capped = await loadTipHistory(stateDir);
+  check(capped.length === 4 && capped.map(t => t.height).join() === '5,6,7,8', 'history keeps the last N tips, oldest first');
+  check(capped[3].prevHash === chain[7].id && capped[3].publishedAt, 'history entries record prev-hash and publish time');
+  for (const block of chain.slice(9, 12)) {
+    await recordPublishedTip(asBlock(block), { stateDir });
+  }
+  check((await loadTipHistory(stateDir)).length === 6, 'history defaults to 6 tips');
+  await recordPublishedTip(asBlock(deepFork[10]), { stateDir });
+  const replaced = await loadTipHistory(stateDir);
+  check(replaced.map(t => t.height).join() === '6,7,8,9,10' && replaced[4].hash === deepFork[10].id, 'recording a lower tip drops the replaced branch');
+  const fromDisk = await checkForReorg(asBlock(chain[11]), { stateDir, fetchHashAtHeight: lookup(chain) });
+  check(fromDisk?.superseded[0].hash === deepFork[10].id, 'checkForReorg reads the history from the state dir');
+  
+  // Full tip runs publish the reorg entry in colors.json
+  const published = () => readFile(join(process.env.BLOCKHASH_OUTPUT_DIR, 'colors.json'), 'utf-8').then(JSON.parse);
+  for (const length of [11, 12, 13]) {
+    stub.blocks = chain.slice(0, length);
+    const run = await runPipeline();
+    check(run.success && run.reorg === null && !(await published()).reorg, `tip run at height ${length - 1} finds no reorg`);
+  }
+  
+  const reorged = forkChain(chain, 11, 14, 'run');
+  stub.blocks = reorged;
+  const run = await runPipeline();
+  check(run.success && run.hash === reorged[13].id && run.reorg?.forkHeight === 11, 'tip run detects the reorg');
+  const output = await published();
+  check(output.reorg?.forkHeight === 11 && output.reorg.depth === 2, 'colors.json gets the reorg entry');
+  check(output.reorg.superseded.map(s => s.hash).join() === [chain[12].id, chain[11].id].join(), 'colors.json lists the superseded hashes');
+  check(output.reorg.newTip.hash === reorged[13].id, 'colors.json names the new tip');
+  const historyPath = join(workDir, 'state', TIP_HISTORY_FILE);
+  const runHistory = JSON.parse(await readFile(historyPath, 'utf-8'));
+  check(runHistory.map(t => t.hash).join() === [chain[10].id, reorged[13].id].join(), 'superseded tips leave the published history');
+  check(!(await readdir(process.env.BLOCKHASH_OUTPUT_DIR)).includes(TIP_HISTORY_FILE), 'tip history is kept out of the published outputs');
+  
+  const after = await runPipeline();
+  check(after.reorg === null && !(await published()).reorg, 'the next run on the new chain is clean');
+  
+  // main.js runs (and its watch mode, which passes tip: true) share the same step
+  const mainFork = forkChain(reorged, 13, 15, 'main');
+  stub.blocks = mainFork;
+  const mainRun = await main.runPipeline({ hash: mainFork[14].id, tip: true });
+  check(mainRun.reorg?.forkHeight === 13 && (await published()).reorg?.newTip.hash === mainFork[14].id, 'main.js watch runs detect the reorg');
+  const mainHistory = JSON.parse(await readFile(historyPath, 'utf-8'));
+  check(mainHistory[mainHistory.length - 1].hash === mainFork[14].id && !mainHistory.some(t => t.hash === reorged[13].id), 'main.js records the published tip');
+  const mainTip = await main.runPipeline();
+  check(mainTip.reorg === null && mainTip.hash === mainFork[14].id, 'main.js tip run on the same chain is clean');
+  const mainHistorical = await main.runPipeline({ height: 3 });
+  check(mainHistorical.reorg === null && JSON.parse(await readFile(historyPath, 'utf-8')).length === mainHistory.length, 'main.js historical runs leave the history alone');
+  
+  // Offline runs look tips up in the cache only
+  stub.blocks = reorged;
+  const orphan = { ...asTip(reorged[13]), hash: 'ff'.repeat(32), prevHash: null };
+  await writeFile(historyPath, JSON.stringify([asTip(chain[8]), asTip(chain[9]), orphan]));
+  const requests = stub.requests.length;
+  const offline = await runPipeline({ offline: true });
+  check(offline.success && offline.stale, 'offline tip run succeeds from the cache');
+  check(stub.requests.length === requests, 'offline reorg check never touches the network');
+  check(offline.reorg?.superseded[0].hash === orphan.hash && offline.reorg.unchecked.join() === '9,8', 'uncached heights are unchecked, not superseded');
+  
+  console.log('\n========== REORG TEST SUCCESS ==========\n');
+} finally {
+  await stub.close();
+  await rm(workDir, { recursive: true, force: true });
+}
@@ -0,0 +1,155 @@
+/**
+ * Test runner for retry backoff, Retry-After parsing and the circuit breaker,
+ * with a stubbed fetch and clock
+ * Run with: node src/test_retry.js
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { check, writeStubConfig } from '../test/support.js';
+
+// Stubbed clock, on a whole second so HTTP-dates round-trip exactly
+let now = Date.parse('2026-01-01T00:00:00Z');
+Date.now = () => now;
+
+// Stubbed fetch: each call takes the next reply (a Response, a status, an
+// Error to throw, or 'pending' to hold the request until released)
+const calls = [];
+const replies = [];
+const held = [];
+globalThis.fetch = async url => {
+  calls.push(url);
+  const reply = replies.length > 1 ? replies.shift() : replies[0];
+  if (reply instanceof Error) throw reply;
+  if (reply === 'pending') return new Promise(resolve => held.push(resolve));
+  return reply instanceof Response ? reply : new Response(String(reply), { status: reply });
+};
+const reply = (...next) => replies.splice(0, replies.length, ...next);
+const untilFetched = async count => {
+  while (calls.length < count) await new Promise(resolve => setImmediate(resolve));
+};
+
+const workDir = await mkdtemp(join(tmpdir(), 'blockhash-retry-'));
+process.env.BLOCKHASH_CONFIG = join(workDir, 'config.json');
+await writeStubConfig(process.env.BLOCKHASH_CONFIG, {}, { cache: { enabled: false } });
+
+const fetchBlockchain = await import('./fetchBlockchain.js');
+const { RETRY_CONFIG, CircuitOpenError, fetchWithRetry, getBackoffDelay, getRetryAfterDelay, getCircuitBreakerStatus } = fetchBlockchain;
+await fetchBlockchain.loadConfig();
+
+try {
+  console.log('[test] Testing retries and circuit breaking...\n');
+  
+  // Full-jitter backoff stays in [0, min(initial * multiplier^attempt, max))
+  Object.assign(RETRY_CONFIG, { initialDelayMs: 100, backoffMultiplier: 2, maxDelayMs: 1000 });
+  const caps = [100, 200, 400, 800, 1000, 1000];
+  const random = Math.random;
+  Math.random = () => 0;
+  check(caps.every((cap, attempt) => getBackoffDelay(attempt) === 0), 'full jitter can wait 0ms');
+  Math.random = () => 0.999999;
+  check(caps.every((cap, attempt) => getBackoffDelay(attempt) === cap - 1), 'full jitter stays below the capped backoff');
+  Math.random = random;
+  const samples = Array.from({ length: 200 }, (_, i) => getBackoffDelay(i % caps.length) / caps[i % caps.length]);
+  check(samples.every(ratio => ratio >= 0 && ratio < 1), 'random jitter samples stay in bounds');
+  RETRY_CONFIG.jitter = 'none';
+  check(caps.every((cap, attempt) => getBackoffDelay(attempt) === cap), 'jitter "none" waits the capped backoff exactly');
+  RETRY_CONFIG.jitter = 'full';
+  
+  // Retry-After: delta-seconds or HTTP-date, capped at maxRetryAfterMs
+  const retryAfter = value => getRetryAfterDelay(new Response(null, { status: 503, headers: value === undefined ? {} : { 'retry-after': value } }));
+  check(retryAfter('3') === 3000, 'delta-seconds Retry-After');
+  check(retryAfter('0') === 0, 'Retry-After of 0 retries immediately');
+  check(retryAfter(new Date(now + 5000).toUTCString()) === 5000, 'HTTP-date Retry-After is relative to now');
+  check(retryAfter(new Date(now - 5000).toUTCString()) === 0, 'HTTP-date in the past retries immediately');
+  check(retryAfter('600') === 60000, 'Retry-After is capped at maxRetryAfterMs');
+  check(retryAfter(new Date(now + 3600000).toUTCString()) === 60000, 'far-off HTTP-date is capped too');
+  check(retryAfter('soon') === null && retryAfter(undefined) === null, 'missing or malformed Retry-After falls back to backoff');
+  RETRY_CONFIG.respectRetryAfter = false;
+  check(retryAfter('3') === null, 'respectRetryAfter: false ignores the header');
+  RETRY_CONFIG.respectRetryAfter = true;
+  
+  // Retries on 429/5xx, then gives up with the last response
+  Object.assign(RETRY_CONFIG, { maxRetries: 2, initialDelayMs: 1, maxDelayMs: 4 });
+  reply(new Response('slow down', { status: 429, headers: { 'retry-after': '0' } }), 503, 200);
+  const recovered = await fetchWithRetry('http://retry.test/blocks');
+  check(recovered.status === 200 && calls.length === 3, '429 and 503 are retried until success');
+  reply(404);
+  check((await fetchWithRetry('http://retry.test/missing')).status === 404 && calls.length === 4, '4xx is not retried');
+  reply(503);
+  check((await fetchWithRetry('http://retry.test/down')).status === 503 && calls.length === 7, 'gives up after maxRetries');
+  
+  // Breaker: closed -> open after failureThreshold consecutive failures
+  Object.assign(RETRY_CONFIG, { maxRetries: 0 });
+  Object.assign(RETRY_CONFIG.circuitBreaker, { failureThreshold: 3, resetTimeoutMs: 1000 });
+  const url = 'http://breaker.test/blocks';
+  const breaker = () => getCircuitBreakerStatus()['http://breaker.test'];
+  const fail = () => fetchWithRetry(url).catch(err => err);
+  
+  reply(503);
+  await fetchWithRetry(url);
+  await fetchWithRetry(url);
+  check(breaker().state === 'closed' && breaker().failures === 2, 'breaker stays closed below the threshold');
+  await fetchWithRetry(url);
+  check(breaker().state === 'open' && breaker().openedAt === new Date(now).toISOString(), 'breaker opens at the threshold');
+  check(breaker().lastError === 'HTTP 503', 'breaker records the last error');
+  
+  let before = calls.length;
+  const fastFail = await fail();
+  check(fastFail instanceof CircuitOpenError && fastFail.retryAt === now + 1000, 'open circuit fails fast with CircuitOpenError');
+  now += 999;
+  check((await fail()) instanceof CircuitOpenError && calls.length === before, 'no request reaches the network before resetTimeoutMs');
+  
+  // open -> half-open: exactly one trial, concurrent callers still fail fast
+  now += 1;
+  reply('pending');
+  const trial = fetchWithRetry(url);
+  await untilFetched(before + 1);
+  check(breaker().state === 'half-open' && breaker().trialInFlight, 'reset timeout lets a trial request through');
+  check((await fail()) instanceof CircuitOpenError && (await fail()) instanceof CircuitOpenError, 'callers during the trial fail fast');
+  check(calls.length === before + 1, 'only the trial reaches the network');
+  
+  // half-open -> closed on a successful trial
+  held.shift()(new Response('ok'));
+  check((await trial).status === 200, 'trial response is returned');
+  check(breaker().state === 'closed' && breaker().failures === 0 && !breaker().trialInFlight, 'successful trial closes the circuit');
+  reply(200);
+  check((await fetchWithRetry(url)).status === 200, 'closed circuit lets requests through again');
+  
+  // half-open -> open on a failed trial (HTTP error or network error)
+  reply(503);
+  for (let i = 0; i < 3; i++) await fetchWithRetry(url);
+  now += 1000;
+  await fetchWithRetry(url);
+  check(breaker().state === 'open' && breaker().openedAt === new Date(now).toISOString(), 'failed trial reopens the circuit from now');
+  check((await fail()) instanceof CircuitOpenError, 'reopened circuit fails fast again');
+  now += 1000;
+  reply(new TypeError('fetch failed'));
+  const networkError = await fail();
+  check(networkError instanceof TypeError && breaker().state === 'open' && !breaker().trialInFlight, 'network error on the trial reopens the circuit');
+  
+  // Requests started before the circuit opened do not decide the trial
+  now += 1000;
+  reply(200);
+  await fetchWithRetry(url);
+  before = calls.length;
+  reply('pending');
+  const straggler = fetchWithRetry(url);
+  await untilFetched(before + 1);
+  reply(503);
+  for (let i = 0; i < 3; i++) await fetchWithRetry(url);
+  now += 1000;
+  reply('pending');
+  const lateTrial = fetchWithRetry(url);
+  await untilFetched(before + 5);
+  held.shift()(new Response('ok'));
+  await straggler;
+  check(breaker().state === 'half-open' && breaker().trialInFlight, 'a straggler finishing during the trial is ignored');
+  held.shift()(new Response('down', { status: 503 }));
+  await lateTrial;
+  check(breaker().state === 'open', 'the trial alone decides the outcome');
+  
+  console.log('\n========== RETRY TEST SUCCESS ==========\n');
+} finally {
+  await rm(workDir, { recursive: true, force: true });
+}
@@ -0,0 +1,69 @@
+/**
+ * Test runner for the prevHash walk behind the rolling and per-slot seed modes,
+ * against a local stub Esplora server
+ * Run with: node src/test_seed_blocks.js
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { check, makeChain, startStubEsplora, writeStubConfig } from '../test/support.js';
+
+const workDir = await mkdtemp(join(tmpdir(), 'blockhash-seed-blocks-'));
+const chain = makeChain(10);
+const stub = await startStubEsplora({ blocks: chain });
+
+process.env.BLOCKHASH_CONFIG = join(workDir, 'config.json');
+await writeStubConfig(process.env.BLOCKHASH_CONFIG, { rpcUrl: stub.url, verifyPow: false, checkGenesis: false, fetchCoinbase: false }, {
+  cache: { enabled: false },
+  retry: { maxRetries: 0 }
+});
+
+const fetchBlockchain = await import('./fetchBlockchain.js');
+
+// Hashes and heights of the blocks a seed walk returned, and the block lookups it made
+const hashes = blocks => blocks.map(b => b.hash).join();
+const heights = blocks => blocks.map(b => b.height).join();
+const lookups = () => stub.requests.filter(path => /^\/block\/[0-9a-f]{64}$/.test(path));
+
+try {
+  console.log('[test] Testing seed block walks...\n');
+  
+  const cfg = await fetchBlockchain.loadConfig();
+  const tip = await fetchBlockchain.fetchBlock({ height: 9 });
+  
+  cfg.colorDerivation = { ...cfg.colorDerivation, seedMode: 'single' };
+  check(await fetchBlockchain.fetchSeedBlocks(tip) === tip, 'single mode seeds from the block itself');
+  
+  stub.requests = [];
+  cfg.colorDerivation.seedMode = 'rolling';
+  cfg.colorDerivation.rollingWindow = 4;
+  const rolling = await fetchBlockchain.fetchSeedBlocks(tip);
+  check(rolling[0] === tip && heights(rolling) === '9,8,7,6', 'rolling walk follows prevHash, newest first');
+  check(hashes(rolling.slice(1)) === [chain[8].id, chain[7].id, chain[6].id].join(), 'each step fetches the previous block by hash');
+  check(lookups().length === 3, 'the walk stops at rollingWindow blocks');
+  
+  delete cfg.colorDerivation.rollingWindow;
+  check((await fetchBlockchain.fetchSeedBlocks(tip)).length === 6, 'rollingWindow defaults to 6 blocks');
+  
+  cfg.colorDerivation.seedMode = 'per-slot';
+  cfg.colorDerivation.paletteSize = 3;
+  check(heights(await fetchBlockchain.fetchSeedBlocks(tip)) === '9,8,7', 'per-slot mode walks one block per palette slot');
+  
+  const low = await fetchBlockchain.fetchBlock({ height: 1 });
+  check(heights(await fetchBlockchain.fetchSeedBlocks(low)) === '1,0', 'the walk ends at genesis');
+  
+  // Block 7 is gone: the walk keeps what it has instead of failing the run
+  stub.blocks = chain.filter(b => b.height !== 7);
+  stub.requests = [];
+  cfg.colorDerivation.seedMode = 'rolling';
+  cfg.colorDerivation.rollingWindow = 5;
+  const gap = await fetchBlockchain.fetchSeedBlocks(tip);
+  check(heights(gap) === '9,8', 'a missing parent ends the walk with the blocks found so far');
+  check(!stub.requests.includes(`/block/${chain[6].id}`), 'nothing below the missing parent is fetched');
+  
+  console.log('\n========== SEED BLOCKS TEST SUCCESS ==========\n');
+} finally {
+  await stub.close();
+  await rm(workDir, { recursive: true, force: true });
+}
@@ -0,0 +1,48 @@
+/**
+ * Test runner for typed palette seeds (no network needed)
+ * Run with: node src/test_seeds.js
+ */
+
+import { execFileSync } from 'child_process';
+import { check } from '../test/support.js';
+
+const { normalizeSeed, parseSeedArg, SeedError } = await import('./seeds.js');
+const { parseLedger } = await import('./parseLedger.js');
+const { deriveColors } = await import('./deriveColors.js');
+
+const rejects = seed => normalizeSeed(seed).then(() => null, err => err);
+
+console.log('[test] Testing typed seeds...\n');
+
+const txid = await normalizeSeed({ seedType: 'txid', value: '0x4A5E1E4BAAB89F3A32518A88C31BC87F618F76673E2CC77AB2127B7AFDEDA33B' });
+check(txid.hash === '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b', 'txid normalized to lowercase hex');
+check((await rejects({ seedType: 'txid', value: 'abc' })) instanceof SeedError, 'short txid rejected');
+
+// BIP173 / BIP350 test vectors
+const p2wpkh = await normalizeSeed({ seedType: 'address', value: 'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4' });
+const p2wpkhLower = await normalizeSeed({ seedType: 'address', value: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4' });
+check(p2wpkh.metadata.addressType === 'p2wpkh' && p2wpkh.hash === p2wpkhLower.hash, 'bech32 address decoded, case-insensitive');
+const p2tr = await normalizeSeed({ seedType: 'address', value: 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0' });
+check(p2tr.metadata.addressType === 'p2tr' && p2tr.network === 'bitcoin', 'bech32m taproot address decoded');
+check((await rejects({ seedType: 'address', value: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5' })) instanceof SeedError, 'bech32 checksum enforced');
+check((await rejects({ seedType: 'address', value: 'bc1pw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4' })) instanceof SeedError, 'bech32 checksum rejected for a v1 program');
+
+const p2pkh = await normalizeSeed({ seedType: 'address', value: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa' });
+const p2sh = await normalizeSeed({ seedType: 'address', value: '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy' });
+check(p2pkh.metadata.addressType === 'p2pkh' && p2sh.metadata.addressType === 'p2sh', 'base58check addresses decoded');
+check((await rejects({ seedType: 'address', value: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb' })) instanceof SeedError, 'base58 checksum enforced');
+
+const head = execFileSync('git', ['rev-parse', 'HEAD'], { encoding: 'utf-8' }).trim();
+const commit = await normalizeSeed({ seedType: 'commit', value: '.' });
+check(commit.hash === head, 'commit seed reads HEAD from the local repository');
+
+const text = await normalizeSeed({ seedType: 'text', value: 'caf\u00e9' });
+const composed = await normalizeSeed({ seedType: 'text', value: 'cafe\u0301' });
+check(text.hash === composed.hash && text.hash.length === 64, 'text seed is NFC-normalized and hashed');
+
+check(parseSeedArg('text:a:b').value === 'a:b' && parseSeedArg('commit').value === undefined, 'CLI seed arguments split at the first colon');
+
+const colors = await deriveColors(await parseLedger({ seedType: 'address', value: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa' }));
+check(colors.seedType === 'address' && colors.palette.length > 0, 'palette records the seed type');
+
+console.log('\n========== SEED TEST SUCCESS ==========\n');
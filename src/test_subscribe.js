@@ -0,0 +1,141 @@
+/**
+ * Test runner for subscribeToBlocks with a stub WebSocket feed and a local stub Esplora server
+ * Run with: node src/test_subscribe.js
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { check, makeChain, startStubEsplora, writeStubConfig } from '../test/support.js';
+
+// mempool.space-style feed driven by the test
+class StubSocket {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    sockets.push(this);
+  }
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+  close() {
+    this.onclose?.();
+  }
+  // Test helpers
+  push(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+const sockets = [];
+globalThis.WebSocket = StubSocket;
+
+async function waitFor(condition, message, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) check(false, message);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const esplora = ({ header, coinbase, ...block }) => block;
+
+const workDir = await mkdtemp(join(tmpdir(), 'blockhash-subscribe-'));
+const stub = await startStubEsplora({ blocks: makeChain(20) });
+const extend = count => {
+  stub.blocks = makeChain(stub.blocks.length + count, { from: stub.blocks });
+};
+
+process.env.BLOCKHASH_CONFIG = join(workDir, 'config.json');
+await writeStubConfig(process.env.BLOCKHASH_CONFIG, { rpcUrl: stub.url, pollIntervalMs: 20 }, {
+  cache: { enabled: false },
+  retry: { maxRetries: 0 }
+});
+
+const { subscribeToBlocks } = await import('./fetchBlockchain.js');
+
+// Subscribe and collect every block and error it reports
+function collect(options) {
+  const result = { blocks: [], errors: [] };
+  result.unsubscribe = subscribeToBlocks(block => result.blocks.push(block), {
+    ...options,
+    onError: error => result.errors.push(error.message)
+  });
+  return result;
+}
+
+try {
+  console.log('[test] Testing block subscription...\n');
+  
+  // WebSocket path
+  const ws = collect({ wsUrl: 'ws://feed.test/v1/ws' });
+  await waitFor(() => sockets.length === 1, 'WebSocket is opened');
+  const socket = sockets[0];
+  check(socket.url === 'ws://feed.test/v1/ws', 'configured wsUrl is used');
+  socket.onopen();
+  check(socket.sent[0]?.action === 'want' && socket.sent[0].data[0] === 'blocks', 'subscribes to the blocks feed on open');
+  
+  const tip = stub.blocks[stub.blocks.length - 1];
+  socket.push({ blocks: stub.blocks.slice(-3).map(esplora) });
+  socket.push({ block: esplora(tip) });
+  check(ws.blocks.length === 0, 'initial snapshot tip is not emitted');
+  
+  extend(1);
+  const next = stub.blocks[stub.blocks.length - 1];
+  socket.push({ block: esplora(next) });
+  socket.push({ block: esplora(next) });
+  check(ws.blocks.length === 1 && ws.blocks[0].hash === next.id && ws.blocks[0].height === next.height, 'one normalized event per new block');
+  ws.unsubscribe();
+  socket.push({ block: esplora(makeChain(stub.blocks.length + 1, { from: stub.blocks }).pop()) });
+  check(ws.blocks.length === 1, 'no events after unsubscribe');
+  
+  // Fallback to polling when the socket never opens
+  const fallback = collect({ wsUrl: 'ws://down.test/v1/ws' });
+  await waitFor(() => sockets.length === 2, 'second WebSocket is opened');
+  sockets[1].close();
+  check(fallback.errors[0] === 'WebSocket unavailable, falling back to polling', 'unavailable feed is reported');
+  await waitFor(() => stub.requests.includes('/blocks/tip/height'), 'polling starts after the feed fails');
+  await sleep(60);
+  check(fallback.blocks.length === 0, 'first poll only establishes the tip');
+  extend(1);
+  await waitFor(() => fallback.blocks.length === 1, 'polling picks up the next block');
+  await sleep(60);
+  check(fallback.blocks.length === 1 && fallback.blocks[0].hash === stub.blocks[stub.blocks.length - 1].id, 'polled block fires exactly once');
+  fallback.unsubscribe();
+  
+  // Backfill is capped at 10 blocks per poll
+  const polled = collect({});
+  await sleep(60);
+  check(sockets.length === 2, 'no WebSocket without a feed URL');
+  const before = stub.blocks.length;
+  extend(25);
+  await waitFor(() => polled.blocks.length === 10, 'burst of blocks is backfilled');
+  await sleep(60);
+  const heights = polled.blocks.map(b => b.height);
+  check(heights.length === 10 && heights[0] === before + 15 && heights[9] === before + 24, 'backfill keeps the 10 newest blocks');
+  check(heights.every((h, i) => i === 0 || h === heights[i - 1] + 1), 'backfilled blocks arrive in height order');
+  polled.unsubscribe();
+  
+  // WebSocket -> polling switch emits every block once
+  const switching = collect({ wsUrl: 'ws://flaky.test/v1/ws' });
+  await waitFor(() => sockets.length === 3, 'third WebSocket is opened');
+  const flaky = sockets[2];
+  flaky.onopen();
+  flaky.push({ blocks: stub.blocks.slice(-3).map(esplora) });
+  extend(2);
+  const [first, second] = stub.blocks.slice(-2);
+  flaky.push({ block: esplora(first) });
+  flaky.close();
+  check(switching.errors[0] === 'WebSocket closed, falling back to polling', 'dropped feed is reported');
+  await waitFor(() => switching.blocks.length === 2, 'polling catches up after the switch');
+  // The feed's last message may still arrive after the switch
+  flaky.onmessage({ data: JSON.stringify({ block: esplora(second) }) });
+  await sleep(60);
+  check(switching.blocks.map(b => b.hash).join() === [first.id, second.id].join(), 'one callback per block across the WebSocket -> poll switch');
+  switching.unsubscribe();
+  
+  console.log('\n========== SUBSCRIBE TEST SUCCESS ==========\n');
+} finally {
+  await stub.close();
+  await rm(workDir, { recursive: true, force: true });
+}
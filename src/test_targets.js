@@ -0,0 +1,81 @@
+/**
+ * Test runner for historical block targets (--height / --hash) against a local stub Esplora server
+ * Run with: node src/test_targets.js
+ */
+
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { check, MAINNET_BLOCKS, startStubEsplora, startStubJsonRpc, writeStubConfig } from '../test/support.js';
+
+const workDir = await mkdtemp(join(tmpdir(), 'blockhash-targets-'));
+const stub = await startStubEsplora({ blocks: MAINNET_BLOCKS });
+// bitcoind stand-in that rejects every credential
+const node = await startStubJsonRpc(() => ({}), { auth: [] });
+
+// Environment must be set before the pipeline modules load their config
+process.env.BLOCKHASH_CONFIG = join(workDir, 'config.json');
+process.env.BLOCKHASH_OUTPUT_DIR = join(workDir, 'public');
+process.env.BLOCKHASH_LOG_FILE = join(workDir, 'cron.log');
+await writeStubConfig(process.env.BLOCKHASH_CONFIG, { rpcUrl: stub.url }, {
+  cache: { enabled: false },
+  retry: { maxRetries: 0 }
+});
+
+const { parseTarget, runPipeline } = await import('./cron_runner.js');
+const fetchBlockchain = await import('./fetchBlockchain.js');
+const { BlockNotFoundError, RpcAuthError } = fetchBlockchain;
+
+try {
+  console.log('[test] Testing --height / --hash targets...\n');
+  
+  const [genesis, block1, block2] = MAINNET_BLOCKS;
+  
+  check(parseTarget(['--height', '1']).height === 1, 'parseTarget reads --height');
+  check(parseTarget(['--hash', block2.id]).hash === block2.id, 'parseTarget reads --hash');
+  check(Object.keys(parseTarget([])).length === 0, 'no flags targets the chain tip');
+  
+  const badHeight = (() => { try { parseTarget(['--height', '-3']); } catch (err) { return err; } })();
+  check(badHeight?.message === 'Invalid --height: -3', 'negative --height is rejected');
+  const badHash = (() => { try { parseTarget(['--hash', 'abc']); } catch (err) { return err; } })();
+  check(badHash?.message === 'Invalid --hash: abc', 'malformed --hash is rejected');
+  
+  const byHeight = await runPipeline(parseTarget(['--height', '1']));
+  check(byHeight.success && byHeight.hash === block1.id, 'runPipeline derives the block at --height');
+  const published = JSON.parse(await readFile(join(process.env.BLOCKHASH_OUTPUT_DIR, 'colors.json'), 'utf-8'));
+  check(published.sourceHash === block1.id, 'published colors.json is for the requested height');
+  check(stub.requests.includes(`/block/${block1.id}/header`), 'historical block is PoW-verified');
+  
+  const byHash = await runPipeline(parseTarget(['--hash', block2.id]));
+  check(byHash.success && byHash.hash === block2.id, 'runPipeline derives the block named by --hash');
+  check(byHash.palette.join() !== byHeight.palette.join(), 'different targets give different palettes');
+  check(!stub.requests.includes('/blocks'), 'historical targets never ask for the tip');
+  
+  const tip = await runPipeline(parseTarget([]));
+  check(tip.success && tip.hash === block2.id, 'runPipeline without a target derives the tip');
+  check(genesis.id === (await fetchBlockchain.fetchBlock({ height: 0 })).hash, 'fetchBlock resolves height 0');
+  
+  const missingHeight = await fetchBlockchain.fetchBlock({ height: 99 }).catch(err => err);
+  check(missingHeight instanceof BlockNotFoundError, 'unknown height raises BlockNotFoundError from fetchBlock');
+  const missingHash = await fetchBlockchain.fetchBlock({ hash: 'ab'.repeat(32) }).catch(err => err);
+  check(missingHash instanceof BlockNotFoundError, 'unknown hash raises BlockNotFoundError from fetchBlock');
+  
+  const failedRun = await runPipeline(parseTarget(['--height', '99']));
+  check(!failedRun.success && failedRun.error.includes('/block-height/99'), 'runPipeline reports the missing block');
+  
+  check(await fetchBlockchain.fetchNetworkInfo() === null && stub.requests.includes('/network'), 'fetchNetworkInfo asks the resolved provider URL');
+  
+  // Point the loaded config at a node that rejects our credentials
+  const cfg = await fetchBlockchain.loadConfig();
+  const saved = cfg.blockchain;
+  cfg.blockchain = { network: 'bitcoin', provider: 'bitcoind', rpcUrl: node.url, rpcUser: 'alice', rpcPassword: 'wrong', checkGenesis: false };
+  const authError = await fetchBlockchain.fetchBlock({ hash: block1.id }).catch(err => err);
+  check(authError instanceof RpcAuthError, 'rejected credentials raise RpcAuthError from fetchBlock');
+  cfg.blockchain = saved;
+  
+  console.log('\n========== TARGETS TEST SUCCESS ==========\n');
+} finally {
+  await stub.close();
+  await node.close();
+  await rm(workDir, { recursive: true, force: true });
+}
@@ -0,0 +1,315 @@
+/**
+ * support.js - Shared Test Support
+ * Helpers for the src/test_*.js runners: the check() assertion, a local
+ * Esplora stand-in serving an in-memory chain, and a JSON-RPC stand-in, so
+ * tests and fixture recordings need no network (Node.js only). Kept out of
+ * src/ so none of it ships with the site.
+ *
+ * Chain blocks are Esplora /block objects plus two extras the other endpoints need:
+ *   header   - raw 80-byte header hex (/block/:hash/header)
+ *   coinbase - { scriptsig, value } (/block/:hash/txs/0)
+ */
+
+import http from 'http';
+import { createHash } from 'crypto';
+
+/**
+ * Assert a condition: log it, or exit the test run with a failure
+ * @param {boolean} condition - Passes when truthy
+ * @param {string} message - What was checked
+ */
+function check(condition, message) {
+  if (!condition) {
+    console.error('[test] FAIL:', message);
+    process.exit(1);
+  }
+  console.log('[test] ✓', message);
+}
+
+// Mainnet blocks 0-2 with their real headers, so PoW verification passes
+const MAINNET_BLOCKS = [
+  {
+    id: '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f',
+    height: 0,
+    version: 1,
+    timestamp: 1231006505,
+    tx_count: 1,
+    size: 285,
+    weight: 1140,
+    merkle_root: '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b',
+    previousblockhash: null,
+    mediantime: 1231006505,
+    nonce: 2083236893,
+    bits: 486604799,
+    difficulty: 1,
+    header: '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c',
+    coinbase: {
+      scriptsig: '04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73',
+      value: 5000000000
+    }
+  },
+  {
+    id: '00000000839a8e6886ab5951d76f411475428afc90947ee320161bbf18eb6048',
+    height: 1,
+    version: 1,
+    timestamp: 1231469665,
+    tx_count: 1,
+    size: 215,
+    weight: 860,
+    merkle_root: '0e3e2357e806b6cdb1f70b54c3a3a17b6714ee1f0e68bebb44a74b1efd512098',
+    previousblockhash: '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f',
+    mediantime: 1231469665,
+    nonce: 2573394689,
+    bits: 486604799,
+    difficulty: 1,
+    header: '010000006fe28c0ab6f1b372c1a6a246ae63f74f931e8365e15a089c68d6190000000000982051fd1e4ba744bbbe680e1fee14677ba1a3c3540bf7b1cdb606e857233e0e61bc6649ffff001d01e36299',
+    coinbase: { scriptsig: '04ffff001d0104', value: 5000000000 }
+  },
+  {
+    id: '000000006a625f06636b8bb6ac7b960a8d03705d1ace08b1a19da3fdcc99ddbd',
+    height: 2,
+    version: 1,
+    timestamp: 1231469744,
+    tx_count: 1,
+    size: 215,
+    weight: 860,
+    merkle_root: '9b0fc92260312ce44e74ef369f5c66bbb85848f2eddd5a7a1cde251e54ccfdd5',
+    previousblockhash: '00000000839a8e6886ab5951d76f411475428afc90947ee320161bbf18eb6048',
+    mediantime: 1231469665,
+    nonce: 1639830024,
+    bits: 486604799,
+    difficulty: 1,
+    header: '010000004860eb18bf1b1620e37e9490fc8a427514416fd75159ab86688e9a8300000000d5fdcc541e25de1c7a5addedf24858b8bb665c9f36ef744ee42c316022c90f9bb0bc6649ffff001d08d2bd61',
+    coinbase: { scriptsig: '04ffff001d010b', value: 5000000000 }
+  }
+];
+
+/**
+ * Hash for a synthetic block, with the 8 leading zeros mainnet hashes have.
+ * Synthetic blocks carry no header, so configs using them turn verifyPow off.
+ */
+function fakeHash(label, height) {
+  return '00000000' + createHash('sha256').update(`${label}:${height}`).digest('hex').slice(0, 56);
+}
+
+/**
+ * Build a synthetic chain, optionally continuing from existing blocks
+ * @param {number} length - Total number of blocks in the returned chain
+ * @param {object} options - { label, from: blocks to keep below the new ones }
+ * @returns {Array<object>} Blocks indexed by height
+ */
+function makeChain(length, { label = 'main', from = [] } = {}) {
+  const blocks = from.slice();
+  
+  for (let height = blocks.length; height < length; height++) {
+    blocks.push({
+      id: fakeHash(label, height),
+      height,
+      version: 0x20000000,
+      timestamp: 1700000000 + height * 600,
+      tx_count: 1,
+      size: 250,
+      weight: 1000,
+      merkle_root: createHash('sha256').update(`${label}:merkle:${height}`).digest('hex'),
+      previousblockhash: blocks[height - 1]?.id ?? null,
+      mediantime: 1700000000 + height * 600,
+      nonce: height,
+      bits: 486604799,
+      difficulty: 1,
+      coinbase: { scriptsig: '03' + height.toString(16).padStart(6, '0'), value: 312500000 }
+    });
+  }
+  
+  return blocks;
+}
+
+/**
+ * Replace a chain from forkHeight up with a competing branch
+ * @param {Array<object>} chain - Existing chain
+ * @param {number} forkHeight - First height that differs
+ * @param {number} length - Total length of the new chain
+ * @param {string} label - Branch label (keeps its hashes distinct)
+ */
+function forkChain(chain, forkHeight, length, label = 'fork') {
+  return makeChain(length, { label, from: chain.slice(0, forkHeight) });
+}
+
+/**
+ * Esplora JSON for a block, without the stub-only fields
+ */
+function toEsplora(block) {
+  const { header, coinbase, ...json } = block;
+  return json;
+}
+
+/**
+ * Start the stub server
+ *
+ * The returned stub is mutable so tests can move the chain along:
+ *   stub.blocks       - chain served, indexed by height (tip is the last block)
+ *   stub.fail         - HTTP status to answer every request with, or 'reset'
+ *                       to drop connections; null to serve normally
+ *   stub.etag         - Send (and honor) ETags, on by default
+ *   stub.lastModified - Last-Modified value to send (and honor) or null
+ *   stub.requests     - request paths seen, in order
+ *
+ * Validators are honored like a real server: a matching If-None-Match, or a
+ * matching If-Modified-Since when no ETag was sent, is answered with 304.
+ * @param {object} options - { blocks, etag, lastModified, handle(req, res, stub) }
+ *   where handle returns true when it answered the request itself
+ * @returns {Promise<object>} Stub with `url` and `close()`
+ */
+async function startStubEsplora(options = {}) {
+  const stub = {
+    blocks: options.blocks || MAINNET_BLOCKS,
+    fail: null,
+    etag: options.etag ?? true,
+    lastModified: options.lastModified || null,
+    requests: [],
+    url: null,
+    close: null
+  };
+  
+  const send = (req, res, status, body) => {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    if (status !== 200) {
+      res.statusCode = status;
+      return res.end(text);
+    }
+    
+    const etag = stub.etag ? `"${createHash('sha256').update(text).digest('hex').slice(0, 16)}"` : null;
+    if (etag) {
+      res.setHeader('ETag', etag);
+    }
+    if (stub.lastModified) {
+      res.setHeader('Last-Modified', stub.lastModified);
+    }
+    
+    const notModified = etag && req.headers['if-none-match']
+      ? req.headers['if-none-match'] === etag
+      : Boolean(stub.lastModified) && req.headers['if-modified-since'] === stub.lastModified;
+    if (notModified) {
+      res.statusCode = 304;
+      return res.end();
+    }
+    
+    res.setHeader('Content-Type', typeof body === 'string' ? 'text/plain' : 'application/json');
+    res.end(text);
+  };
+  
+  const route = path => {
+    const byHash = hash => stub.blocks.find(b => b.id === hash);
+    let match;
+    
+    if (path === '/blocks') {
+      return [200, stub.blocks.slice(-10).reverse().map(toEsplora)];
+    }
+    if (path === '/blocks/tip/height') {
+      return [200, String(stub.blocks.length - 1)];
+    }
+    if ((match = path.match(/^\/block-height\/(\d+)$/))) {
+      const block = stub.blocks[Number(match[1])];
+      return block ? [200, block.id] : [404, 'Block not found'];
+    }
+    if ((match = path.match(/^\/block\/([0-9a-f]{64})(\/header|\/txs\/0)?$/))) {
+      const block = byHash(match[1]);
+      if (!block) return [404, 'Block not found'];
+      if (match[2] === '/header') return block.header ? [200, block.header] : [404, 'Header not available'];
+      if (match[2] === '/txs/0') return [200, [{ vin: [{ scriptsig: block.coinbase.scriptsig }], vout: [{ value: block.coinbase.value }] }]];
+      return [200, toEsplora(block)];
+    }
+    return [404, 'Not found'];
+  };
+  
+  const server = http.createServer((req, res) => {
+    stub.requests.push(req.url);
+    
+    if (options.handle && options.handle(req, res, stub)) return;
+    if (stub.fail === 'reset') return req.socket.destroy();
+    if (stub.fail) return send(req, res, stub.fail, 'Stub failure');
+    
+    const [status, body] = route(req.url);
+    send(req, res, status, body);
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  
+  return stub;
+}
+
+/**
+ * Write a config file for a test run against a stub: inputs/config.json with
+ * its blockchain section replaced
+ * @param {string} path - File to write
+ * @param {object} blockchain - Fields merged over { network: 'bitcoin' }
+ * @param {object} extra - Other top-level sections to replace
+ */
+async function writeStubConfig(path, blockchain, extra = {}) {
+  const { readFile, writeFile } = await import('fs/promises');
+  const base = JSON.parse(await readFile(new URL('../inputs/config.json', import.meta.url), 'utf-8'));
+  const config = { ...base, ...extra, blockchain: { network: 'bitcoin', ...blockchain } };
+  await writeFile(path, JSON.stringify(config, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Start a JSON-RPC stand-in answering bitcoind-style batches and single
+ * Ethereum-style calls alike
+ *
+ *   stub.calls - every call seen ({ method, params, id }), in order
+ *
+ * @param {function(object, object): object} answer - (call, stub) → { result } or { error }
+ * @param {object} options - { auth: accepted "user:password" strings; anything
+ *   else gets 401. Omit to skip the auth check }
+ * @returns {Promise<object>} Stub with `url` and `close()`
+ */
+async function startStubJsonRpc(answer, options = {}) {
+  const stub = { calls: [], url: null, close: null };
+  
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (options.auth) {
+        const auth = Buffer.from((req.headers.authorization || '').replace('Basic ', ''), 'base64').toString();
+        if (!options.auth.includes(auth)) {
+          res.statusCode = 401;
+          return res.end();
+        }
+      }
+      
+      const reply = call => {
+        stub.calls.push(call);
+        return { jsonrpc: '2.0', id: call.id, result: null, error: null, ...answer(call, stub) };
+      };
+      const payload = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(reply) : reply(payload)));
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  
+  return stub;
+}
+
+// ES Module export
+export {
+  check,
+  MAINNET_BLOCKS,
+  fakeHash,
+  makeChain,
+  forkChain,
+  startStubEsplora,
+  startStubJsonRpc,
+  writeStubConfig
+};